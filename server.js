@@ -3,6 +3,10 @@ const config = require('./src/config/config');
 const database = require('./src/config/database');
 const { handleUnhandledRejection, handleUncaughtException } = require('./src/middleware/errorHandler');
 const logger = require('./src/utils/logger');
+const { closeAllStreams } = require('./src/utils/realtime');
+
+// How long shutdown may wait for requests in progress before exiting anyway
+const SHUTDOWN_TIMEOUT = 10 * 1000;
 
 // Handle unhandled promise rejections
 handleUnhandledRejection();
@@ -42,7 +46,15 @@ const startServer = async () => {
     const gracefulShutdown = (signal) => {
       logger.logger.info(`${signal} received. Shutting down gracefully...`);
       console.log(`\n${signal} received. Shutting down gracefully...`);
-      
+
+      setTimeout(() => {
+        logger.logger.error('Shutdown timed out, exiting');
+        console.error('❌ Shutdown timed out, exiting');
+        process.exit(1);
+      }, SHUTDOWN_TIMEOUT).unref();
+
+      // Event streams never finish by themselves, so server.close would wait on them
+      closeAllStreams();
       server.close(async () => {
         try {
           await database.disconnect();
@@ -55,6 +67,7 @@ const startServer = async () => {
           process.exit(1);
         }
       });
+      server.closeIdleConnections();
     };
 
     // Handle shutdown signals
@@ -20,6 +20,9 @@ const leaderboardRoutes = require('./routes/leaderboard');
 const adminRoutes = require('./routes/admin');
 const feedRoutes = require('./routes/feed');
 const dropdownRoutes = require('./routes/dropdowns');
+const followRoutes = require('./routes/follows');
+const notificationRoutes = require('./routes/notifications');
+const realtimeRoutes = require('./routes/realtime');
 
 const app = express();
 
@@ -87,6 +90,9 @@ app.use('/api/leaderboard', leaderboardRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/feed', feedRoutes);
 app.use('/api/dropdowns', dropdownRoutes);
+app.use('/api/follows', followRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
 
 // Serve static files (uploads)
 app.use('/uploads', express.static('uploads'));
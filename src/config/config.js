@@ -1,5 +1,14 @@
 require('dotenv').config();
 
+// Parse "key:value,key:value" env strings into an object
+const parseMapping = (value) => {
+  return String(value || '')
+    .split(',')
+    .map((pair) => pair.split(':').map((part) => part.trim()))
+    .filter(([key, mapped]) => key && mapped)
+    .reduce((acc, [key, mapped]) => ({ ...acc, [key]: mapped }), {});
+};
+
 const config = {
   // Server Configuration
   port: process.env.PORT || 3001,
@@ -22,27 +31,118 @@ const config = {
     refreshExpire: process.env.JWT_REFRESH_EXPIRE || '30d'
   },
   
+  // Two-Factor Authentication Configuration
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'Xerago Community',
+    // Roles with any privileged permission must enable 2FA to use them
+    enforced: process.env.TWO_FACTOR_ENFORCED !== 'false',
+    challengeExpire: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  },
+  
+  // Admin Impersonation Configuration
+  impersonation: {
+    expire: process.env.IMPERSONATION_EXPIRE || '15m'
+  },
+  
+  // Forum Configuration
+  forum: {
+    // Levels of replies allowed, counting top-level replies as the first
+    maxReplyDepth: parseInt(process.env.FORUM_MAX_REPLY_DEPTH) || 5,
+    maxPollOptions: parseInt(process.env.FORUM_MAX_POLL_OPTIONS) || 10
+  },
+
+  // Real-time (Server-Sent Events) Configuration
+  realtime: {
+    // Comment line sent on idle streams so proxies keep them open
+    heartbeatInterval: parseInt(process.env.REALTIME_HEARTBEAT_MS) || 25000,
+    // Lifetime of the stream tickets browsers use instead of a header, in seconds
+    ticketTtl: parseInt(process.env.REALTIME_TICKET_TTL) || 60,
+    maxTopics: parseInt(process.env.REALTIME_MAX_TOPICS) || 20
+  },
+  
+  // Background Job Configuration (see worker.js)
+  jobs: {
+    // How often an idle worker looks for due jobs
+    pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+    // Attempts before a failing job is dead-lettered
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+    backoffMs: parseInt(process.env.JOB_BACKOFF_MS) || 30 * 1000, // doubles with every further attempt
+    maxBackoffMs: parseInt(process.env.JOB_MAX_BACKOFF_MS) || 60 * 60 * 1000,
+    // A running job not heard from for this long is taken over by another worker
+    lockTimeoutMs: parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000,
+    // Days completed jobs stay visible in the admin view
+    retentionDays: parseInt(process.env.JOB_RETENTION_DAYS) || 14
+  },
+  
+  // Personal API Key Configuration
+  apiKeys: {
+    maxPerUser: parseInt(process.env.API_KEY_MAX_PER_USER) || 10,
+    defaultExpiryDays: parseInt(process.env.API_KEY_DEFAULT_EXPIRY_DAYS) || 90,
+    maxExpiryDays: parseInt(process.env.API_KEY_MAX_EXPIRY_DAYS) || 365,
+    rateLimitWindowMs: parseInt(process.env.API_KEY_RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+    rateLimitMax: parseInt(process.env.API_KEY_RATE_LIMIT_MAX) || 60
+  },
+  
+  // Account Lockout Configuration (per user, on top of the IP rate limits)
+  accountLockout: {
+    freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+    delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS) || 1000, // doubles with every further failure
+    delayMaxMs: parseInt(process.env.LOGIN_DELAY_MAX_MS) || 60 * 1000, // 1 minute
+    lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000 // 15 minutes
+  },
+  
+  // Account Deletion Configuration
+  accountDeletion: {
+    graceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30
+  },
+  
+  // OpenID Connect Single Sign-On Configuration
+  oidc: {
+    enabled: process.env.OIDC_ENABLED === 'true',
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.CORS_ORIGIN || 'http://localhost:3000'}/auth/sso/callback`,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile groups',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    roleGroups: parseMapping(process.env.OIDC_ROLE_GROUPS),
+    departmentGroups: parseMapping(process.env.OIDC_DEPARTMENT_GROUPS),
+    stateExpireMs: parseInt(process.env.OIDC_STATE_EXPIRE_MS) || 10 * 60 * 1000 // 10 minutes
+  },
+  
   // Email Configuration
   email: {
     smtp: {
       host: process.env.SMTP_HOST || 'smtp.gmail.com',
       port: process.env.SMTP_PORT || 587,
-      secure: false,
-      auth: {
+      secure: process.env.SMTP_SECURE === 'true',
+      // Left out when SMTP_USER is empty, e.g. for a local SMTP catcher
+      auth: process.env.SMTP_USER ? {
         user: process.env.SMTP_USER,
         pass: process.env.SMTP_PASS
-      }
+      } : undefined
     },
     from: {
       email: process.env.FROM_EMAIL || 'noreply@xerago.com',
       name: process.env.FROM_NAME || 'Xerago Community'
     }
   },
+
+  // Email Digest Configuration
+  digest: {
+    // Threads, articles and events listed per section
+    itemsPerSection: parseInt(process.env.DIGEST_ITEMS_PER_SECTION) || 5,
+    // How far ahead to look for upcoming events, in days
+    eventHorizonDays: parseInt(process.env.DIGEST_EVENT_HORIZON_DAYS) || 14
+  },
   
   // File Upload Configuration
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760, // 10MB
     uploadPath: process.env.UPLOAD_PATH || './uploads',
+    // Uploads older than this are deleted by the job worker; unset keeps them
+    retentionDays: parseInt(process.env.UPLOAD_RETENTION_DAYS) || null,
     allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf', 'text/plain']
   },
   
@@ -71,6 +171,7 @@ const config = {
       articleLike: parseInt(process.env.POINTS_ARTICLE_LIKE) || 2,
       forumPost: parseInt(process.env.POINTS_FORUM_POST) || 5,
       forumReply: parseInt(process.env.POINTS_FORUM_REPLY) || 3,
+      forumAnswerAccepted: parseInt(process.env.POINTS_FORUM_ANSWER_ACCEPTED) || 15,
       eventAttend: parseInt(process.env.POINTS_EVENT_ATTEND) || 8,
       eventCreate: parseInt(process.env.POINTS_EVENT_CREATE) || 15
     }
@@ -0,0 +1,158 @@
+// Permission catalogue. Routes check these keys through `can()`; roles are
+// named sets of them. A `.own` key grants the same action on resources the
+// user owns (author or organizer).
+const PERMISSIONS = {
+  // Forums
+  'forum.post.update': 'Edit any forum post',
+  'forum.post.update.own': 'Edit own forum posts',
+  'forum.post.delete': 'Delete any forum post',
+  'forum.post.delete.own': 'Delete own forum posts',
+  'forum.post.approve': 'Approve posts and see posts awaiting approval',
+  'forum.post.accept_answer': 'Accept the answer on any forum post',
+  'forum.post.moderate': 'Pin, lock, close and archive forum threads',
+  'forum.post.accept_answer.own': 'Accept the answer on own forum posts',
+  'forum.reply.update': 'Edit any forum reply',
+  'forum.reply.update.own': 'Edit own forum replies',
+  'forum.reply.delete': 'Remove any forum reply',
+  'forum.reply.delete.own': 'Delete own forum replies',
+  'forum.reply.revisions.view': 'See the edit history of forum replies',
+
+  // Articles
+  'article.update': 'Edit any article, including published ones',
+  'article.update.own': 'Edit own articles before they are published',
+  'article.delete': 'Delete any article',
+  'article.delete.own': 'Delete own articles',
+  'article.publish': 'Publish, archive and review draft articles',
+
+  // Events
+  'event.update': 'Edit any event',
+  'event.update.own': 'Edit own events',
+  'event.delete': 'Delete any event',
+  'event.delete.own': 'Delete own events',
+  'event.attendees.view': 'See attendees of any event',
+  'event.attendees.view.own': 'See attendees of own events',
+
+  // Users
+  'user.view': 'List users in the admin panel',
+  'user.profile.view_private': 'See private and limited profiles in full',
+  'user.role.assign': 'Change user roles',
+  'user.status.update': 'Activate and deactivate users',
+  'user.unlock': 'Lift login lockouts',
+  'user.sessions.manage': 'View and revoke user sessions',
+  'user.data.export': 'Export a user\'s personal data',
+  'user.delete': 'Delete and restore users',
+  'user.impersonate': 'View the platform as another user',
+
+  // Moderation and platform
+  'report.view': 'See content reports',
+  'report.manage': 'Resolve content reports',
+  'analytics.view': 'See platform statistics and analytics',
+  'achievement.manage': 'Create, edit and delete achievements',
+  'settings.manage': 'Change platform settings',
+  'dropdown.manage': 'Manage dropdown options',
+  'job.manage': 'See background jobs and retry dead ones',
+  'role.manage': 'Create and edit roles'
+};
+
+// Grants every permission, including ones added later
+const ALL_PERMISSIONS = '*';
+
+const USER_PERMISSIONS = [
+  'forum.post.update.own',
+  'forum.post.delete.own',
+  'forum.post.accept_answer.own',
+  'forum.reply.update.own',
+  'forum.reply.delete.own',
+  'article.update.own',
+  'event.update.own',
+  'event.delete.own',
+  'event.attendees.view.own'
+];
+
+const MODERATOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'forum.post.update',
+  'forum.post.delete',
+  'forum.post.approve',
+  'forum.post.accept_answer',
+  'forum.post.moderate',
+  'forum.reply.update',
+  'forum.reply.delete',
+  'forum.reply.revisions.view',
+  'article.update',
+  'article.publish',
+  'event.update',
+  'event.delete',
+  'event.attendees.view',
+  'user.profile.view_private',
+  'report.view'
+];
+
+// Built-in roles. They are created on seed and can be edited (except
+// super_admin) but not deleted.
+const DEFAULT_ROLES = {
+  user: {
+    description: 'Community member',
+    permissions: USER_PERMISSIONS
+  },
+  moderator: {
+    description: 'Keeps discussions healthy and reviews content',
+    permissions: MODERATOR_PERMISSIONS
+  },
+  admin: {
+    description: 'Runs the platform',
+    permissions: Object.keys(PERMISSIONS).filter((permission) => permission !== 'role.manage')
+  },
+  super_admin: {
+    description: 'Full access, including role management',
+    permissions: [ALL_PERMISSIONS]
+  }
+};
+
+// Scopes a personal API key can be granted. A key can only ever act for
+// its owner, and only within these.
+const API_KEY_SCOPES = {
+  'read:feed': 'Read the activity feed',
+  'read:forum': 'Read forum posts',
+  'write:forum': 'Create and edit forum posts and replies',
+  'read:articles': 'Read articles',
+  'write:articles': 'Create and edit articles',
+  'read:events': 'Read events',
+  'write:events': 'Create events and RSVP',
+  'read:leaderboard': 'Read leaderboards and achievements',
+  'read:profile': 'Read profiles and the people directory',
+  'read:follows': 'Read what the owner follows',
+  'write:follows': 'Follow and unfollow',
+  'read:notifications': 'Read the owner\'s notifications',
+  'write:notifications': 'Mark notifications as read'
+};
+
+// A role can be limited to part of the content. The first segment of a
+// permission picks the scope list on the role and the resource field it is
+// matched against.
+const SCOPES = {
+  forum: { key: 'forumCategories', field: 'category' },
+  article: { key: 'articleCategories', field: 'category' },
+  event: { key: 'eventTags', field: 'tags' }
+};
+
+/**
+ * Scope that applies to a permission, if any
+ */
+const getScope = (permission) => SCOPES[permission.split('.')[0]] || null;
+
+/**
+ * Permissions that members do not get by default. Users whose role holds
+ * any of them must enable two-factor authentication.
+ */
+const isPrivileged = (permission) => !USER_PERMISSIONS.includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  SCOPES,
+  API_KEY_SCOPES,
+  getScope,
+  isPrivileged
+};
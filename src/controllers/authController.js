@@ -1,10 +1,145 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const OidcState = require('../models/OidcState');
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+const ApiKey = require('../models/ApiKey');
+const Job = require('../models/Job');
+const Role = require('../models/Role');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { sendWelcomeEmail, sendEmailVerification, sendPasswordResetEmail } = require('../utils/email');
-const { generateRandomString } = require('../utils/helpers');
+const { sendEmailVerification, sendPasswordResetEmail, sendUnusualSignInEmail } = require('../utils/email');
+const { generateRandomString, hashToken, describeUserAgent } = require('../utils/helpers');
+const totp = require('../utils/totp');
+const oidc = require('../utils/oidc');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+// Client details recorded on the session at login and refresh
+const getClient = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+const TWO_FACTOR_CHALLENGE = '2fa_challenge';
+
+// Reject the attempt when the account is locked or still inside its progressive delay
+const rejectThrottledLogin = (res, user) => {
+  const retryAfter = user.getLoginRetryAfter();
+  if (!retryAfter) return false;
+
+  res.status(user.isLocked ? 423 : 429).json({
+    success: false,
+    message: user.isLocked
+      ? 'Account temporarily locked due to too many failed login attempts'
+      : 'Too many failed login attempts, please wait before trying again',
+    retryAfter
+  });
+  return true;
+};
+
+// Count a failed password or two-factor attempt and alert the owner on lockout
+const recordFailedLogin = async (req, user) => {
+  const { attempts, locked } = await user.registerFailedLogin(req.ip);
+
+  if (locked) {
+    logger.logSecurityEvent('account_locked', { userId: user._id, attempts, ip: req.ip });
+    try {
+      await sendUnusualSignInEmail(user, {
+        locked: true,
+        attempts,
+        ip: req.ip,
+        device: describeUserAgent(req.get('User-Agent')),
+        lockedUntil: user.loginSecurity.lockedUntil
+      });
+    } catch (error) {
+      logger.error('Failed to send account locked email:', error);
+    }
+  }
+
+  return locked;
+};
+
+// Issue a session for a fully authenticated user and send the login response
+const completeLogin = async (req, res, user) => {
+  // A success after several failures may mean the password was guessed
+  const failedAttempts = user.loginSecurity?.failedAttempts || 0;
+  if (failedAttempts) {
+    if (failedAttempts >= config.accountLockout.freeAttempts) {
+      logger.logSecurityEvent('login_after_failed_attempts', { userId: user._id, attempts: failedAttempts, ip: req.ip });
+      try {
+        await sendUnusualSignInEmail(user, {
+          locked: false,
+          attempts: failedAttempts,
+          ip: req.ip,
+          device: describeUserAgent(req.get('User-Agent'))
+        });
+      } catch (error) {
+        logger.error('Failed to send unusual sign-in email:', error);
+      }
+    }
+    await user.resetLoginAttempts();
+  }
+
+  // Update last login
+  await user.updateLastLogin();
+
+  // Start a session and generate tokens
+  const { token, refreshToken } = await Session.start(user, getClient(req));
+
+  logger.logUserAction(user._id, 'user_login', { email: user.email });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        department: user.department,
+        role: user.role,
+        avatar: user.avatar,
+        isEmailVerified: user.isEmailVerified,
+        twoFactor: {
+          enabled: user.twoFactor?.enabled || false,
+          required: await user.isTwoFactorRequired()
+        },
+        gamification: {
+          points: user.gamification.points,
+          level: user.gamification.level
+        }
+      },
+      token,
+      refreshToken
+    }
+  });
+};
+
+// Hand out a short-lived two-factor challenge when required, otherwise log the user in
+const startLogin = async (req, res, user) => {
+  if (user.twoFactor?.enabled) {
+    const challengeToken = jwt.sign(
+      { id: user._id, purpose: TWO_FACTOR_CHALLENGE },
+      config.jwt.secret,
+      { expiresIn: config.twoFactor.challengeExpire }
+    );
+
+    logger.logUserAction(user._id, 'login_2fa_challenge', { email: user.email });
+
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken
+      }
+    });
+  }
+
+  await completeLogin(req, res, user);
+};
 
 /**
  * @desc    Register user
@@ -40,24 +175,18 @@ const register = asyncHandler(async (req, res) => {
   user.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
   await user.save();
 
-  // Send welcome email
+  // Welcome and verification emails are sent by the job worker, with retries
   try {
-    await sendWelcomeEmail(user);
+    await Promise.all([
+      Job.enqueue('email.welcome', { userId: user._id }),
+      Job.enqueue('email.verification', { userId: user._id })
+    ]);
   } catch (error) {
-    logger.error('Failed to send welcome email:', error);
+    logger.error('Failed to queue registration emails:', error);
   }
 
-  // Send email verification
-  try {
-    const verificationUrl = `${config.cors.origin}/verify-email?token=${verificationToken}`;
-    await sendEmailVerification(user, verificationUrl);
-  } catch (error) {
-    logger.error('Failed to send verification email:', error);
-  }
-
-  // Generate tokens
-  const token = user.generateAuthToken();
-  const refreshToken = user.generateRefreshToken();
+  // Start a session and generate tokens
+  const { token, refreshToken } = await Session.start(user, getClient(req));
 
   logger.logUserAction(user._id, 'user_registered', { email: user.email });
 
@@ -116,45 +245,197 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
+  if (rejectThrottledLogin(res, user)) return;
+
   // Check password
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    if (await recordFailedLogin(req, user)) {
+      return rejectThrottledLogin(res, user);
+    }
     return res.status(401).json({
       success: false,
       message: 'Invalid email or password'
     });
   }
 
-  // Update last login
-  await user.updateLastLogin();
+  await startLogin(req, res, user);
+});
 
-  // Generate tokens
-  const token = user.generateAuthToken();
-  const refreshToken = user.generateRefreshToken();
+/**
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
 
-  logger.logUserAction(user._id, 'user_login', { email: user.email });
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, config.jwt.secret);
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired two-factor challenge'
+    });
+  }
+
+  const user = await User.findById(decoded.id)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+  if (!user || !user.isActive || !user.twoFactor?.enabled) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired two-factor challenge'
+    });
+  }
+
+  if (rejectThrottledLogin(res, user)) return;
+
+  const verified = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+  if (!verified) {
+    logger.logSecurityEvent('2fa_failed', { userId: user._id, ip: req.ip, method: code ? 'totp' : 'recovery_code' });
+    if (await recordFailedLogin(req, user)) {
+      return rejectThrottledLogin(res, user);
+    }
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  if (recoveryCode) {
+    logger.logSecurityEvent('2fa_recovery_code_used', { userId: user._id, ip: req.ip });
+  }
+
+  await completeLogin(req, res, user);
+});
+
+/**
+ * @desc    Start single sign-on with the company identity provider
+ * @route   GET /api/auth/oidc/authorize
+ * @access  Public
+ */
+const oidcAuthorize = asyncHandler(async (req, res) => {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not enabled'
+    });
+  }
+
+  const { url, state, nonce, codeVerifier } = await oidc.createAuthorizationRequest();
+
+  await OidcState.create({
+    state,
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + config.oidc.stateExpireMs)
+  });
 
   res.json({
     success: true,
-    message: 'Login successful',
-    data: {
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        department: user.department,
-        role: user.role,
-        avatar: user.avatar,
-        isEmailVerified: user.isEmailVerified,
-        gamification: {
-          points: user.gamification.points,
-          level: user.gamification.level
-        }
-      },
-      token,
-      refreshToken
+    data: { authorizationUrl: url, state }
+  });
+});
+
+/**
+ * @desc    Complete single sign-on with the authorization code
+ * @route   POST /api/auth/oidc/callback
+ * @access  Public
+ */
+const oidcCallback = asyncHandler(async (req, res) => {
+  const { code, state } = req.body;
+
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not enabled'
+    });
+  }
+
+  const pending = await OidcState.consume(state);
+  if (!pending) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired sign-on request'
+    });
+  }
+
+  let profile;
+  try {
+    const claims = await oidc.exchangeCode({ code, codeVerifier: pending.codeVerifier, nonce: pending.nonce });
+    profile = oidc.mapClaimsToProfile(claims);
+  } catch (error) {
+    logger.logSecurityEvent('oidc_login_failed', { ip: req.ip, reason: error.message });
+    return res.status(401).json({
+      success: false,
+      message: 'Single sign-on failed'
+    });
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    return res.status(401).json({
+      success: false,
+      message: 'Your identity provider did not return a verified email address'
+    });
+  }
+
+  // Prefer the account already linked to this identity, then link by email
+  let user = await User.findOne({ 'sso.issuer': profile.issuer, 'sso.subject': profile.subject });
+  if (!user) {
+    user = await User.findByEmail(profile.email);
+    if (user?.sso?.subject && (user.sso.subject !== profile.subject || user.sso.issuer !== profile.issuer)) {
+      logger.logSecurityEvent('oidc_link_conflict', { userId: user._id, issuer: profile.issuer, ip: req.ip });
+      return res.status(409).json({
+        success: false,
+        message: 'This account is already linked to a different corporate identity'
+      });
     }
+  }
+
+  const isNewUser = !user;
+  if (isNewUser) {
+    user = new User({
+      name: (profile.name || profile.email.split('@')[0]).slice(0, 50),
+      email: profile.email,
+      // Never used: SSO users sign in through the identity provider
+      password: generateRandomString(32)
+    });
+  }
+
+  if (!user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is deactivated'
+    });
+  }
+
+  user.sso = { issuer: profile.issuer, subject: profile.subject, lastLoginAt: new Date() };
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationCode = undefined;
+  user.emailVerificationExpires = undefined;
+  // Group mappings only manage members and the roles they map to; anything
+  // else, such as super_admin or a custom scoped role, was given by an admin
+  const mappedRole = await Role.pickHighest(profile.roles);
+  if (profile.roles.length > 0 && !mappedRole) {
+    logger.warn(`OIDC_ROLE_GROUPS maps ${user.email} to unknown roles: ${profile.roles.join(', ')}`);
+  }
+  const managedRoles = [User.schema.path('role').defaultValue, ...Object.values(config.oidc.roleGroups)];
+  if (mappedRole && (isNewUser || managedRoles.includes(user.role))) user.role = mappedRole;
+  if (profile.department) user.department = profile.department;
+  await user.save();
+
+  logger.logUserAction(user._id, isNewUser ? 'user_provisioned_sso' : 'sso_login', {
+    email: user.email,
+    issuer: profile.issuer
   });
+
+  await startLogin(req, res, user);
 });
 
 /**
@@ -172,35 +453,52 @@ const refreshToken = asyncHandler(async (req, res) => {
     });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
-    const user = await User.findById(decoded.id);
+    decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid refresh token'
+    });
+  }
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token'
+  const user = await User.findById(decoded.id);
+  if (!user || !user.isActive || !decoded.sid) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid refresh token'
+    });
+  }
+
+  const rotated = await Session.rotate(decoded, refreshToken, getClient(req));
+  if (!rotated) {
+    // A validly signed token that is no longer current means it was already
+    // rotated: assume it leaked and kill the whole family.
+    const session = await Session.findOne({ familyId: decoded.sid }).select('+refreshTokenHash');
+    if (session && !session.revokedAt && session.refreshTokenHash !== hashToken(refreshToken)) {
+      await Session.revokeFamily(session.familyId, 'reuse_detected');
+      logger.logSecurityEvent('refresh_token_reuse', {
+        userId: user._id,
+        familyId: session.familyId,
+        ip: req.ip
       });
     }
 
-    // Generate new tokens
-    const newToken = user.generateAuthToken();
-    const newRefreshToken = user.generateRefreshToken();
-
-    res.json({
-      success: true,
-      message: 'Token refreshed successfully',
-      data: {
-        token: newToken,
-        refreshToken: newRefreshToken
-      }
-    });
-  } catch (error) {
     return res.status(401).json({
       success: false,
       message: 'Invalid refresh token'
     });
   }
+
+  res.json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: {
+      token: user.generateAuthToken(rotated.session.familyId),
+      refreshToken: rotated.refreshToken
+    }
+  });
 });
 
 /**
@@ -209,6 +507,8 @@ const refreshToken = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const logout = asyncHandler(async (req, res) => {
+  await Session.revokeFamily(req.sessionId, 'logout');
+
   logger.logUserAction(req.user._id, 'user_logout', { email: req.user.email });
 
   res.json({
@@ -285,6 +585,9 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.passwordResetExpires = undefined;
   await user.save();
 
+  // Sign out every device that used the old password
+  await Session.revokeAllForUser(user._id, 'password_reset');
+
   logger.logUserAction(user._id, 'password_reset_completed', { email: user.email });
 
   res.json({
@@ -398,6 +701,10 @@ const getMe = asyncHandler(async (req, res) => {
         avatar: user.avatar,
         bio: user.bio,
         isEmailVerified: user.isEmailVerified,
+        twoFactor: {
+          enabled: user.twoFactor?.enabled || false,
+          required: await user.isTwoFactorRequired()
+        },
         lastLogin: user.lastLogin,
         gamification: {
           points: user.gamification.points,
@@ -408,19 +715,360 @@ const getMe = asyncHandler(async (req, res) => {
         preferences: user.preferences,
         socialLinks: user.socialLinks,
         createdAt: user.createdAt
-      }
+      },
+      impersonation: req.impersonation ? {
+        id: req.impersonation._id,
+        impersonatedBy: {
+          id: req.impersonator._id,
+          name: req.impersonator.name,
+          email: req.impersonator.email
+        },
+        expiresAt: req.impersonation.expiresAt
+      } : null
+    }
+  });
+});
+
+/**
+ * @desc    End the impersonation the current token belongs to
+ * @route   POST /api/auth/impersonation/stop
+ * @access  Private (impersonation token)
+ */
+const stopImpersonation = asyncHandler(async (req, res) => {
+  if (!req.impersonation) {
+    return res.status(400).json({
+      success: false,
+      message: 'You are not impersonating anyone'
+    });
+  }
+
+  await Impersonation.end(req.impersonation._id, req.impersonator._id);
+  await AuditLog.create({
+    method: req.method,
+    route: req.originalUrl,
+    statusCode: 200,
+    user: req.impersonator._id,
+    impersonation: req.impersonation._id,
+    action: 'impersonation_stopped'
+  });
+
+  logger.logSecurityEvent('impersonation_stopped', {
+    adminId: req.impersonator._id,
+    targetUserId: req.user._id,
+    impersonationId: req.impersonation._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Impersonation ended'
+  });
+});
+
+/**
+ * @desc    Start two-factor enrollment
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor?.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const secret = totp.generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  logger.logUserAction(user._id, '2fa_setup_started', { email: user.email });
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUrl: totp.buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: config.twoFactor.issuer
+      })
+    }
+  });
+});
+
+/**
+ * @desc    Confirm two-factor enrollment
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret +twoFactor.recoveryCodes');
+
+  if (user.twoFactor?.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const step = user.twoFactor?.pendingSecret ? totp.verifyToken(user.twoFactor.pendingSecret, code) : null;
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  logger.logUserAction(user._id, '2fa_enabled', { email: user.email });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: { recoveryCodes }
+  });
+});
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const user = await User.findById(req.user._id)
+    .select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+
+  if (await user.isTwoFactorRequired()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for your role'
+    });
+  }
+
+  if (!user.twoFactor?.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  const isPasswordValid = await user.comparePassword(password);
+  if (!isPasswordValid || !user.verifyTwoFactorCode(code)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid password or two-factor code'
+    });
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+
+  logger.logUserAction(user._id, '2fa_disabled', { email: user.email });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * @desc    Regenerate two-factor recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user._id)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user.verifyTwoFactorCode(code)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  logger.logUserAction(user._id, '2fa_recovery_codes_regenerated', { email: user.email });
+
+  res.json({
+    success: true,
+    message: 'Recovery codes regenerated',
+    data: { recoveryCodes }
+  });
+});
+
+/**
+ * @desc    List active sessions of current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map((session) => session.toSummary(req.sessionId))
+    }
+  });
+});
+
+/**
+ * @desc    Revoke one of current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.revokeById(req.user._id, req.params.id, 'user_revoked', req.user._id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  logger.logUserAction(req.user._id, 'session_revoked', { sessionId: session._id });
+
+  res.json({
+    success: true,
+    message: 'Session revoked'
+  });
+});
+
+/**
+ * @desc    Sign out of every session except the current one
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const result = await Session.revokeAllForUser(req.user._id, 'signed_out_elsewhere', {
+    exceptFamilyId: req.sessionId,
+    revokedBy: req.user._id
+  });
+
+  logger.logUserAction(req.user._id, 'sessions_revoked', { count: result.modifiedCount });
+
+  res.json({
+    success: true,
+    message: 'Signed out of all other sessions',
+    data: { revoked: result.modifiedCount }
+  });
+});
+
+/**
+ * @desc    List the API key scopes and current user's active API keys
+ * @route   GET /api/auth/api-keys
+ * @access  Private
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.findActiveForUser(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      apiKeys: apiKeys.map((apiKey) => apiKey.toSummary()),
+      scopes: Object.entries(API_KEY_SCOPES).map(([key, description]) => ({ key, description }))
     }
   });
 });
 
+/**
+ * @desc    Create a personal API key
+ * @route   POST /api/auth/api-keys
+ * @access  Private
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const activeCount = await ApiKey.countDocuments({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (activeCount >= config.apiKeys.maxPerUser) {
+    return res.status(400).json({
+      success: false,
+      message: `You can have at most ${config.apiKeys.maxPerUser} active API keys. Revoke one first.`
+    });
+  }
+
+  const { apiKey, key } = await ApiKey.issue(req.user._id, {
+    name,
+    scopes,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  logger.logUserAction(req.user._id, 'api_key_created', { apiKeyId: apiKey._id, scopes });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now, it will not be shown again.',
+    data: {
+      key,
+      apiKey: apiKey.toSummary()
+    }
+  });
+});
+
+/**
+ * @desc    Revoke one of current user's API keys
+ * @route   DELETE /api/auth/api-keys/:id
+ * @access  Private
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.revokeById(req.user._id, req.params.id);
+  if (!apiKey) {
+    return res.status(404).json({
+      success: false,
+      message: 'API key not found'
+    });
+  }
+
+  logger.logUserAction(req.user._id, 'api_key_revoked', { apiKeyId: apiKey._id });
+
+  res.json({
+    success: true,
+    message: 'API key revoked'
+  });
+});
+
 module.exports = {
   register,
   login,
+  loginTwoFactor,
+  oidcAuthorize,
+  oidcCallback,
   refreshToken,
   logout,
   forgotPassword,
   resetPassword,
   verifyEmail,
   resendVerification,
-  getMe
+  getMe,
+  stopImpersonation,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
 };
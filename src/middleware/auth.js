@@ -1,13 +1,166 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const { apiKeyLimiter } = require('./rateLimiter');
+const { isPrivileged } = require('../config/permissions');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// State-changing requests still allowed while impersonating
+const IMPERSONATION_ALLOWED_WRITES = ['/api/auth/impersonation/stop'];
+
+/**
+ * Load the impersonation behind a flagged token; null once it has ended
+ */
+const resolveImpersonation = async (decoded) => {
+  const impersonation = await Impersonation.findActive(decoded.imp);
+  if (!impersonation
+    || impersonation.targetUser.toString() !== decoded.id
+    || impersonation.admin.toString() !== decoded.act?.sub) {
+    return null;
+  }
+
+  const admin = await User.findById(impersonation.admin).select('name email role isActive');
+  if (!admin || !admin.isActive || !(await Role.grants(admin.role, 'user.impersonate'))) return null;
+
+  return { impersonation, admin };
+};
+
+/**
+ * Audit every impersonated request and keep impersonation read-only.
+ * Returns false when the request was rejected.
+ */
+const guardImpersonatedRequest = (req, res) => {
+  res.set('X-Impersonated-By', req.impersonator._id.toString());
+
+  res.on('finish', () => {
+    AuditLog.create({
+      method: req.method,
+      route: req.originalUrl,
+      statusCode: res.statusCode,
+      user: req.user._id,
+      impersonatedBy: req.impersonator._id,
+      impersonation: req.impersonation._id,
+      action: 'impersonated_request'
+    }).catch(() => {});
+    Impersonation.updateOne({ _id: req.impersonation._id }, { $inc: { requestCount: 1 } }).catch(() => {});
+  });
+
+  const path = req.originalUrl.split('?')[0];
+  if (!SAFE_METHODS.includes(req.method) && !IMPERSONATION_ALLOWED_WRITES.includes(path)) {
+    res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_READ_ONLY',
+      message: 'This action is not allowed while impersonating a user.'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Route prefixes personal API keys work on, and the scope area each needs.
+// Reads need `read:<area>`, everything else `write:<area>`.
+const API_KEY_AREAS = {
+  '/api/feed': 'feed',
+  '/api/forums': 'forum',
+  '/api/articles': 'articles',
+  '/api/events': 'events',
+  '/api/leaderboard': 'leaderboard',
+  '/api/users': 'profile',
+  '/api/follows': 'follows',
+  '/api/notifications': 'notifications'
+};
+
+/**
+ * Read an API key from "Authorization: ApiKey <key>" or X-API-Key
+ */
+const getApiKey = (req) => {
+  const header = req.header('Authorization');
+  if (header?.startsWith('ApiKey ')) return header.slice('ApiKey '.length).trim();
+  return req.header('X-API-Key') || null;
+};
+
+/**
+ * Scope an API key needs for this request; null where keys are not accepted
+ */
+const getRequiredScope = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  const prefix = Object.keys(API_KEY_AREAS).find((p) => path === p || path.startsWith(`${p}/`));
+  if (!prefix) return null;
+  return `${SAFE_METHODS.includes(req.method) ? 'read' : 'write'}:${API_KEY_AREAS[prefix]}`;
+};
+
+/**
+ * Authenticate a request made with a personal API key, then apply the
+ * per-key rate limit. Responds with the error when the key cannot be used.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await ApiKey.findUsable(key);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API key.'
+    });
+  }
+
+  const scope = getRequiredScope(req);
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      code: 'API_KEY_SCOPE',
+      message: scope
+        ? `This API key does not have the '${scope}' scope.`
+        : 'API keys cannot be used for this endpoint.'
+    });
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API key.'
+    });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  apiKey.recordUse(req.ip).catch((error) => logger.error('Failed to record API key use:', error));
+
+  apiKeyLimiter(req, res, next);
+};
+
+/**
+ * Middleware to refuse personal API keys on a route inside an area they
+ * otherwise work on, such as exporting or deleting the account
+ */
+const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      code: 'API_KEY_SCOPE',
+      message: 'API keys cannot be used for this endpoint.'
+    });
+  }
+  next();
+};
+
 /**
  * Middleware to authenticate JWT token
  */
 const authenticate = async (req, res, next) => {
   try {
+    const apiKey = getApiKey(req);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
@@ -34,6 +187,31 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Impersonation tokens are tied to the impersonation, not to a login session
+    if (decoded.imp) {
+      const context = await resolveImpersonation(decoded);
+      if (!context) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation session has ended.'
+        });
+      }
+
+      req.user = user;
+      req.impersonator = context.admin;
+      req.impersonation = context.impersonation;
+      if (guardImpersonatedRequest(req, res)) next();
+      return;
+    }
+
+    // Reject tokens whose session was logged out or revoked
+    if (!(await Session.isActiveFamily(decoded.sid, user._id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.'
+      });
+    }
+
     // Inactivity auto-logout: if lastActivity older than maxIdleMs, force re-auth
     const maxIdleMs = (config.session && config.session.maxIdleMs) || (30 * 60 * 1000); // default 30 mins
     const lastActivity = req.session?.lastActivity || req.headers['x-last-activity'];
@@ -43,6 +221,7 @@ const authenticate = async (req, res, next) => {
 
     // Attach user and mark request activity
     req.user = user;
+    req.sessionId = decoded.sid;
     if (req.session) req.session.lastActivity = Date.now();
     next();
   } catch (error) {
@@ -70,10 +249,10 @@ const authenticate = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user has required role
+ * Middleware to enforce two-factor enrollment for roles with privileged permissions
  */
-const authorize = (...roles) => {
-  return (req, res, next) => {
+const requireTwoFactor = async (req, res, next) => {
+  try {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -81,55 +260,107 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!req.user.twoFactor?.enabled && await req.user.isTwoFactorRequired()) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Insufficient permissions.'
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Two-factor authentication must be enabled for your role. Set it up via /api/auth/2fa/setup.'
       });
     }
 
     next();
-  };
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
- * Middleware to check if user is admin
+ * Check whether a user's role grants a permission, optionally on a resource
+ * that has to fall within the role's scope
  */
-const requireAdmin = authorize('admin');
+const hasPermission = async (user, permission, resource) => {
+  if (!user) return false;
+  return Role.grants(user.role, permission, resource);
+};
 
 /**
- * Middleware to check if user is moderator or admin
+ * Query filter for the resources a user may act on with a permission;
+ * null when the permission is not granted
  */
-const requireModerator = authorize('moderator', 'admin');
+const permissionScope = async (user, permission) => {
+  if (!user) return null;
+  return Role.scopeFilter(user.role, permission);
+};
 
 /**
- * Middleware to check if user owns the resource or is admin/moderator
+ * Middleware to require a permission from the catalogue in config/permissions.
+ * With a resource ({ model, ownerField = 'author', param = 'id', name }) the
+ * document is loaded into req.resource, and owners are also let through when
+ * their role grants the `<permission>.own` variant, and everyone else only
+ * when the resource is within their role's scope. A resource may name a
+ * `child` ({ model, parentField, param, name }) belonging to it, such as a
+ * reply of a post; it is loaded into req.subresource and ownership is taken
+ * from it instead, while scope still comes from the parent. Privileged
+ * permissions also require two-factor enrollment.
  */
-const requireOwnershipOrAdmin = (resourceUserIdField = 'author') => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required.'
-      });
-    }
+const can = (permission, resource) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required.'
+        });
+      }
 
-    // Admin and moderators can access any resource
-    if (['admin', 'moderator'].includes(req.user.role)) {
-      return next();
-    }
+      let isOwner = false;
+      if (resource) {
+        const { model, ownerField = 'author', param = 'id', name = model.modelName } = resource;
+        req.resource = await model.findById(req.params[param]);
+        if (!req.resource) {
+          return res.status(404).json({
+            success: false,
+            message: `${name} not found`
+          });
+        }
 
-    // Check if user owns the resource
-    const resourceUserId = req.params[resourceUserIdField] || req.body[resourceUserIdField];
-    
-    if (resourceUserId && resourceUserId.toString() === req.user._id.toString()) {
-      return next();
-    }
+        let owned = req.resource;
+        if (resource.child) {
+          const { model: childModel, parentField, param: childParam, name: childName } = resource.child;
+          req.subresource = await childModel.findOne({ _id: req.params[childParam], [parentField]: req.resource._id });
+          if (!req.subresource) {
+            return res.status(404).json({
+              success: false,
+              message: `${childName} not found`
+            });
+          }
+          owned = req.subresource;
+        }
+        isOwner = owned[ownerField]?.toString() === req.user._id.toString();
+      }
 
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. You can only access your own resources.'
-    });
+      let granted = null;
+      if (isOwner && await hasPermission(req.user, `${permission}.own`)) {
+        granted = `${permission}.own`;
+      } else if (await hasPermission(req.user, permission, req.resource)) {
+        granted = permission;
+      }
+
+      if (!granted) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Insufficient permissions.'
+        });
+      }
+
+      if (isPrivileged(granted)) {
+        return requireTwoFactor(req, res, next);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
@@ -160,14 +391,29 @@ const requireEmailVerification = (req, res, next) => {
  */
 const optionalAuth = async (req, res, next) => {
   try {
+    // A key that was sent but cannot be used is an error, not an anonymous request
+    const apiKey = getApiKey(req);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
       const decoded = jwt.verify(token, config.jwt.secret);
       const user = await User.findById(decoded.id).select('-password');
       
-      if (user && user.isActive) {
+      if (user && user.isActive && decoded.imp) {
+        const context = await resolveImpersonation(decoded);
+        if (context) {
+          req.user = user;
+          req.impersonator = context.admin;
+          req.impersonation = context.impersonation;
+          if (!guardImpersonatedRequest(req, res)) return;
+        }
+      } else if (user && user.isActive && await Session.isActiveFamily(decoded.sid, user._id)) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
     
@@ -220,6 +466,75 @@ const checkUserActionLimit = (action, maxAttempts = 10, windowMs = 15 * 60 * 100
   };
 };
 
+// Purpose claim of real-time stream tickets. Tickets carry the session as
+// `session`, not `sid`, so they are never accepted as access tokens.
+const STREAM_TICKET = 'stream_ticket';
+
+/**
+ * Issue a short-lived ticket for opening an event stream. Browsers' EventSource
+ * cannot send an Authorization header, and tickets keep access tokens out of
+ * URLs and request logs.
+ */
+const issueStreamTicket = (req) => jwt.sign(
+  { id: req.user._id, session: req.sessionId, purpose: STREAM_TICKET },
+  config.jwt.secret,
+  { expiresIn: config.realtime.ticketTtl }
+);
+
+/**
+ * Middleware to authenticate an event stream with `?ticket=`, or else like
+ * any other request
+ */
+const authenticateStream = async (req, res, next) => {
+  const { ticket } = req.query;
+  if (!ticket) return authenticate(req, res, next);
+
+  try {
+    const decoded = jwt.verify(ticket, config.jwt.secret);
+    if (decoded.purpose !== STREAM_TICKET) throw new jwt.JsonWebTokenError('Not a stream ticket');
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user || !user.isActive || !(await Session.isActiveFamily(decoded.session, user._id))) {
+      throw new jwt.JsonWebTokenError('Stream ticket is no longer valid');
+    }
+
+    req.user = user;
+    req.sessionId = decoded.session;
+    next();
+  } catch (error) {
+    if (!(error instanceof jwt.JsonWebTokenError)) return next(error);
+    res.status(401).json({
+      success: false,
+      message: 'Invalid or expired stream ticket.'
+    });
+  }
+};
+
+/**
+ * Reload the user behind a long-lived request such as an event stream; null
+ * once their account, session, API key or impersonation is no longer valid
+ */
+const reauthenticate = async (req) => {
+  const user = await User.findById(req.user._id).select('-password');
+  if (!user || !user.isActive) return null;
+
+  if (req.apiKey) {
+    const usable = await ApiKey.exists({ _id: req.apiKey._id, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return usable ? user : null;
+  }
+
+  if (req.impersonation) {
+    const context = await resolveImpersonation({
+      imp: req.impersonation._id,
+      id: user._id.toString(),
+      act: { sub: req.impersonator._id.toString() }
+    });
+    return context ? user : null;
+  }
+
+  return (await Session.isActiveFamily(req.sessionId, user._id)) ? user : null;
+};
+
 /**
  * Middleware to validate refresh token
  */
@@ -237,7 +552,7 @@ const validateRefreshToken = async (req, res, next) => {
     const decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
     const user = await User.findById(decoded.id).select('-password');
     
-    if (!user || !user.isActive) {
+    if (!user || !user.isActive || !(await Session.isActiveFamily(decoded.sid, user._id))) {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token.'
@@ -245,6 +560,7 @@ const validateRefreshToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     logger.error('Refresh token validation error:', error);
@@ -272,12 +588,16 @@ const validateRefreshToken = async (req, res, next) => {
 
 module.exports = {
   authenticate,
-  authorize,
-  requireAdmin,
-  requireModerator,
-  requireOwnershipOrAdmin,
+  rejectApiKey,
+  requireTwoFactor,
+  hasPermission,
+  permissionScope,
+  can,
   requireEmailVerification,
   optionalAuth,
+  issueStreamTicket,
+  authenticateStream,
+  reauthenticate,
   checkUserActionLimit,
   validateRefreshToken
 };
@@ -242,6 +242,23 @@ const createUserLimiter = (windowMs, max, message) => {
   });
 };
 
+// Per-key limiter for requests authenticated with a personal API key
+const apiKeyLimiter = rateLimit({
+  windowMs: config.apiKeys.rateLimitWindowMs,
+  max: config.apiKeys.rateLimitMax,
+  keyGenerator: (req) => `api-key:${req.apiKey._id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`API key rate limit exceeded for key: ${req.apiKey._id}`);
+    res.status(429).json({
+      success: false,
+      message: 'Too many requests for this API key, please try again later.',
+      retryAfter: Math.round(config.apiKeys.rateLimitWindowMs / 1000)
+    });
+  }
+});
+
 // Clean up expired rate limit records
 const cleanupRateLimitStore = () => {
   const now = new Date();
@@ -289,6 +306,7 @@ module.exports = {
   commentLimiter,
   createCustomLimiter,
   createUserLimiter,
+  apiKeyLimiter,
   getRateLimitInfo,
   resetRateLimit,
   cleanupRateLimitStore
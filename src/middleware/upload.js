@@ -233,16 +233,17 @@ const uploadFields = (fields, limitFileSize = config.upload.maxFileSize) => {
   };
 };
 
-// Middleware for avatar upload
-const uploadAvatar = uploadSingle('avatar');
-
 const MB = 1024 * 1024;
 const FILE_SIZE_LIMITS = {
+  avatar: 2 * MB,
   forum: 2 * MB,
   article: 5 * MB,
   event: 5 * MB,
 };
 
+// Middleware for avatar upload (2MB limit)
+const uploadAvatar = uploadSingle('avatar', FILE_SIZE_LIMITS.avatar);
+
 // Middleware for article images (5MB limit, max 3 files)
 const uploadArticleImages = uploadMultiple('images', 3, FILE_SIZE_LIMITS.article);
 
@@ -1,5 +1,7 @@
 const Joi = require("joi");
 const { formatValidationErrors } = require("./errorHandler");
+const { PERMISSIONS, API_KEY_SCOPES } = require("../config/permissions");
+const config = require("../config/config");
 
 /**
  * Validation middleware factory
@@ -46,6 +48,9 @@ const commonSchemas = {
   // Name validation
   name: Joi.string().min(2).max(50).trim().required(),
 
+  // TOTP code validation
+  totpCode: Joi.string().pattern(/^[0-9]{6}$/),
+
   // Pagination validation
   pagination: Joi.object({
     page: Joi.number().integer().min(1).default(1),
@@ -86,6 +91,7 @@ const userSchemas = {
     department: Joi.string().max(50).trim().optional(),
     bio: Joi.string().max(500).trim().optional(),
     avatar: Joi.string().uri().optional(),
+    skills: Joi.array().items(Joi.string().trim().max(30)).max(20).unique((a, b) => a.toLowerCase() === b.toLowerCase()).optional(),
     socialLinks: Joi.object({
       linkedin: Joi.string().uri().optional(),
       twitter: Joi.string().uri().optional(),
@@ -97,11 +103,49 @@ const userSchemas = {
         push: Joi.boolean().optional(),
         forum: Joi.boolean().optional(),
         events: Joi.boolean().optional(),
+        mentions: Joi.boolean().optional(),
+        articles: Joi.boolean().optional(),
+        achievements: Joi.boolean().optional(),
+        likes: Joi.boolean().optional(),
+        digest: Joi.string().valid("off", "daily", "weekly").optional(),
       }).optional(),
       theme: Joi.string().valid("light", "dark", "auto").optional(),
+      profileVisibility: Joi.string().valid("public", "limited", "private").optional(),
     }).optional(),
   }),
 
+  directory: Joi.object({
+    q: Joi.string().trim().max(100).optional(),
+    department: Joi.string().trim().max(50).optional(),
+    role: Joi.string().trim().lowercase().max(30).optional(),
+    skill: Joi.string().trim().max(30).optional(),
+    level: Joi.number().integer().min(1).optional(),
+    minLevel: Joi.number().integer().min(1).optional(),
+    sort: Joi.string().valid("points", "name").default("points"),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+  }),
+
+  mentionSuggest: Joi.object({
+    q: Joi.string().trim().min(1).max(50).required(),
+    limit: Joi.number().integer().min(1).max(20).default(8),
+  }),
+
+  deleteAccount: Joi.object({
+    password: Joi.string().optional(),
+    confirm: Joi.string().valid("DELETE").required(),
+  }),
+
+  follow: Joi.object({
+    type: Joi.string().valid("user", "forum_category", "article_category", "tag").required(),
+    target: Joi.string().trim().max(50).required(),
+  }),
+
+  publicProfile: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(20).default(5),
+  }),
+
   changePassword: Joi.object({
     currentPassword: Joi.string().required(),
     newPassword: commonSchemas.password,
@@ -137,11 +181,59 @@ const userSchemas = {
   refreshToken: Joi.object({
     refreshToken: Joi.string().required(),
   }),
+
+  loginTwoFactor: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: commonSchemas.totpCode.optional(),
+    recoveryCode: Joi.string().max(20).trim().optional(),
+  }).xor("code", "recoveryCode"),
+
+  oidcCallback: Joi.object({
+    code: Joi.string().max(2048).required(),
+    state: Joi.string().max(256).required(),
+  }),
+
+  twoFactorCode: Joi.object({
+    code: commonSchemas.totpCode.required(),
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: Joi.string().required(),
+    code: commonSchemas.totpCode.required(),
+  }),
+
+  createApiKey: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    scopes: Joi.array()
+      .items(Joi.string().valid(...Object.keys(API_KEY_SCOPES)))
+      .min(1)
+      .unique()
+      .required(),
+    expiresInDays: Joi.number()
+      .integer()
+      .min(1)
+      .max(config.apiKeys.maxExpiryDays)
+      .default(config.apiKeys.defaultExpiryDays),
+  }),
 };
 
 /**
  * Forum validation schemas
  */
+// Poll attached to a new forum post
+const pollSchema = Joi.object({
+  question: Joi.string().min(5).max(200).trim().required(),
+  options: Joi.array()
+    .items(Joi.string().min(1).max(100).trim())
+    .min(2)
+    .max(config.forum.maxPollOptions)
+    .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+    .required(),
+  multiple: Joi.boolean().default(false),
+  anonymous: Joi.boolean().default(false),
+  closesAt: Joi.date().greater("now").optional(),
+});
+
 const forumSchemas = {
   createPost: Joi.object({
     title: Joi.string().min(5).max(200).trim().required(),
@@ -183,6 +275,23 @@ const forumSchemas = {
     priority: Joi.string()
       .valid("low", "medium", "high", "urgent")
       .default("medium"),
+    // Multipart requests send the poll as a JSON string
+    poll: Joi.alternatives()
+      .try(
+        pollSchema,
+        Joi.string().custom((value, helpers) => {
+          let parsed;
+          try {
+            parsed = JSON.parse(value);
+          } catch (err) {
+            return helpers.error("any.invalid");
+          }
+          const { error, value: poll } = pollSchema.validate(parsed, { stripUnknown: true });
+          if (error) return helpers.message(error.message);
+          return poll;
+        }, "JSON poll parser")
+      )
+      .optional(),
   }),
 
   updatePost: Joi.object({
@@ -229,6 +338,18 @@ const forumSchemas = {
 
   addReply: Joi.object({
     content: Joi.string().min(5).max(2000).trim().required(),
+    parentId: commonSchemas.objectId.optional(),
+  }),
+
+  replyThread: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    childLimit: Joi.number().integer().min(0).max(50).default(3),
+    expandDepth: Joi.number().integer().min(1).max(config.forum.maxReplyDepth).default(2),
+  }),
+
+  pollVote: Joi.object({
+    optionIds: Joi.array().items(commonSchemas.objectId).min(1).unique().required(),
   }),
 
   updateReply: Joi.object({
@@ -239,7 +360,7 @@ const forumSchemas = {
     ...commonSchemas.pagination.describe(),
     search: Joi.string().max(200).trim().optional(),
     sort: Joi.string()
-      .valid('recent', 'updated', 'popular', 'discussed', 'unanswered', 'views')
+      .valid('recent', 'updated', 'popular', 'discussed', 'unanswered', 'views', 'solved', 'unsolved')
       .optional(),
     order: Joi.string().valid('asc', 'desc').optional(),
     category: Joi.string()
@@ -601,9 +722,16 @@ const frontendSchemas = {
 /**
  * Admin validation schemas
  */
+// Content a role's forum, article and event permissions are limited to
+const roleScope = Joi.object({
+  forumCategories: Joi.array().items(Joi.string().trim().lowercase()).unique().default([]),
+  articleCategories: Joi.array().items(Joi.string().trim().lowercase()).unique().default([]),
+  eventTags: Joi.array().items(Joi.string().trim().lowercase().max(30)).unique().default([]),
+});
+
 const adminSchemas = {
   updateUserRole: Joi.object({
-    role: Joi.string().valid("user", "moderator", "admin").required(),
+    role: Joi.string().trim().lowercase().max(30).required(),
   }),
 
   updateUserStatus: Joi.object({
@@ -612,11 +740,80 @@ const adminSchemas = {
 
   getUsers: Joi.object({
     ...commonSchemas.pagination.describe(),
-    role: Joi.string().valid("user", "moderator", "admin").optional(),
+    role: Joi.string().trim().lowercase().max(30).optional(),
     department: Joi.string().trim().optional(),
     isActive: Joi.boolean().optional(),
     search: Joi.string().trim().optional(),
   }),
+
+  listJobs: Joi.object({
+    status: Joi.string().valid("queued", "running", "completed", "dead").optional(),
+    name: Joi.string().trim().max(100).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  moderatePost: Joi.object({
+    pinned: Joi.boolean().optional(),
+    pinnedUntil: Joi.date().greater("now").allow(null).optional(),
+    locked: Joi.boolean().optional(),
+    status: Joi.string().valid("active", "closed", "archived").optional(),
+  })
+    .min(1)
+    .with("pinnedUntil", "pinned"),
+
+  impersonate: Joi.object({
+    reason: Joi.string().trim().min(5).max(500).required().messages({
+      "string.min": "Reason must be at least 5 characters long",
+      "any.required": "A reason is required to impersonate a user",
+    }),
+  }),
+
+  createRole: Joi.object({
+    name: Joi.string()
+      .trim()
+      .lowercase()
+      .pattern(/^[a-z][a-z0-9_]*$/)
+      .max(30)
+      .required()
+      .messages({
+        "string.pattern.base": "Role name may only contain lowercase letters, digits and underscores",
+      }),
+    description: Joi.string().trim().max(200).allow("").optional(),
+    permissions: Joi.array()
+      .items(Joi.string().valid(...Object.keys(PERMISSIONS)))
+      .unique()
+      .required(),
+    scope: roleScope.optional(),
+  }),
+
+  updateRole: Joi.object({
+    description: Joi.string().trim().max(200).allow("").optional(),
+    permissions: Joi.array()
+      .items(Joi.string().valid(...Object.keys(PERMISSIONS)))
+      .unique()
+      .optional(),
+    scope: roleScope.optional(),
+  }).min(1),
+};
+
+const notificationSchemas = {
+  list: Joi.object({
+    unread: Joi.boolean().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+  }),
+
+  unsubscribeDigest: Joi.object({
+    token: Joi.string().required(),
+  }),
+};
+
+const realtimeSchemas = {
+  stream: Joi.object({
+    // Comma-separated, e.g. "post:<id>,event:<id>,notifications,moderation"
+    topics: Joi.string().trim().max(1000).required(),
+  }),
 };
 
 module.exports = {
@@ -628,4 +825,6 @@ module.exports = {
   eventSchemas,
   frontendSchemas,
   adminSchemas,
+  notificationSchemas,
+  realtimeSchemas,
 };
@@ -136,6 +136,7 @@ achievementSchema.virtual('earnedCount', {
 achievementSchema.methods.checkCriteria = async function(userId) {
   const User = mongoose.model('User');
   const Forum = mongoose.model('Forum');
+  const ForumReply = mongoose.model('ForumReply');
   const Article = mongoose.model('Article');
   const Event = mongoose.model('Event');
   
@@ -182,9 +183,9 @@ achievementSchema.methods.checkCriteria = async function(userId) {
       break;
       
     case 'forum_replies':
-      count = await Forum.countDocuments({
-        'replies.author': userId,
-        'replies.createdAt': { $gte: startDate }
+      count = await ForumReply.countDocuments({
+        author: userId,
+        createdAt: { $gte: startDate }
       });
       break;
       
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { generateRandomString, hashToken } = require('../utils/helpers');
+
+const KEY_PREFIX = 'xck_';
+
+// A personal API key for scripts and integrations. Only a hash of the key is
+// stored; the key itself is shown once, when it is created.
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [50, 'Key name cannot exceed 50 characters']
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key, so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: Object.keys(API_KEY_SCOPES) }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for is active
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to get the key as shown to its owner
+apiKeySchema.methods.toSummary = function() {
+  return {
+    id: this._id.toString(),
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    createdAt: this.createdAt?.toISOString(),
+    expiresAt: this.expiresAt?.toISOString(),
+    lastUsedAt: this.lastUsedAt?.toISOString() || null,
+    lastUsedIp: this.lastUsedIp || null,
+    usageCount: this.usageCount,
+    revokedAt: this.revokedAt?.toISOString() || null
+  };
+};
+
+// Method to record a request made with the key
+apiKeySchema.methods.recordUse = function(ip) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { usageCount: 1 } }
+  );
+};
+
+// Static method to create a key; returns the document and the plain key
+apiKeySchema.statics.issue = async function(userId, { name, scopes, expiresAt }) {
+  const key = `${KEY_PREFIX}${generateRandomString(24)}`;
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    keyHash: hashToken(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 6)
+  });
+  return { apiKey, key };
+};
+
+// Static method to find an unrevoked, unexpired key by its plain value
+apiKeySchema.statics.findUsable = function(key) {
+  return this.findOne({ keyHash: hashToken(key), revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Static method to find a user's keys that still work
+apiKeySchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 });
+};
+
+// Static method to revoke one of a user's keys
+apiKeySchema.statics.revokeById = function(userId, keyId) {
+  return this.findOneAndUpdate(
+    { _id: keyId, user: userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
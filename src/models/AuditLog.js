@@ -5,6 +5,10 @@ const auditLogSchema = new mongoose.Schema({
   route: { type: String, required: true },
   statusCode: { type: Number, required: true },
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Set on entries recorded while an admin was impersonating `user`
+  impersonatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  impersonation: { type: mongoose.Schema.Types.ObjectId, ref: 'Impersonation' },
+  action: String,
   requestBody: {},
   responseBody: {},
   createdAt: { type: Date, default: Date.now }
@@ -12,6 +16,7 @@ const auditLogSchema = new mongoose.Schema({
 
 auditLogSchema.index({ route: 1, createdAt: -1 });
 auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ impersonation: 1, createdAt: 1 }, { sparse: true });
 
 module.exports = mongoose.model('AuditLog', auditLogSchema);
 
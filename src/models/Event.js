@@ -242,6 +242,19 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
+// Method to check whether a user may see the event; drafts and private or
+// invite-only events are only visible to the people on them and to managers
+eventSchema.methods.isVisibleTo = async function(user) {
+  if (this.visibility === 'public' && this.status !== 'draft') return true;
+  if (!user) return false;
+
+  const userId = user._id.toString();
+  const isOn = [this.organizer, ...this.attendees.map((attendee) => attendee.user), ...this.waitlist]
+    .some((id) => (id?._id || id)?.toString() === userId);
+  if (isOn) return true;
+  return mongoose.model('Role').grants(user.role, 'event.update', this);
+};
+
 // Method to register for event
 eventSchema.methods.registerUser = function(userId, status = 'attending') {
   // Check if user is already registered
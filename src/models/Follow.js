@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['user', 'forum_category', 'article_category', 'tag'];
+
+// One edge of the follow graph: a user following a colleague, a forum
+// category, an article category or a tag.
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  // User id, category key or lowercased tag
+  target: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Follow target cannot exceed 50 characters']
+  },
+  // Set for user targets so follower lists can be populated
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+followSchema.index({ follower: 1, targetType: 1, target: 1 }, { unique: true });
+followSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+
+// Static method to follow a target (idempotent)
+followSchema.statics.follow = function(followerId, targetType, target) {
+  return this.findOneAndUpdate(
+    { follower: followerId, targetType, target },
+    {
+      $setOnInsert: {
+        follower: followerId,
+        targetType,
+        target,
+        ...(targetType === 'user' ? { targetUser: target } : {})
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to unfollow a target
+followSchema.statics.unfollow = function(followerId, targetType, target) {
+  return this.findOneAndDelete({ follower: followerId, targetType, target });
+};
+
+// Static method to get everything a user follows, grouped by target type
+followSchema.statics.getFollowedTargets = async function(followerId) {
+  const follows = await this.find({ follower: followerId }).select('targetType target').lean();
+  const pick = (type) => follows.filter((f) => f.targetType === type).map((f) => f.target);
+
+  return {
+    users: pick('user'),
+    forumCategories: pick('forum_category'),
+    articleCategories: pick('article_category'),
+    tags: pick('tag')
+  };
+};
+
+const Follow = mongoose.model('Follow', followSchema);
+Follow.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = Follow;
@@ -1,31 +1,44 @@
 const mongoose = require('mongoose');
+const ForumReply = require('./ForumReply');
+const PollVote = require('./PollVote');
 
-const replySchema = new mongoose.Schema({
-  author: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  content: {
+// Poll carried by a post. Only the counts live here; who voted for what is
+// stored in PollVote.
+const pollSchema = new mongoose.Schema({
+  question: {
     type: String,
-    required: [true, 'Reply content is required'],
-    maxlength: [2000, 'Reply cannot exceed 2000 characters']
+    required: [true, 'Poll question is required'],
+    trim: true,
+    maxlength: [200, 'Poll question cannot exceed 200 characters']
   },
-  isEdited: {
+  options: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Poll option cannot exceed 100 characters']
+    },
+    voteCount: {
+      type: Number,
+      default: 0
+    }
+  }],
+  multiple: {
     type: Boolean,
     default: false
   },
-  editedAt: Date,
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  isSolution: {
+  // Anonymous polls never reveal who voted for what
+  anonymous: {
     type: Boolean,
     default: false
+  },
+  closesAt: Date,
+  voterCount: {
+    type: Number,
+    default: 0
   }
 }, {
-  timestamps: true
+  _id: false
 });
 
 const postSchema = new mongoose.Schema({
@@ -64,11 +77,31 @@ const postSchema = new mongoose.Schema({
     trim: true,
     maxlength: [30, 'Tag cannot exceed 30 characters']
   }],
+  // Closed and archived threads take no new replies; archived ones are also
+  // left out of the default listing. Pinning is tracked by `pinnedAt`.
   status: {
     type: String,
     enum: ['active', 'closed', 'archived', 'pinned'],
     default: 'active'
   },
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  statusChangedAt: Date,
+  // Pinned threads are listed first until `pinnedUntil`, or until unpinned
+  pinnedAt: Date,
+  pinnedUntil: Date,
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Locked threads take no new replies
+  lockedAt: Date,
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   approvalStatus: {
     type: String,
     enum: ['pending', 'approved', 'rejected'],
@@ -92,7 +125,21 @@ const postSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  replies: [replySchema],
+  // Users mentioned with @handle in the content
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Replies live in the ForumReply collection; these are kept in step with it
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedReply: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForumReply',
+    default: null
+  },
   isEdited: {
     type: Boolean,
     default: false
@@ -102,6 +149,10 @@ const postSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  poll: {
+    type: pollSchema,
+    default: undefined
+  },
   attachments: [{
     filename: String,
     originalName: String,
@@ -121,13 +172,9 @@ postSchema.index({ author: 1 });
 postSchema.index({ status: 1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ lastActivity: -1 });
+postSchema.index({ pinnedAt: -1 }, { sparse: true });
 postSchema.index({ title: 'text', content: 'text' });
 
-// Virtual for reply count
-postSchema.virtual('replyCount').get(function() {
-  return this.replies.length;
-});
-
 // Virtual for like count
 postSchema.virtual('likeCount').get(function() {
   return this.likes.length;
@@ -135,55 +182,110 @@ postSchema.virtual('likeCount').get(function() {
 
 // Virtual for is solved (has solution reply)
 postSchema.virtual('isSolved').get(function() {
-  return this.replies.some(reply => reply.isSolution);
+  return !!this.acceptedReply;
 });
 
-// Pre-save middleware to update last activity
-postSchema.pre('save', function(next) {
-  if (this.isModified('replies')) {
-    this.lastActivity = new Date();
-  }
-  next();
+// Virtual for the accepted reply id
+postSchema.virtual('acceptedReplyId').get(function() {
+  return this.acceptedReply ? this.acceptedReply.toString() : null;
 });
 
-// Method to add reply
-postSchema.methods.addReply = function(replyData) {
-  this.replies.push(replyData);
-  this.lastActivity = new Date();
-  return this.save();
-};
+// Virtual for is pinned (pinned and not expired)
+postSchema.virtual('isPinned').get(function() {
+  return !!this.pinnedAt && (!this.pinnedUntil || this.pinnedUntil > new Date());
+});
+
+// Virtual for is locked
+postSchema.virtual('isLocked').get(function() {
+  return !!this.lockedAt;
+});
 
-// Method to like/unlike post
-postSchema.methods.toggleLike = function(userId) {
-  const likeIndex = this.likes.indexOf(userId);
-  if (likeIndex > -1) {
-    this.likes.splice(likeIndex, 1);
-  } else {
-    this.likes.push(userId);
+// Virtual for is poll closed (past its close date, or the thread is closed)
+postSchema.virtual('isPollClosed').get(function() {
+  if (!this.poll) return false;
+  return ['closed', 'archived'].includes(this.status) || (!!this.poll.closesAt && this.poll.closesAt <= new Date());
+});
+
+// Replies and poll votes go with their post
+postSchema.post('findOneAndDelete', async (doc) => {
+  if (doc) await Promise.all([ForumReply.deleteMany({ post: doc._id }), PollVote.deleteMany({ post: doc._id })]);
+});
+
+// Method to like/unlike post; returns true when the post is now liked
+postSchema.methods.toggleLike = async function(userId) {
+  const liked = await this.constructor.updateOne({ _id: this._id, likes: { $ne: userId } }, { $addToSet: { likes: userId } });
+  if (liked.modifiedCount === 0) {
+    await this.constructor.updateOne({ _id: this._id }, { $pull: { likes: userId } });
   }
-  return this.save();
+  return liked.modifiedCount > 0;
 };
 
 // Method to mark reply as solution
-postSchema.methods.markAsSolution = function(replyId) {
-  // Remove solution from all replies
-  this.replies.forEach(reply => {
-    reply.isSolution = false;
-  });
-  
-  // Mark the selected reply as solution
-  const reply = this.replies.id(replyId);
-  if (reply) {
-    reply.isSolution = true;
-  }
-  
-  return this.save();
+postSchema.methods.markAsSolution = async function(replyId) {
+  // Remove solution from all replies, then mark the selected one
+  await ForumReply.updateMany({ post: this._id, isSolution: true }, { isSolution: false });
+  await ForumReply.updateOne(
+    { _id: replyId, post: this._id },
+    [{ $set: { isSolution: true, acceptedAt: { $ifNull: ['$acceptedAt', '$$NOW'] } } }]
+  );
+
+  this.acceptedReply = replyId;
+  await this.constructor.updateOne({ _id: this._id }, { acceptedReply: replyId });
+};
+
+// Method to check whether a user may see the post; posts awaiting approval
+// are only visible to reviewers and the author
+postSchema.methods.isVisibleTo = async function(user) {
+  if (this.approvalStatus === 'approved') return true;
+  if (!user) return false;
+  if (await mongoose.model('Role').grants(user.role, 'forum.post.approve', this)) return true;
+  return (this.author._id || this.author).toString() === user._id.toString();
+};
+
+// Method to summarize the post for the moderation queue
+postSchema.methods.toQueueItem = function() {
+  return {
+    id: this._id.toString(),
+    title: this.title,
+    category: this.category,
+    approvalStatus: this.approvalStatus,
+    authorId: (this.author?._id || this.author)?.toString(),
+    createdAt: this.createdAt
+  };
+};
+
+// Method to get why the thread takes no new replies; null when it does
+postSchema.methods.getReplyBlock = function() {
+  if (this.status === 'archived') return { code: 'THREAD_ARCHIVED', message: 'This thread is archived and no longer accepts replies' };
+  if (this.status === 'closed') return { code: 'THREAD_CLOSED', message: 'This thread is closed and no longer accepts replies' };
+  if (this.isLocked) return { code: 'THREAD_LOCKED', message: 'This thread is locked by a moderator and does not accept new replies' };
+  return null;
+};
+
+// Method to get the poll with its results; null when the post has no poll
+postSchema.methods.getPollSummary = function() {
+  if (!this.poll) return null;
+  const { question, options, multiple, anonymous, closesAt, voterCount = 0 } = this.poll;
+  return {
+    question,
+    multiple,
+    anonymous,
+    closesAt: closesAt?.toISOString() || null,
+    isClosed: this.isPollClosed,
+    voterCount,
+    options: options.map((option) => ({
+      id: option._id.toString(),
+      text: option.text,
+      votes: option.voteCount,
+      percentage: voterCount > 0 ? Math.round((option.voteCount / voterCount) * 100) : 0
+    }))
+  };
 };
 
 // Method to increment views
-postSchema.methods.incrementViews = function() {
+postSchema.methods.incrementViews = async function() {
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
   this.views += 1;
-  return this.save();
 };
 
 // Static method to get posts by category
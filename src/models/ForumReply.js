@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+// Earlier content of an edited reply
+const replyRevisionSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A reply to a forum post. Replies live in their own collection so that
+// replying, liking and editing never rewrite the post document; the post
+// keeps a denormalized `replyCount` and `acceptedReply`.
+const forumReplySchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Forum',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Reply content is required'],
+    maxlength: [2000, 'Reply cannot exceed 2000 characters']
+  },
+  // Reply this one answers; null for replies to the post itself
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForumReply',
+    default: null
+  },
+  // 0 for top-level replies, parent depth + 1 below that
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: Date,
+  // Content before each edit, oldest first
+  revisions: [replyRevisionSchema],
+  // Deleted replies stay in place so their children keep a parent; the
+  // content is kept for moderators but replaced by a placeholder in the API
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users mentioned with @handle in the content
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isSolution: {
+    type: Boolean,
+    default: false
+  },
+  // When the reply was first accepted as the answer; answer points are only awarded once
+  acceptedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+forumReplySchema.index({ post: 1, createdAt: 1 });
+forumReplySchema.index({ author: 1, createdAt: -1 });
+forumReplySchema.index({ likes: 1 });
+
+// Static method to add a reply and update the post's counters
+forumReplySchema.statics.addToPost = async function(postId, replyData) {
+  const reply = await this.create({ ...replyData, post: postId });
+  await mongoose.model('Forum').updateOne(
+    { _id: postId },
+    { $inc: { replyCount: 1 }, $set: { lastActivity: new Date() } }
+  );
+  return reply;
+};
+
+// Static method to get all replies of a post with their authors
+forumReplySchema.statics.findForPost = function(postId) {
+  return this.find({ post: postId })
+    .populate('author', 'name email avatar department')
+    .sort({ createdAt: 1 });
+};
+
+// Static method to like/unlike a reply; returns true when the reply is now liked
+forumReplySchema.statics.toggleLike = async function(replyId, userId) {
+  const liked = await this.updateOne({ _id: replyId, likes: { $ne: userId } }, { $addToSet: { likes: userId } });
+  if (liked.modifiedCount === 0) {
+    await this.updateOne({ _id: replyId }, { $pull: { likes: userId } });
+  }
+  return liked.modifiedCount > 0;
+};
+
+// Method to edit a reply, keeping its previous content as a revision
+forumReplySchema.methods.edit = function(content, userId, mentions = this.mentions) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, isDeleted: false },
+    {
+      $push: { revisions: { content: this.content, editedBy: userId, editedAt: new Date() } },
+      $set: { content, mentions, isEdited: true, editedAt: new Date() }
+    },
+    { new: true }
+  );
+};
+
+// Method to soft-delete a reply; an accepted answer stops being the answer
+forumReplySchema.methods.softDelete = async function(userId) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { isDeleted: true, deletedAt: new Date(), deletedBy: userId, isSolution: false } }
+  );
+  if (this.isSolution) {
+    await mongoose.model('Forum').updateOne({ _id: this.post, acceptedReply: this._id }, { acceptedReply: null });
+  }
+};
+
+module.exports = mongoose.model('ForumReply', forumReplySchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// An admin "view as user" session. Tokens issued for it carry its id and
+// stop working as soon as it is ended or expires.
+const impersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  ip: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+impersonationSchema.index({ admin: 1, createdAt: -1 });
+impersonationSchema.index({ targetUser: 1, createdAt: -1 });
+
+// Virtual for is active
+impersonationSchema.virtual('isActive').get(function() {
+  return !this.endedAt && this.expiresAt > new Date();
+});
+
+// Static method to find an impersonation that can still be used
+impersonationSchema.statics.findActive = function(id) {
+  return this.findOne({ _id: id, endedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Static method to end an impersonation
+impersonationSchema.statics.end = function(id, endedBy) {
+  return this.findOneAndUpdate(
+    { _id: id, endedAt: null },
+    { endedAt: new Date(), endedBy },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
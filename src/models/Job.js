@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// queued: waiting for its run time (including a retry); running: claimed by a
+// worker; completed: done; dead: out of attempts, kept until an admin retries it
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+// A unit of background work, run by worker.js (see utils/jobs for the handlers)
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: () => config.jobs.maxAttempts
+  },
+  // Set on jobs that must exist only once, e.g. one run of a schedule
+  key: String,
+  // The recurring schedule that queued the job
+  schedule: String,
+  lockedBy: String,
+  lockedAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  result: mongoose.Schema.Types.Mixed,
+  lastError: {
+    message: String,
+    stack: String,
+    failedAt: Date
+  },
+  // Completed jobs are removed once this passes
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ name: 1, createdAt: -1 });
+jobSchema.index({ key: 1 }, { unique: true, sparse: true });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to queue a job. With a `key`, a job that already has it is
+// returned instead of queueing another.
+jobSchema.statics.enqueue = async function(name, data = {}, { runAt = new Date(), maxAttempts, key, schedule } = {}) {
+  const fields = { name, data, runAt, ...(schedule ? { schedule } : {}), ...(maxAttempts ? { maxAttempts } : {}) };
+  if (!key) return this.create(fields);
+
+  try {
+    return await this.findOneAndUpdate(
+      { key },
+      { $setOnInsert: fields },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Another worker queued it at the same moment
+    if (error.code === 11000) return this.findOne({ key });
+    throw error;
+  }
+};
+
+// Static method to claim the next due job for a worker, including jobs whose
+// worker stopped answering while running them
+jobSchema.statics.claimNext = function(workerId, names) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      name: { $in: names },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - config.jobs.lockTimeoutMs) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: workerId, lockedAt: now, startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Static method to count jobs in each status
+jobSchema.statics.countByStatus = async function() {
+  const groups = await this.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+  return JOB_STATUSES.reduce((counts, status) => ({
+    ...counts,
+    [status]: groups.find((group) => group._id === status)?.count || 0
+  }), {});
+};
+
+// The claim this job document was loaded with; a job taken over by another
+// worker has had its attempts bumped, so stale updates match nothing
+jobSchema.methods.claimFilter = function() {
+  return { _id: this._id, status: 'running', attempts: this.attempts };
+};
+
+// Method to tell other workers the job is still being worked on
+jobSchema.methods.touch = function() {
+  return this.constructor.updateOne(this.claimFilter(), { $set: { lockedAt: new Date() } });
+};
+
+// Method to mark the job done
+jobSchema.methods.complete = function(result) {
+  const now = new Date();
+  return this.constructor.updateOne(this.claimFilter(), {
+    $set: {
+      status: 'completed',
+      finishedAt: now,
+      ...(result === undefined ? {} : { result }),
+      expiresAt: new Date(now.getTime() + config.jobs.retentionDays * 24 * 60 * 60 * 1000)
+    },
+    $unset: { lockedBy: 1, lockedAt: 1 }
+  });
+};
+
+// Method to record a failure: the job is retried with exponential backoff,
+// or dead-lettered once it is out of attempts
+jobSchema.methods.fail = function(error) {
+  const now = new Date();
+  const dead = this.attempts >= this.maxAttempts;
+  const delay = Math.min(config.jobs.backoffMs * 2 ** (this.attempts - 1), config.jobs.maxBackoffMs);
+
+  return this.constructor.updateOne(this.claimFilter(), {
+    $set: {
+      status: dead ? 'dead' : 'queued',
+      lastError: { message: error.message, stack: error.stack, failedAt: now },
+      ...(dead ? { finishedAt: now } : { runAt: new Date(now.getTime() + delay) })
+    },
+    $unset: { lockedBy: 1, lockedAt: 1 }
+  });
+};
+
+// Method to give a dead job a fresh set of attempts
+jobSchema.methods.retry = function() {
+  this.status = 'queued';
+  this.attempts = 0;
+  this.runAt = new Date();
+  this.finishedAt = undefined;
+  return this.save();
+};
+
+// Method to get the job without its data, result and error stack
+jobSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    status: this.status,
+    schedule: this.schedule,
+    runAt: this.runAt,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    lockedBy: this.lockedBy,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    lastError: this.lastError?.message,
+    createdAt: this.createdAt
+  };
+};
+
+const Job = mongoose.model('Job', jobSchema);
+Job.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = Job;
@@ -201,6 +201,7 @@ leaderboardSchema.statics.generateLeaderboard = async function (type, period) {
   const User = mongoose.model("User");
   const Article = mongoose.model("Article");
   const Forum = mongoose.model("Forum");
+  const ForumReply = mongoose.model("ForumReply");
   const Event = mongoose.model("Event");
 
   // Calculate period dates
@@ -213,7 +214,7 @@ leaderboardSchema.statics.generateLeaderboard = async function (type, period) {
       periodEnd = new Date(periodStart.getTime() + 24 * 60 * 60 * 1000);
       break;
     case "weekly":
-      periodStart = new Date(now.setDate(now.getDate() - now.getDay()));
+      periodStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay());
       periodEnd = new Date(periodStart.getTime() + 7 * 24 * 60 * 60 * 1000);
       break;
     case "monthly":
@@ -269,13 +270,13 @@ leaderboardSchema.statics.generateLeaderboard = async function (type, period) {
           author: user._id,
           createdAt: { $gte: periodStart, $lt: periodEnd },
         });
-        const replies = await Forum.find({
-          "replies.author": user._id,
-          "replies.createdAt": { $gte: periodStart, $lt: periodEnd },
+        const replies = await ForumReply.countDocuments({
+          author: user._id,
+          createdAt: { $gte: periodStart, $lt: periodEnd },
         });
         stats.forumPosts = posts.length;
-        stats.forumReplies = replies.length;
-        points = posts.length * 5 + replies.length * 3;
+        stats.forumReplies = replies;
+        points = posts.length * 5 + replies * 3;
         break;
 
       case "events":
@@ -330,9 +331,10 @@ leaderboardSchema.statics.generateLeaderboard = async function (type, period) {
     entry.rank = index + 1;
   });
 
-  // Create or update leaderboard
+  // Create or update leaderboard; the start identifies the period, as the
+  // all-time board's end moves with every run
   const leaderboard = await this.findOneAndUpdate(
-    { type, period, periodStart, periodEnd },
+    { type, period, periodStart },
     {
       type,
       period,
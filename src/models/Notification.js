@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Notification types and the `preferences.notifications` toggle that decides
+// whether each one is also emailed
+const NOTIFICATION_TYPES = {
+  mention: 'mentions',
+  forum_reply: 'forum',
+  forum_like: 'likes',
+  forum_post_approved: 'forum',
+  forum_post_rejected: 'forum',
+  article_like: 'likes',
+  article_published: 'articles',
+  achievement_earned: 'achievements',
+  event_updated: 'events',
+  event_cancelled: 'events'
+};
+
+const TITLE_MAX_LENGTH = 200;
+const MESSAGE_MAX_LENGTH = 500;
+
+// An in-app notification for one user
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_TYPES),
+    required: true
+  },
+  // Who caused the notification
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [TITLE_MAX_LENGTH, `Title cannot exceed ${TITLE_MAX_LENGTH} characters`]
+  },
+  message: {
+    type: String,
+    maxlength: [MESSAGE_MAX_LENGTH, `Message cannot exceed ${MESSAGE_MAX_LENGTH} characters`]
+  },
+  // Frontend path to open, e.g. /forums/posts/<id>
+  link: String,
+  // Content the notification is about
+  target: {
+    model: {
+      type: String,
+      enum: ['Forum', 'ForumReply', 'Article', 'ArticleComment', 'Achievement', 'Event']
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ user: 1, type: 1, 'target.model': 1, 'target.id': 1, actor: 1 });
+
+// Static method to create a notification unless the user already has one of
+// this type from the same actor about the same content; returns the new
+// notification, or null when there already was one
+notificationSchema.statics.notifyOnce = async function({ user, type, target, actor, ...fields }) {
+  const result = await this.findOneAndUpdate(
+    { user, type, 'target.model': target.model, 'target.id': target.id, actor },
+    // The target is copied from the filter on insert
+    { $setOnInsert: { user, type, actor, ...fields } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  return result.lastErrorObject?.updatedExisting ? null : result.value;
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+// Static method to mark all of a user's notifications as read
+notificationSchema.statics.markAllRead = async function(userId) {
+  const result = await this.updateMany({ user: userId, readAt: null }, { readAt: new Date() });
+  return result.modifiedCount;
+};
+
+// Method to get the notification as shown in the notification center
+notificationSchema.methods.toSummary = function() {
+  const actor = this.populated('actor') ? this.actor : null;
+  return {
+    id: this._id.toString(),
+    type: this.type,
+    title: this.title,
+    message: this.message,
+    link: this.link,
+    target: this.target?.model ? { model: this.target.model, id: this.target.id?.toString() } : null,
+    actor: actor ? { id: actor._id.toString(), name: actor.name, avatar: actor.avatar } : null,
+    isRead: Boolean(this.readAt),
+    readAt: this.readAt || null,
+    createdAt: this.createdAt
+  };
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+Notification.TITLE_MAX_LENGTH = TITLE_MAX_LENGTH;
+Notification.MESSAGE_MAX_LENGTH = MESSAGE_MAX_LENGTH;
+
+module.exports = Notification;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Pending single sign-on request: ties the state returned by the identity
+// provider to the nonce and PKCE verifier generated when the login started.
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to consume a state exactly once
+oidcStateSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// One member's vote on the poll of a forum post. Votes are kept apart from
+// the post, which only holds the per-option counts.
+const pollVoteSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Forum',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  options: [{
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+pollVoteSchema.index({ user: 1 });
+
+/**
+ * Apply a change of vote to the counts on the post
+ */
+const updateCounts = (postId, { added = [], removed = [], voters = 0 }) => {
+  const $inc = {};
+  const arrayFilters = [];
+  if (voters) $inc['poll.voterCount'] = voters;
+  if (added.length > 0) {
+    $inc['poll.options.$[added].voteCount'] = 1;
+    arrayFilters.push({ 'added._id': { $in: added } });
+  }
+  if (removed.length > 0) {
+    $inc['poll.options.$[removed].voteCount'] = -1;
+    arrayFilters.push({ 'removed._id': { $in: removed } });
+  }
+  if (Object.keys($inc).length === 0) return null;
+  return mongoose.model('Forum').updateOne({ _id: postId }, { $inc }, { arrayFilters });
+};
+
+// Static method to vote or change a vote; returns the previous choice
+pollVoteSchema.statics.cast = async function(postId, userId, optionIds) {
+  const previous = await this.findOneAndUpdate(
+    { post: postId, user: userId },
+    { options: optionIds },
+    { upsert: true, new: false }
+  );
+  const before = previous ? previous.options.map(String) : [];
+  const after = optionIds.map(String);
+
+  await updateCounts(postId, {
+    added: after.filter((id) => !before.includes(id)).map((id) => new mongoose.Types.ObjectId(id)),
+    removed: before.filter((id) => !after.includes(id)).map((id) => new mongoose.Types.ObjectId(id)),
+    voters: previous ? 0 : 1
+  });
+  return before;
+};
+
+// Static method to take back a vote; returns false when there was none
+pollVoteSchema.statics.withdraw = async function(postId, userId) {
+  const vote = await this.findOneAndDelete({ post: postId, user: userId });
+  if (!vote) return false;
+  await updateCounts(postId, { removed: vote.options, voters: -1 });
+  return true;
+};
+
+// Static method to get the option ids a user voted for
+pollVoteSchema.statics.getChoice = async function(postId, userId) {
+  if (!userId) return [];
+  const vote = await this.findOne({ post: postId, user: userId }).select('options').lean();
+  return vote ? vote.options.map(String) : [];
+};
+
+module.exports = mongoose.model('PollVote', pollVoteSchema);
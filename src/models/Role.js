@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLES, SCOPES, getScope, isPrivileged } = require('../config/permissions');
+
+// How long resolved role permissions are reused before reloading
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+// A named set of permissions that users are assigned through `User.role`
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, digits and underscores'],
+    maxlength: [30, 'Role name cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.every((p) => p === ALL_PERMISSIONS || PERMISSIONS[p]),
+      message: 'Unknown permission'
+    }
+  },
+  // Limits the role's forum, article and event permissions to this content.
+  // An empty list leaves that area unrestricted.
+  scope: {
+    forumCategories: [{ type: String, lowercase: true, trim: true }],
+    articleCategories: [{ type: String, lowercase: true, trim: true }],
+    eventTags: [{ type: String, lowercase: true, trim: true }]
+  },
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Any change to a role invalidates the cached permissions
+roleSchema.post('save', () => { cache = null; });
+roleSchema.post('findOneAndDelete', () => { cache = null; });
+
+// Static method to get a role's permissions and scope; null for unknown roles
+roleSchema.statics.getRole = async function(name) {
+  if (!cache || Date.now() - cacheLoadedAt > CACHE_TTL_MS) {
+    const roles = await this.find().select('name permissions scope').lean();
+    const loaded = new Map(Object.entries(DEFAULT_ROLES).map(([key, role]) => [
+      key,
+      { permissions: new Set(role.permissions), scope: {} }
+    ]));
+    roles.forEach((role) => loaded.set(role.name, { permissions: new Set(role.permissions), scope: role.scope || {} }));
+    cache = loaded;
+    cacheLoadedAt = Date.now();
+  }
+  return cache.get(name) || null;
+};
+
+// Static method to get a role's permissions; null for unknown roles
+roleSchema.statics.getPermissions = async function(name) {
+  const role = await this.getRole(name);
+  return role ? role.permissions : null;
+};
+
+// Static method to check whether a role holds any privileged permission
+roleSchema.statics.hasPrivilegedPermission = async function(name) {
+  const permissions = await this.getPermissions(name);
+  return !!permissions && [...permissions].some(isPrivileged);
+};
+
+// Static method to get the content a role's permission is limited to; null when unrestricted
+roleSchema.statics.getScopeValues = async function(name, permission) {
+  const role = await this.getRole(name);
+  const scope = getScope(permission);
+  const values = scope && role?.scope?.[scope.key];
+  return values && values.length > 0 ? values : null;
+};
+
+// Static method to check whether a role grants a permission, optionally on a
+// specific resource (a post, article or event) that must be within its scope
+roleSchema.statics.grants = async function(name, permission, resource) {
+  const permissions = await this.getPermissions(name);
+  if (!permissions || !(permissions.has(ALL_PERMISSIONS) || permissions.has(permission))) return false;
+  if (!resource) return true;
+
+  const values = await this.getScopeValues(name, permission);
+  if (!values) return true;
+  const resourceValues = [].concat(resource[getScope(permission).field] || []);
+  return resourceValues.some((value) => values.includes(String(value).toLowerCase()));
+};
+
+// Static method to build a query filter for the resources a role may act on
+// with a permission; null when the permission is not granted at all
+roleSchema.statics.scopeFilter = async function(name, permission) {
+  if (!(await this.grants(name, permission))) return null;
+  const values = await this.getScopeValues(name, permission);
+  return values ? { [getScope(permission).field]: { $in: values } } : {};
+};
+
+// Static method to check whether one role grants everything another does,
+// over at least the same content
+roleSchema.statics.covers = async function(name, otherName) {
+  const [role, other] = await Promise.all([this.getRole(name), this.getRole(otherName)]);
+  if (!role || !other) return false;
+  if (role.permissions.has(ALL_PERMISSIONS)) return true;
+  if (other.permissions.has(ALL_PERMISSIONS)) return false;
+  if (![...other.permissions].every((permission) => role.permissions.has(permission))) return false;
+
+  return Object.values(SCOPES).every(({ key }) => {
+    const limit = role.scope[key] || [];
+    const otherLimit = other.scope[key] || [];
+    return limit.length === 0 || (otherLimit.length > 0 && otherLimit.every((value) => limit.includes(value)));
+  });
+};
+
+// Static method to pick the role that grants the most out of a list of names,
+// skipping ones that don't exist; the first listed wins between roles that
+// don't cover each other. Null when none exist.
+roleSchema.statics.pickHighest = async function(names) {
+  let highest = null;
+  for (const name of names) {
+    if (!(await this.getRole(name))) continue;
+    if (!highest || (await this.covers(name, highest) && !(await this.covers(highest, name)))) highest = name;
+  }
+  return highest;
+};
+
+// Static method to create the built-in roles that are missing
+roleSchema.statics.ensureDefaults = async function() {
+  await Promise.all(Object.entries(DEFAULT_ROLES).map(([name, role]) => this.updateOne(
+    { name },
+    { $setOnInsert: { name, description: role.description, permissions: role.permissions, isSystem: true } },
+    { upsert: true }
+  )));
+  cache = null;
+};
+
+// Static method to drop cached permissions
+roleSchema.statics.clearCache = function() {
+  cache = null;
+};
+
+module.exports = mongoose.model('Role', roleSchema);
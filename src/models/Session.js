@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const { hashToken, describeUserAgent } = require('../utils/helpers');
+
+// A session is one refresh token family: it starts at login and every
+// refresh rotates the token within the same family.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  familyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastRotatedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  userAgent: String,
+  device: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: [
+      'logout',
+      'reuse_detected',
+      'password_reset',
+      'password_changed',
+      'user_revoked',
+      'signed_out_elsewhere',
+      'admin_revoked',
+      'account_deactivated',
+      'account_deleted'
+    ]
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for is active
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Sign a refresh token bound to a session family
+const signRefreshToken = (userId, familyId) => {
+  const token = jwt.sign(
+    { id: userId, sid: familyId, jti: uuidv4() },
+    config.jwt.refreshSecret,
+    { expiresIn: config.jwt.refreshExpire }
+  );
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+// Client details recorded whenever a session is used
+const clientDetails = ({ ip, userAgent } = {}) => ({
+  ip,
+  userAgent,
+  device: describeUserAgent(userAgent),
+  lastSeenAt: new Date()
+});
+
+// Method to expose a session to its owner or an admin
+sessionSchema.methods.toSummary = function(currentSessionId) {
+  return {
+    id: this._id.toString(),
+    device: this.device,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt?.toISOString(),
+    lastSeenAt: this.lastSeenAt?.toISOString(),
+    expiresAt: this.expiresAt?.toISOString(),
+    current: !!currentSessionId && this.familyId === currentSessionId
+  };
+};
+
+// Static method to start a new session and issue its first token pair
+sessionSchema.statics.start = async function(user, client) {
+  const familyId = uuidv4();
+  const { token: refreshToken, expiresAt } = signRefreshToken(user._id, familyId);
+
+  const session = await this.create({
+    user: user._id,
+    familyId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt,
+    ...clientDetails(client)
+  });
+
+  return {
+    session,
+    token: user.generateAuthToken(familyId),
+    refreshToken
+  };
+};
+
+// Static method to rotate a refresh token. Resolves to null when the presented
+// token is not the current token of an active family.
+sessionSchema.statics.rotate = async function(decoded, presentedToken, client) {
+  const { token: refreshToken, expiresAt } = signRefreshToken(decoded.id, decoded.sid);
+
+  const session = await this.findOneAndUpdate(
+    {
+      familyId: decoded.sid,
+      user: decoded.id,
+      refreshTokenHash: hashToken(presentedToken),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      refreshTokenHash: hashToken(refreshToken),
+      lastRotatedAt: new Date(),
+      expiresAt,
+      ...clientDetails(client),
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  return session ? { session, refreshToken } : null;
+};
+
+// Static method to check whether a session family can still be used
+sessionSchema.statics.isActiveFamily = async function(familyId, userId) {
+  if (!familyId) return false;
+  const exists = await this.exists({
+    familyId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!exists;
+};
+
+// Static method to list a user's active sessions, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke a session family by id
+sessionSchema.statics.revokeFamily = function(familyId, reason) {
+  return this.updateOne(
+    { familyId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke one of a user's sessions by document id
+sessionSchema.statics.revokeById = function(userId, sessionId, reason, revokedBy) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy },
+    { new: true }
+  );
+};
+
+// Static method to revoke every active session of a user, optionally keeping one family
+sessionSchema.statics.revokeAllForUser = function(userId, reason, { exceptFamilyId, revokedBy } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptFamilyId) filter.familyId = { $ne: exceptFamilyId };
+
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason, revokedBy });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
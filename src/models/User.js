@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
+const { hashToken } = require('../utils/helpers');
+const totp = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -24,9 +26,11 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Name cannot exceed 50 characters']
   },
+  // Name of a Role; built-in roles are user, moderator, admin and super_admin
   role: {
     type: String,
-    enum: ['user', 'moderator', 'admin'],
+    trim: true,
+    lowercase: true,
     default: 'user'
   },
   department: {
@@ -55,11 +59,70 @@ const userSchema = new mongoose.Schema({
   emailVerificationCode: String,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    enabledAt: Date
+  },
+  sso: {
+    issuer: String,
+    subject: String,
+    lastLoginAt: Date
+  },
+  // Set while the account waits out its deletion grace period
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // When the last digest went out, and the leaderboard rank it reported
+  digest: {
+    lastSentAt: Date,
+    lastRank: Number
+  },
   lastLogin: Date,
   loginCount: {
     type: Number,
     default: 0
   },
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lastFailedIp: String,
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    lockCount: {
+      type: Number,
+      default: 0
+    }
+  },
   preferences: {
     notifications: {
       email: {
@@ -77,12 +140,41 @@ const userSchema = new mongoose.Schema({
       events: {
         type: Boolean,
         default: true
+      },
+      mentions: {
+        type: Boolean,
+        default: true
+      },
+      articles: {
+        type: Boolean,
+        default: true
+      },
+      achievements: {
+        type: Boolean,
+        default: true
+      },
+      // Likes are shown in-app but not emailed unless asked for
+      likes: {
+        type: Boolean,
+        default: false
+      },
+      // Summary email of what happened on the portal (see utils/digest)
+      digest: {
+        type: String,
+        enum: ['off', 'daily', 'weekly'],
+        default: 'weekly'
       }
     },
     theme: {
       type: String,
       enum: ['light', 'dark', 'auto'],
       default: 'auto'
+    },
+    // public: full profile and activity; limited: profile without activity; private: name card only
+    profileVisibility: {
+      type: String,
+      enum: ['public', 'limited', 'private'],
+      default: 'public'
     }
   },
   gamification: {
@@ -109,6 +201,22 @@ const userSchema = new mongoose.Schema({
       }
     }]
   },
+  skills: {
+    declared: [{
+      type: String,
+      trim: true,
+      maxlength: [30, 'Skill cannot exceed 30 characters']
+    }],
+    // Derived from tags on the user's approved posts and published articles
+    inferred: [{
+      _id: false,
+      name: String,
+      count: Number
+    }],
+    inferredAt: Date,
+    // Lowercased union of declared and inferred skills, used for filtering
+    normalized: [String]
+  },
   socialLinks: {
     linkedin: String,
     twitter: String,
@@ -124,6 +232,10 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ role: 1 });
 userSchema.index({ 'gamification.points': -1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'sso.issuer': 1, 'sso.subject': 1 }, { sparse: true });
+userSchema.index({ 'skills.normalized': 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ 'preferences.notifications.digest': 1, 'digest.lastSentAt': 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -143,31 +255,130 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to keep the normalized skill list in sync
+userSchema.pre('save', function(next) {
+  if (this.isModified('skills.declared') || this.isModified('skills.inferred')) {
+    const names = [
+      ...(this.skills.declared || []),
+      ...(this.skills.inferred || []).map((skill) => skill.name)
+    ];
+    this.skills.normalized = [...new Set(names.map((name) => name.trim().toLowerCase()).filter(Boolean))];
+  }
+  next();
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Method to generate JWT token bound to a session (see Session model)
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id, 
       email: this.email, 
-      role: this.role 
+      role: this.role,
+      sid: sessionId
     },
     config.jwt.secret,
     { expiresIn: config.jwt.expire }
   );
 };
 
-// Method to generate refresh token
-userSchema.methods.generateRefreshToken = function() {
-  return jwt.sign(
-    { id: this._id },
-    config.jwt.refreshSecret,
-    { expiresIn: config.jwt.refreshExpire }
+// Method to check whether the user must use two-factor authentication, which
+// is the case when their role grants any privileged permission
+userSchema.methods.isTwoFactorRequired = async function() {
+  if (!config.twoFactor.enforced) return false;
+  return mongoose.model('Role').hasPrivilegedPermission(this.role);
+};
+
+// Method to verify a TOTP code against the enabled secret, rejecting replays.
+// Requires twoFactor.secret and twoFactor.lastUsedStep to be selected.
+userSchema.methods.verifyTwoFactorCode = function(code, time = Date.now()) {
+  if (!this.twoFactor?.enabled || !this.twoFactor.secret) return false;
+
+  const step = totp.verifyToken(this.twoFactor.secret, code, { time });
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to consume a recovery code. Requires twoFactor.recoveryCodes to be selected.
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashToken(totp.normalizeRecoveryCode(code));
+  const entry = (this.twoFactor?.recoveryCodes || []).find((rc) => rc.hash === hash && !rc.usedAt);
+  if (!entry) return false;
+
+  entry.usedAt = new Date();
+  return true;
+};
+
+// Method to replace recovery codes; returns the plain codes to show once
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = totp.generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = codes.map((code) => ({ hash: hashToken(totp.normalizeRecoveryCode(code)) }));
+  return codes;
+};
+
+// Whether the account is temporarily locked after too many failed logins
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.loginSecurity?.lockedUntil && this.loginSecurity.lockedUntil > new Date());
+});
+
+// Method to get the seconds until the next login attempt is accepted (0 if now)
+userSchema.methods.getLoginRetryAfter = function(now = Date.now()) {
+  const { lockedUntil, nextAttemptAt } = this.loginSecurity || {};
+  const until = Math.max(lockedUntil?.getTime() || 0, nextAttemptAt?.getTime() || 0);
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+};
+
+// Method to record a failed password or two-factor attempt. The counter is
+// incremented atomically so parallel guesses cannot slip past the limit.
+userSchema.methods.registerFailedLogin = async function(ip) {
+  const { freeAttempts, maxAttempts, delayBaseMs, delayMaxMs, lockoutMs } = config.accountLockout;
+  const now = new Date();
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': now, 'loginSecurity.lastFailedIp': ip }
+    },
+    { new: true, projection: { loginSecurity: 1 } }
   );
+
+  const security = updated.loginSecurity;
+  const attempts = security.failedAttempts;
+  const locked = attempts >= maxAttempts;
+
+  if (locked) {
+    security.failedAttempts = 0;
+    security.nextAttemptAt = undefined;
+    security.lockedUntil = new Date(now.getTime() + lockoutMs);
+    security.lockCount += 1;
+  } else if (attempts > freeAttempts) {
+    const delayMs = Math.min(delayBaseMs * 2 ** (attempts - freeAttempts - 1), delayMaxMs);
+    security.nextAttemptAt = new Date(now.getTime() + delayMs);
+  }
+
+  if (updated.isModified()) {
+    await updated.save();
+  }
+
+  this.set('loginSecurity', updated.toObject().loginSecurity);
+  return { attempts, locked };
+};
+
+// Method to clear failed login tracking after a successful login or an admin unlock
+userSchema.methods.resetLoginAttempts = function() {
+  this.loginSecurity.failedAttempts = 0;
+  this.loginSecurity.nextAttemptAt = undefined;
+  this.loginSecurity.lockedUntil = undefined;
+  return this.save();
 };
 
 // Method to update last login
@@ -213,6 +424,35 @@ userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to recompute a user's inferred skills from their content tags
+userSchema.statics.refreshInferredSkills = async function(userId, limit = 15) {
+  const tagCounts = (match) => [
+    { $match: match },
+    { $unwind: '$tags' },
+    { $group: { _id: { $toLower: '$tags' }, name: { $first: '$tags' }, count: { $sum: 1 } } }
+  ];
+
+  const [forumTags, articleTags] = await Promise.all([
+    mongoose.model('Forum').aggregate(tagCounts({ author: userId, approvalStatus: 'approved' })),
+    mongoose.model('Article').aggregate(tagCounts({ author: userId, status: 'published' }))
+  ]);
+
+  const merged = new Map();
+  [...forumTags, ...articleTags].forEach(({ _id, name, count }) => {
+    const existing = merged.get(_id);
+    merged.set(_id, { name: existing?.name || name, count: (existing?.count || 0) + count });
+  });
+
+  const user = await this.findById(userId);
+  if (!user) return null;
+
+  user.skills.inferred = [...merged.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+  user.skills.inferredAt = new Date();
+  return user.save();
+};
+
 // Static method to get leaderboard
 userSchema.statics.getLeaderboard = function(limit = 10) {
   return this.find({ isActive: true })
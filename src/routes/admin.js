@@ -1,5 +1,6 @@
 const express = require('express');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const jwt = require('jsonwebtoken');
+const { authenticate, can, hasPermission, permissionScope } = require('../middleware/auth');
 const { validate, adminSchemas } = require('../middleware/validation');
 const User = require('../models/User');
 const Event = require('../models/Event');
@@ -8,14 +9,30 @@ const Forum = require('../models/Forum');
 const Achievement = require('../models/Achievement');
 const Setting = require('../models/Setting');
 const Report = require('../models/Report');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const Job = require('../models/Job');
+const config = require('../config/config');
+const { PERMISSIONS, ALL_PERMISSIONS } = require('../config/permissions');
+const logger = require('../utils/logger');
+const { buildUserExport, scheduleAccountDeletion, cancelAccountDeletion, purgeAccount, FORMER_MEMBER_EMAIL } = require('../utils/accountData');
+const { notifyPostMentions, notifyArticleMentions } = require('../utils/mentions');
+const { notifyUser } = require('../utils/notifications');
+const { topics, publish } = require('../utils/realtime');
+const { JOB_SCHEDULES } = require('../utils/jobs');
+const { ANALYTICS_SETTING, queueAnalyticsRefresh } = require('../utils/analytics');
+const { nextRun } = require('../utils/cron');
+const { generatePaginationMeta } = require('../utils/helpers');
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
-router.use(authenticate, requireAdmin);
+// All admin routes require authentication; each route checks its own permission
+router.use(authenticate);
 
 // Get platform statistics
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', can('analytics.view'), async (req, res, next) => {
   try {
     const [totalUsers, activeUsers, totalPosts, totalArticles, pendingReports] = await Promise.all([
       User.countDocuments({}),
@@ -38,7 +55,7 @@ router.get('/stats', async (req, res, next) => {
 });
 
 // Get all users
-router.get('/users', validate(adminSchemas.getUsers, 'query'), async (req, res, next) => {
+router.get('/users', can('user.view'), validate(adminSchemas.getUsers, 'query'), async (req, res, next) => {
   try {
     const { page = 1, limit = 20, role, department, isActive, search } = req.query;
     const filter = {};
@@ -56,8 +73,29 @@ router.get('/users', validate(adminSchemas.getUsers, 'query'), async (req, res,
   } catch (err) { next(err); }
 });
 
+// Load the user a route acts on. Responds and returns null when they don't
+// exist, are the "Former member" placeholder, or their role has permissions
+// the acting user's role lacks.
+const findManagedUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ success: false, message: 'User not found' });
+    return null;
+  }
+  // Anonymized content points at the placeholder, so it must stay as it is
+  if (user.email === FORMER_MEMBER_EMAIL) {
+    res.status(403).json({ success: false, message: 'The former member placeholder cannot be changed.' });
+    return null;
+  }
+  if (!(await Role.covers(req.user.role, user.role))) {
+    res.status(403).json({ success: false, message: 'You cannot manage a user whose role has permissions you do not have.' });
+    return null;
+  }
+  return user;
+};
+
 // Update user role
-router.put('/users/:id/role', validate(adminSchemas.updateUserRole), async (req, res, next) => {
+router.put('/users/:id/role', can('user.role.assign'), validate(adminSchemas.updateUserRole), async (req, res, next) => {
   try {
     const targetUserId = req.params.id;
     const newRole = req.body.role;
@@ -72,19 +110,26 @@ router.put('/users/:id/role', validate(adminSchemas.updateUserRole), async (req,
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    // Only Super Admin can change roles to 'admin' or 'super_admin'
-    if (newRole === 'admin' && currentUser.role !== 'super_admin') {
-      return res.status(403).json({ success: false, message: 'Only Super Admins can grant Admin roles.' });
+    if (!(await Role.getPermissions(newRole))) {
+      return res.status(400).json({ success: false, message: `Unknown role '${newRole}'` });
     }
 
-    // Super Admin cannot change another Super Admin's role
-    if (targetUser.role === 'super_admin' && currentUser.role === 'super_admin' && newRole !== 'super_admin') {
-      return res.status(403).json({ success: false, message: "Super Admins cannot change another Super Admin's role." });
+    // Nobody can hand out, or take away, more than they hold themselves
+    const [coversNew, coversCurrent] = await Promise.all([
+      Role.covers(currentUser.role, newRole),
+      Role.covers(currentUser.role, targetUser.role)
+    ]);
+    if (!coversNew || !coversCurrent) {
+      return res.status(403).json({ success: false, message: 'You cannot assign or change a role with permissions you do not have.' });
     }
 
-    // Prevent non-super_admin from changing existing admin to user
-    if (targetUser.role === 'admin' && newRole === 'user' && currentUser.role !== 'super_admin') {
-        return res.status(403).json({ success: false, message: 'Only Super Admins can demote an Admin.' });
+    // Roles that can themselves assign roles are managed by role managers only
+    const [grantsAssign, holdsAssign] = await Promise.all([
+      Role.grants(newRole, 'user.role.assign'),
+      Role.grants(targetUser.role, 'user.role.assign')
+    ]);
+    if ((grantsAssign || holdsAssign) && !(await hasPermission(currentUser, 'role.manage'))) {
+      return res.status(403).json({ success: false, message: 'Only role managers can grant or revoke administrative roles.' });
     }
 
     const user = await User.findByIdAndUpdate(targetUserId, { role: newRole }, { new: true });
@@ -92,27 +137,257 @@ router.put('/users/:id/role', validate(adminSchemas.updateUserRole), async (req,
   } catch (err) { next(err); }
 });
 
-// Update user status
-router.put('/users/:id/status', validate(adminSchemas.updateUserStatus), async (req, res, next) => {
+// Update user status (deactivating also signs the user out everywhere,
+// reactivating cancels a pending deletion)
+router.put('/users/:id/status', can('user.status.update'), validate(adminSchemas.updateUserStatus), async (req, res, next) => {
   try {
+    const target = await findManagedUser(req, res);
+    if (!target) return;
+    if (req.body.isActive && target.deletion?.scheduledFor) {
+      await cancelAccountDeletion(target, req.user._id);
+      return res.json({ success: true, message: 'User status updated successfully', data: { user: target, revokedSessions: 0 } });
+    }
     const user = await User.findByIdAndUpdate(req.params.id, { isActive: req.body.isActive }, { new: true });
-    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-    res.json({ success: true, message: 'User status updated successfully', data: { user } });
+    let revokedSessions = 0;
+    if (!user.isActive) {
+      const result = await Session.revokeAllForUser(user._id, 'account_deactivated', { revokedBy: req.user._id });
+      revokedSessions = result.modifiedCount;
+    }
+    res.json({ success: true, message: 'User status updated successfully', data: { user, revokedSessions } });
+  } catch (err) { next(err); }
+});
+
+// Export everything stored about a user
+router.get('/users/:id/export', can('user.data.export'), async (req, res, next) => {
+  try {
+    if (!(await findManagedUser(req, res))) return;
+    const bundle = await buildUserExport(req.params.id);
+    logger.logUserAction(req.user._id, 'user_data_exported', { targetUserId: req.params.id });
+    res.attachment(`xerago-community-export-${req.params.id}.json`);
+    res.json({ success: true, data: bundle });
+  } catch (err) { next(err); }
+});
+
+// Delete a user: scheduled after the grace period, or right away with ?immediate=true
+router.delete('/users/:id', can('user.delete'), async (req, res, next) => {
+  try {
+    if (req.user._id.toString() === req.params.id) {
+      return res.status(403).json({ success: false, message: 'Use DELETE /api/users/me to delete your own account.' });
+    }
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    if (req.query.immediate === 'true') {
+      await Session.revokeAllForUser(user._id, 'account_deleted', { revokedBy: req.user._id });
+      await purgeAccount(user._id);
+      logger.logUserAction(req.user._id, 'user_purged', { targetUserId: user._id });
+      return res.json({ success: true, message: 'User deleted and content anonymized' });
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(user, req.user._id);
+    res.json({ success: true, message: 'User scheduled for deletion', data: { scheduledFor } });
+  } catch (err) { next(err); }
+});
+
+// Cancel a pending deletion and reactivate the user
+router.post('/users/:id/restore', can('user.delete'), async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({ success: false, message: 'User is not scheduled for deletion' });
+    }
+    await cancelAccountDeletion(user, req.user._id);
+    res.json({ success: true, message: 'User restored', data: { user } });
+  } catch (err) { next(err); }
+});
+
+// Unlock a user locked out by failed login attempts
+router.post('/users/:id/unlock', can('user.unlock'), async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    const wasLocked = user.isLocked;
+    await user.resetLoginAttempts();
+    logger.logUserAction(req.user._id, 'user_unlocked', { targetUserId: user._id, wasLocked });
+    res.json({ success: true, message: 'User account unlocked', data: { user } });
+  } catch (err) { next(err); }
+});
+
+// Start a read-only impersonation of a user to see what they see
+router.post('/users/:id/impersonate', can('user.impersonate'), validate(adminSchemas.impersonate), async (req, res, next) => {
+  try {
+    if (req.user._id.toString() === req.params.id) {
+      return res.status(400).json({ success: false, message: 'You cannot impersonate yourself' });
+    }
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    if (!user.isActive) {
+      return res.status(400).json({ success: false, message: 'Inactive users cannot be impersonated' });
+    }
+    if (await hasPermission(user, 'user.impersonate')) {
+      return res.status(403).json({ success: false, message: 'Administrators cannot be impersonated' });
+    }
+
+    const impersonation = new Impersonation({
+      admin: req.user._id,
+      targetUser: user._id,
+      reason: req.body.reason,
+      ip: req.ip
+    });
+    const token = jwt.sign(
+      { id: user._id, imp: impersonation._id, act: { sub: req.user._id.toString() } },
+      config.jwt.secret,
+      { expiresIn: config.impersonation.expire }
+    );
+    impersonation.expiresAt = new Date(jwt.decode(token).exp * 1000);
+    await impersonation.save();
+
+    await AuditLog.create({
+      method: req.method,
+      route: req.originalUrl,
+      statusCode: 201,
+      user: req.user._id,
+      impersonation: impersonation._id,
+      action: 'impersonation_started',
+      requestBody: { targetUser: user._id, reason: impersonation.reason }
+    });
+    logger.logSecurityEvent('impersonation_started', {
+      adminId: req.user._id,
+      targetUserId: user._id,
+      impersonationId: impersonation._id,
+      reason: impersonation.reason
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Impersonating ${user.name} (read-only)`,
+      data: {
+        token,
+        impersonation: {
+          id: impersonation._id,
+          targetUser: { id: user._id, name: user.name, email: user.email },
+          expiresAt: impersonation.expiresAt
+        }
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// List impersonations, newest first
+router.get('/impersonations', can('user.impersonate'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, admin, targetUser } = req.query;
+    const filter = {};
+    if (admin) filter.admin = admin;
+    if (targetUser) filter.targetUser = targetUser;
+    const [impersonations, total] = await Promise.all([
+      Impersonation.find(filter)
+        .populate('admin', 'name email')
+        .populate('targetUser', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      Impersonation.countDocuments(filter)
+    ]);
+    res.json({ success: true, data: { impersonations, total } });
+  } catch (err) { next(err); }
+});
+
+// Get an impersonation with every request made during it
+router.get('/impersonations/:id', can('user.impersonate'), async (req, res, next) => {
+  try {
+    const impersonation = await Impersonation.findById(req.params.id)
+      .populate('admin', 'name email')
+      .populate('targetUser', 'name email')
+      .populate('endedBy', 'name email');
+    if (!impersonation) return res.status(404).json({ success: false, message: 'Impersonation not found' });
+    const auditTrail = await AuditLog.find({ impersonation: impersonation._id })
+      .select('method route statusCode action createdAt')
+      .sort({ createdAt: 1 });
+    res.json({ success: true, data: { impersonation, auditTrail } });
+  } catch (err) { next(err); }
+});
+
+// End an impersonation early; its token stops working immediately
+router.delete('/impersonations/:id', can('user.impersonate'), async (req, res, next) => {
+  try {
+    const impersonation = await Impersonation.end(req.params.id, req.user._id);
+    if (!impersonation) return res.status(404).json({ success: false, message: 'Active impersonation not found' });
+    await AuditLog.create({
+      method: req.method,
+      route: req.originalUrl,
+      statusCode: 200,
+      user: req.user._id,
+      impersonation: impersonation._id,
+      action: 'impersonation_stopped'
+    });
+    logger.logSecurityEvent('impersonation_stopped', {
+      adminId: req.user._id,
+      targetUserId: impersonation.targetUser,
+      impersonationId: impersonation._id
+    });
+    res.json({ success: true, message: 'Impersonation ended' });
+  } catch (err) { next(err); }
+});
+
+// List a user's active sessions
+router.get('/users/:id/sessions', can('user.sessions.manage'), async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    const sessions = await Session.findActiveForUser(user._id);
+    res.json({ success: true, data: { sessions: sessions.map((s) => s.toSummary()) } });
+  } catch (err) { next(err); }
+});
+
+// Revoke all of a user's sessions
+router.delete('/users/:id/sessions', can('user.sessions.manage'), async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    const result = await Session.revokeAllForUser(user._id, 'admin_revoked', { revokedBy: req.user._id });
+    res.json({ success: true, message: 'User sessions revoked', data: { revoked: result.modifiedCount } });
+  } catch (err) { next(err); }
+});
+
+// Revoke a single session of a user
+router.delete('/users/:id/sessions/:sessionId', can('user.sessions.manage'), async (req, res, next) => {
+  try {
+    if (!(await findManagedUser(req, res))) return;
+    const session = await Session.revokeById(req.params.id, req.params.sessionId, 'admin_revoked', req.user._id);
+    if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+    res.json({ success: true, message: 'Session revoked' });
   } catch (err) { next(err); }
 });
 
 // Approve or change article status
-router.put('/articles/:id/status', async (req, res, next) => {
+router.put('/articles/:id/status', can('article.publish', { model: Article }), async (req, res, next) => {
   try {
     const { status } = req.body; // 'draft' | 'published' | 'archived'
     const article = await Article.findByIdAndUpdate(req.params.id, { status }, { new: true });
     if (!article) return res.status(404).json({ success: false, message: 'Article not found' });
+    Job.enqueue('skills.refresh', { userId: article.author }).catch((error) => logger.error('Failed to queue skills refresh:', error));
+    if (article.status === 'published') {
+      // Mentions in drafts are only announced once the article is visible
+      User.findById(article.author).select('name')
+        .then((author) => author && notifyArticleMentions(article, author))
+        .catch((error) => logger.error('Failed to notify mentions:', error));
+      notifyUser(article.author, {
+        type: 'article_published',
+        actor: req.user,
+        title: `Your article "${article.title}" was published`,
+        link: `/articles/${article._id}`,
+        target: { model: 'Article', id: article._id },
+        once: true
+      }).catch((error) => logger.error('Failed to notify article author:', error));
+    }
     res.json({ success: true, message: 'Article status updated', data: { article } });
   } catch (err) { next(err); }
 });
 
 // Get reports
-router.get('/reports', async (req, res, next) => {
+router.get('/reports', can('report.view'), async (req, res, next) => {
   try {
     const { status = 'pending', page = 1, limit = 20 } = req.query;
     const filter = {};
@@ -126,78 +401,30 @@ router.get('/reports', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
-// Analytics endpoint with engagement, DAU, growth metrics
-router.get('/analytics', async (req, res, next) => {
+// Analytics with engagement, DAU and growth metrics. The aggregations run in
+// the `analytics.refresh` job; this serves the latest result.
+router.get('/analytics', can('analytics.view'), async (req, res, next) => {
   try {
-    // 1) Engagement rate: total (likes+replies) / totalPosts
-    const totalPosts = await Forum.countDocuments({});
-    const totalArticles = await Article.countDocuments({});
-    const totalEvents = await Event.countDocuments({});
-    const engagementAgg = await Forum.aggregate([
-      { $project: { interactions: { $add: [{ $size: '$likes' }, { $size: '$replies' }] } } },
-      { $group: { _id: null, totalInteractions: { $sum: '$interactions' } } }
-    ]);
-    const totalInteractions = engagementAgg[0]?.totalInteractions || 0;
-    const engagementRate = totalPosts > 0 ? Math.round((totalInteractions / totalPosts) * 100) : 0;
-
-    // 2) Avg session time (mock calculation: we can track via session logs in future)
-    const averageSessionTime = '12m'; // Placeholder; integrate session tracking if available
-
-    // 3) Daily active users (last 7 days)
-    const now = new Date();
-    const dailyActiveUsers = [];
-    for (let i = 6; i >= 0; i--) {
-      const dayStart = new Date(now);
-      dayStart.setDate(now.getDate() - i);
-      dayStart.setHours(0, 0, 0, 0);
-      const dayEnd = new Date(dayStart);
-      dayEnd.setDate(dayStart.getDate() + 1);
-      const count = await User.countDocuments({ updatedAt: { $gte: dayStart, $lt: dayEnd } });
-      dailyActiveUsers.push({ date: dayStart.toISOString().slice(0, 10), users: count });
-    }
-
-    // 4) Content growth: posts created this month vs last month
-    const thisMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const lastMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-    const lastMonthEnd = new Date(now.getFullYear(), now.getMonth(), 1);
-    const postsThisMonth = await Forum.countDocuments({ createdAt: { $gte: thisMonthStart } });
-    const postsLastMonth = await Forum.countDocuments({ createdAt: { $gte: lastMonthStart, $lt: lastMonthEnd } });
-    const contentGrowth = postsLastMonth > 0 ? Math.round(((postsThisMonth - postsLastMonth) / postsLastMonth) * 100) : 0;
-
-    // 5) Top categories by posts
-    const categories = ['ai', 'marketing', 'technology', 'analytics', 'general'];
-    const topCategories = [];
-    for (const cat of categories) {
-      const agg = await Forum.aggregate([
-        { $match: { category: cat } },
-        { $project: { likesCount: { $size: '$likes' }, repliesCount: { $size: '$replies' } } },
-        { $group: { _id: null, posts: { $sum: 1 }, engagement: { $sum: { $add: ['$likesCount', '$repliesCount'] } } } }
-      ]);
-      topCategories.push({
-        name: cat === 'ai' ? 'AI & Innovation' : cat.charAt(0).toUpperCase() + cat.slice(1),
-        posts: agg[0]?.posts || 0,
-        engagement: agg[0]?.engagement || 0
+    const snapshot = await Setting.getValue(ANALYTICS_SETTING, null);
+    if (!snapshot) {
+      await queueAnalyticsRefresh();
+      return res.status(202).json({
+        success: false,
+        code: 'ANALYTICS_PENDING',
+        message: 'Analytics are being calculated. Try again shortly.'
       });
     }
 
-    res.json({
-      success: true,
-      data: {
-        engagementRate,
-        averageSessionTime,
-        dailyActiveUsers,
-        contentGrowth,
-        topCategories,
-      }
-    });
+    res.json({ success: true, data: snapshot });
   } catch (err) { next(err); }
 });
 
 // -------- Content: Forums Moderation --------
-router.get('/forums/posts', async (req, res, next) => {
+router.get('/forums/posts', can('forum.post.approve'), async (req, res, next) => {
   try {
     const { page = 1, limit = 20, search, approvalStatus } = req.query;
-    const filter = {};
+    // Scoped moderators only see the categories they moderate
+    const filter = { ...(await permissionScope(req.user, 'forum.post.approve')) };
     if (search) {
       filter.$or = [
         { title: new RegExp(search, 'i') },
@@ -217,15 +444,17 @@ router.get('/forums/posts', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
-router.delete('/forums/posts/:id', async (req, res, next) => {
+router.delete('/forums/posts/:id', can('forum.post.delete', { model: Forum, name: 'Post' }), async (req, res, next) => {
   try {
     const deleted = await Forum.findByIdAndDelete(req.params.id);
     if (!deleted) return res.status(404).json({ success: false, message: 'Post not found' });
+    publish(topics.post(deleted._id), 'post.deleted', { postId: deleted._id.toString() });
+    publish(topics.moderation(), 'post.removed', { post: deleted.toQueueItem() });
     res.json({ success: true, message: 'Post deleted' });
   } catch (err) { next(err); }
 });
 
-router.put('/forums/posts/:id/approval', async (req, res, next) => {
+router.put('/forums/posts/:id/approval', can('forum.post.approve', { model: Forum, name: 'Post' }), async (req, res, next) => {
   try {
     const { approvalStatus } = req.body; // 'pending' | 'approved' | 'rejected'
     const post = await Forum.findByIdAndUpdate(
@@ -238,15 +467,84 @@ router.put('/forums/posts/:id/approval', async (req, res, next) => {
       { new: true }
     ).populate('author', 'name email department avatar');
     if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
+    publish(topics.moderation(), 'post.reviewed', { post: post.toQueueItem() });
+    if (post.author) {
+      Job.enqueue('skills.refresh', { userId: post.author._id }).catch((error) => logger.error('Failed to queue skills refresh:', error));
+      if (post.approvalStatus === 'approved') {
+        notifyPostMentions(post, post.author).catch((error) => logger.error('Failed to notify mentions:', error));
+      }
+      if (['approved', 'rejected'].includes(post.approvalStatus)) {
+        notifyUser(post.author._id, {
+          type: `forum_post_${post.approvalStatus}`,
+          actor: req.user,
+          title: `Your post "${post.title}" was ${post.approvalStatus}`,
+          link: `/forums/posts/${post._id}`,
+          target: { model: 'Forum', id: post._id }
+        }).catch((error) => logger.error('Failed to notify post author:', error));
+      }
+    }
     res.json({ success: true, message: 'Post approval status updated', data: { post } });
   } catch (err) { next(err); }
 });
 
+// Pin, lock, close or archive a thread
+router.put('/forums/posts/:id/moderation', can('forum.post.moderate', { model: Forum, name: 'Post' }), validate(adminSchemas.moderatePost), async (req, res, next) => {
+  try {
+    const post = req.resource;
+    const { pinned, pinnedUntil, locked, status } = req.body;
+    const now = new Date();
+
+    if (status) {
+      post.status = status;
+      post.statusChangedBy = req.user._id;
+      post.statusChangedAt = now;
+    }
+
+    if (pinned && post.status === 'archived') {
+      return res.status(400).json({ success: false, message: 'Archived threads cannot be pinned' });
+    }
+    if (pinned === true) {
+      post.pinnedAt = now;
+      post.pinnedUntil = pinnedUntil || undefined;
+      post.pinnedBy = req.user._id;
+    }
+    // Archived threads drop out of the listing, so they lose their pin too
+    if (pinned === false || post.status === 'archived') {
+      post.pinnedAt = undefined;
+      post.pinnedUntil = undefined;
+      post.pinnedBy = undefined;
+    }
+
+    if (locked === true && !post.lockedAt) {
+      post.lockedAt = now;
+      post.lockedBy = req.user._id;
+    } else if (locked === false) {
+      post.lockedAt = undefined;
+      post.lockedBy = undefined;
+    }
+
+    await post.save();
+    await post.populate('author', 'name email department avatar');
+
+    logger.logUserAction(req.user._id, 'forum_thread_moderated', { postId: post._id, changes: req.body });
+    publish(topics.post(post._id), 'post.moderated', {
+      postId: post._id.toString(),
+      status: post.status,
+      isPinned: post.isPinned,
+      pinnedUntil: post.pinnedUntil || null,
+      isLocked: post.isLocked
+    });
+
+    res.json({ success: true, message: 'Thread updated', data: { post } });
+  } catch (err) { next(err); }
+});
+
 // -------- Content: Articles Review --------
-router.get('/articles', async (req, res, next) => {
+router.get('/articles', can('article.publish'), async (req, res, next) => {
   try {
     const { page = 1, limit = 20, status, search } = req.query;
-    const filter = {};
+    // Scoped moderators only see the categories they review
+    const filter = { ...(await permissionScope(req.user, 'article.publish')) };
     if (status) filter.status = status;
     if (search) filter.$or = [
       { title: new RegExp(search, 'i') },
@@ -265,7 +563,7 @@ router.get('/articles', async (req, res, next) => {
 // existing PUT /articles/:id/status handles status updates
 
 // -------- Content: Reports moderation --------
-router.put('/reports/:id/status', async (req, res, next) => {
+router.put('/reports/:id/status', can('report.manage'), async (req, res, next) => {
   try {
     const { status } = req.body; // 'pending' | 'resolved' | 'dismissed'
     const report = await Report.findByIdAndUpdate(req.params.id, { status }, { new: true });
@@ -275,21 +573,21 @@ router.put('/reports/:id/status', async (req, res, next) => {
 });
 
 // -------- Gamification: Achievements CRUD --------
-router.get('/achievements', async (req, res, next) => {
+router.get('/achievements', can('achievement.manage'), async (req, res, next) => {
   try {
     const items = await Achievement.find({}).sort({ createdAt: -1 });
     res.json({ success: true, data: { achievements: items } });
   } catch (err) { next(err); }
 });
 
-router.post('/achievements', async (req, res, next) => {
+router.post('/achievements', can('achievement.manage'), async (req, res, next) => {
   try {
     const created = await Achievement.create(req.body);
     res.status(201).json({ success: true, data: { achievement: created } });
   } catch (err) { next(err); }
 });
 
-router.put('/achievements/:id', async (req, res, next) => {
+router.put('/achievements/:id', can('achievement.manage'), async (req, res, next) => {
   try {
     const updated = await Achievement.findByIdAndUpdate(req.params.id, req.body, { new: true });
     if (!updated) return res.status(404).json({ success: false, message: 'Achievement not found' });
@@ -297,7 +595,7 @@ router.put('/achievements/:id', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
-router.delete('/achievements/:id', async (req, res, next) => {
+router.delete('/achievements/:id', can('achievement.manage'), async (req, res, next) => {
   try {
     const deleted = await Achievement.findByIdAndDelete(req.params.id);
     if (!deleted) return res.status(404).json({ success: false, message: 'Achievement not found' });
@@ -306,13 +604,14 @@ router.delete('/achievements/:id', async (req, res, next) => {
 });
 
 // -------- Gamification: Point System Settings --------
-router.get('/settings/points', async (req, res, next) => {
+router.get('/settings/points', can('settings.manage'), async (req, res, next) => {
   try {
     const defaults = {
       articleCreate: 10,
       articleLike: 2,
       forumPost: 5,
       forumReply: 3,
+      forumAnswerAccepted: 15,
       eventAttend: 8,
       eventCreate: 15,
     };
@@ -321,9 +620,9 @@ router.get('/settings/points', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
-router.put('/settings/points', async (req, res, next) => {
+router.put('/settings/points', can('settings.manage'), async (req, res, next) => {
   try {
-    const allowedKeys = ['articleCreate','articleLike','forumPost','forumReply','eventAttend','eventCreate'];
+    const allowedKeys = ['articleCreate','articleLike','forumPost','forumReply','forumAnswerAccepted','eventAttend','eventCreate'];
     const incoming = req.body?.points || {};
     const sanitized = {};
     for (const k of allowedKeys) {
@@ -335,6 +634,152 @@ router.put('/settings/points', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
+// Check that a role scope only names existing forum and article categories
+const findInvalidScope = (scope = {}) => {
+  const forumCategories = Forum.schema.path('category').enumValues;
+  const articleCategories = Article.schema.path('category').enumValues;
+  const unknownForum = (scope.forumCategories || []).find((c) => !forumCategories.includes(c));
+  if (unknownForum) return `Unknown forum category '${unknownForum}'`;
+  const unknownArticle = (scope.articleCategories || []).find((c) => !articleCategories.includes(c));
+  if (unknownArticle) return `Unknown article category '${unknownArticle}'`;
+  return null;
+};
+
+// List the permission catalogue
+router.get('/permissions', can('role.manage'), (req, res) => {
+  const permissions = Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+  res.json({ success: true, data: { permissions } });
+});
+
+// List roles with the number of users holding each
+router.get('/roles', can('role.manage'), async (req, res, next) => {
+  try {
+    await Role.ensureDefaults();
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const userCounts = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+    res.json({
+      success: true,
+      data: { roles: roles.map((role) => ({ ...role.toObject(), userCount: userCounts[role.name] || 0 })) }
+    });
+  } catch (err) { next(err); }
+});
+
+// Create a custom role
+router.post('/roles', can('role.manage'), validate(adminSchemas.createRole), async (req, res, next) => {
+  try {
+    const { name, description, permissions, scope } = req.body;
+    if (await Role.getPermissions(name)) {
+      return res.status(409).json({ success: false, message: `Role '${name}' already exists` });
+    }
+    const scopeError = findInvalidScope(scope);
+    if (scopeError) return res.status(400).json({ success: false, message: scopeError });
+
+    const role = await Role.create({ name, description, permissions, scope, updatedBy: req.user._id });
+    logger.logUserAction(req.user._id, 'role_created', { role: name, permissions, scope });
+    res.status(201).json({ success: true, message: 'Role created', data: { role } });
+  } catch (err) { next(err); }
+});
+
+// Change a role's description, permissions or scope
+router.put('/roles/:name', can('role.manage'), validate(adminSchemas.updateRole), async (req, res, next) => {
+  try {
+    await Role.ensureDefaults();
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) return res.status(404).json({ success: false, message: 'Role not found' });
+    if (role.permissions.includes(ALL_PERMISSIONS)) {
+      return res.status(403).json({ success: false, message: 'This role always has every permission and cannot be edited.' });
+    }
+
+    const { description, permissions, scope } = req.body;
+    const scopeError = findInvalidScope(scope);
+    if (scopeError) return res.status(400).json({ success: false, message: scopeError });
+
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    if (scope !== undefined) role.scope = scope;
+    role.updatedBy = req.user._id;
+    await role.save();
+
+    logger.logUserAction(req.user._id, 'role_updated', { role: role.name, permissions: role.permissions, scope: role.scope });
+    res.json({ success: true, message: 'Role updated', data: { role } });
+  } catch (err) { next(err); }
+});
+
+// Delete a custom role that nobody holds any more
+router.delete('/roles/:name', can('role.manage'), async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) return res.status(404).json({ success: false, message: 'Role not found' });
+    if (role.isSystem) {
+      return res.status(403).json({ success: false, message: 'Built-in roles cannot be deleted' });
+    }
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(409).json({ success: false, message: `Role is still assigned to ${holders} user(s)` });
+    }
+    await Role.findOneAndDelete({ _id: role._id });
+    logger.logUserAction(req.user._id, 'role_deleted', { role: role.name });
+    res.json({ success: true, message: 'Role deleted' });
+  } catch (err) { next(err); }
+});
+
+// -------- Platform: Background Jobs --------
+// List jobs, latest run time first, with counts per status and the recurring schedules
+router.get('/jobs', can('job.manage'), validate(adminSchemas.listJobs, 'query'), async (req, res, next) => {
+  try {
+    const { status, name, page, limit } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (name) filter.name = name;
+
+    const [jobs, total, counts] = await Promise.all([
+      Job.find(filter)
+        .sort({ runAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Job.countDocuments(filter),
+      Job.countByStatus()
+    ]);
+    const schedules = JOB_SCHEDULES.map(({ id, job, cron }) => ({ id, job, cron, nextRunAt: nextRun(cron) }));
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map((job) => job.toSummary()),
+        counts,
+        schedules,
+        pagination: generatePaginationMeta(page, limit, total)
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Get a job with its data, result and last error
+router.get('/jobs/:id', can('job.manage'), async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
+    res.json({ success: true, data: { job } });
+  } catch (err) { next(err); }
+});
+
+// Give a dead-lettered job a fresh set of attempts
+router.post('/jobs/:id/retry', can('job.manage'), async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
+    if (job.status !== 'dead') {
+      return res.status(409).json({ success: false, message: 'Only dead jobs can be retried' });
+    }
+    await job.retry();
+    logger.logUserAction(req.user._id, 'job_retried', { jobId: job._id, name: job.name });
+    res.json({ success: true, message: 'Job queued again', data: { job: job.toSummary() } });
+  } catch (err) { next(err); }
+});
+
 module.exports = router;
 
 
@@ -1,9 +1,12 @@
 const express = require('express');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { authenticate, optionalAuth, can, hasPermission, permissionScope } = require('../middleware/auth');
 const { validate, articleSchemas, frontendSchemas } = require('../middleware/validation');
 const { searchLimiter, createUserLimiter } = require('../middleware/rateLimiter');
 const { uploadArticleImages } = require('../middleware/upload');
 const Article = require('../models/Article');
+const logger = require('../utils/logger');
+const { resolveMentions, notifyArticleMentions, notifyCommentMentions } = require('../utils/mentions');
+const { notifyUser } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -72,7 +75,7 @@ const toFrontendType = (doc) => {
 router.get('/', searchLimiter, optionalAuth, validate(articleSchemas.getArticles, 'query'), async (req, res, next) => {
   try {
     const { sort, order = 'desc', category, search, status } = req.query;
-    const isAdminOrMod = req.user?.role === 'admin' || req.user?.role === 'moderator';
+    const reviewScope = await permissionScope(req.user, 'article.publish');
     
     // Map frontend category labels to backend enum values
     const categoryMap = {
@@ -87,12 +90,14 @@ router.get('/', searchLimiter, optionalAuth, validate(articleSchemas.getArticles
     };
     
     const match = {};
-    // Non-admin users only see published articles
-    if (!isAdminOrMod) {
+    // Only reviewers see unpublished articles, and only in the categories they review
+    if (!reviewScope) {
       match.status = 'published';
+    } else if (Object.keys(reviewScope).length > 0) {
+      match.$and = [{ $or: [{ status: 'published' }, reviewScope] }];
     }
-    // Admin sees all articles unless status filter is specified
-    if (status && isAdminOrMod) {
+    // Reviewers see all articles unless status filter is specified
+    if (status && reviewScope) {
       match.status = status;
     }
     
@@ -225,6 +230,7 @@ router.post('/', uploadArticleImages, validate(frontendSchemas.createArticle), a
       status: 'draft', // pending admin approval → admin will set to 'published'
       featured: false,
       attachments,
+      mentions: await resolveMentions(content, { exclude: [req.user._id] }),
     });
 
     const created = await Article.findById(article._id).populate('author', 'name email avatar department');
@@ -235,24 +241,30 @@ router.post('/', uploadArticleImages, validate(frontendSchemas.createArticle), a
 });
 
 // Update article (only before approval; once published cannot be edited by author)
-router.put('/:id', validate(frontendSchemas.updateArticle), async (req, res, next) => {
+router.put('/:id', can('article.update', { model: Article }), validate(frontendSchemas.updateArticle), async (req, res, next) => {
   try {
-    const article = await Article.findById(req.params.id);
-    if (!article) return res.status(404).json({ success: false, message: 'Article not found' });
-
-    // Only owner or admin/mod can edit
-    const isOwner = article.author.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'moderator';
-    if (!isOwner && !isAdmin) return res.status(403).json({ success: false, message: 'Not authorized to edit' });
+    const article = req.resource;
 
-    // If published and not admin, block edits
-    if (article.status === 'published' && !isAdmin) {
+    // Authors can only edit until the article is published
+    if (article.status === 'published' && !(await hasPermission(req.user, 'article.update', article))) {
       return res.status(400).json({ success: false, message: 'Approved articles cannot be edited' });
     }
 
     const { title, content, category, tags } = req.body;
+
+    // Scoped editors cannot move an article out of the categories they manage
+    if (category !== undefined && category !== article.category) {
+      const ownsArticle = article.author.toString() === req.user._id.toString() && article.status !== 'published' && await hasPermission(req.user, 'article.update.own');
+      if (!ownsArticle && !(await hasPermission(req.user, 'article.update', { ...article.toObject(), category }))) {
+        return res.status(403).json({ success: false, message: 'You cannot move this article to that category' });
+      }
+    }
+
     if (title !== undefined) article.title = title;
-    if (content !== undefined) article.content = content;
+    if (content !== undefined && content !== article.content) {
+      article.content = content;
+      article.mentions = await resolveMentions(content, { exclude: [article.author] });
+    }
     if (category !== undefined) article.category = category;
     if (tags !== undefined) {
       let normalized = [];
@@ -269,6 +281,9 @@ router.put('/:id', validate(frontendSchemas.updateArticle), async (req, res, nex
     }
 
     await article.save();
+    if (article.status === 'published') {
+      notifyArticleMentions(article, req.user).catch((error) => logger.error('Failed to notify mentions:', error));
+    }
     const updated = await Article.findById(article._id).populate('author', 'name email avatar department');
     res.json({ success: true, data: { article: mapArticleToFrontend(updated, req.user._id) } });
   } catch (err) {
@@ -276,10 +291,9 @@ router.put('/:id', validate(frontendSchemas.updateArticle), async (req, res, nex
   }
 });
 
-// Delete article (admin only)
-router.delete('/:id', async (req, res, next) => {
+// Delete article
+router.delete('/:id', can('article.delete', { model: Article }), async (req, res, next) => {
   try {
-    if (req.user.role !== 'admin') return res.status(403).json({ success: false, message: 'Only admin can delete articles' });
     const deleted = await Article.findByIdAndDelete(req.params.id);
     if (!deleted) return res.status(404).json({ success: false, message: 'Article not found' });
     res.json({ success: true, message: 'Article deleted successfully' });
@@ -292,6 +306,16 @@ router.post('/:id/like', createUserLimiter(60 * 1000, 30, 'Too many like actions
     const article = await Article.findById(req.params.id);
     if (!article) return res.status(404).json({ success: false, message: 'Article not found' });
     await article.toggleLike(req.user._id);
+    if (article.likes.some((id) => id.equals(req.user._id))) {
+      notifyUser(article.author, {
+        type: 'article_like',
+        actor: req.user,
+        title: `${req.user.name} liked your article "${article.title}"`,
+        link: `/articles/${article._id}`,
+        target: { model: 'Article', id: article._id },
+        once: true
+      }).catch((error) => logger.error('Failed to notify like:', error));
+    }
     const populated = await Article.findById(req.params.id).populate('author', 'name email avatar department');
     res.json({ success: true, data: { article: mapArticleToFrontend(populated, req.user._id) } });
   } catch (err) {
@@ -318,7 +342,12 @@ router.post('/:id/comments', createUserLimiter(60 * 1000, 10, 'Too many comments
     const { content } = req.body;
     const article = await Article.findById(req.params.id);
     if (!article) return res.status(404).json({ success: false, message: 'Article not found' });
-    await article.addComment({ author: req.user._id, content });
+    const mentions = await resolveMentions(content, { exclude: [req.user._id] });
+    await article.addComment({ author: req.user._id, content, mentions });
+    if (article.status === 'published') {
+      const comment = article.comments[article.comments.length - 1];
+      notifyCommentMentions(comment, article, req.user).catch((error) => logger.error('Failed to notify mentions:', error));
+    }
     const populated = await Article.findById(req.params.id).populate('author', 'name email avatar department');
     res.json({ success: true, data: { article: mapArticleToFrontend(populated, req.user._id) } });
   } catch (err) {
@@ -5,13 +5,27 @@ const { validate, userSchemas } = require('../middleware/validation');
 const {
   register,
   login,
+  loginTwoFactor,
+  oidcAuthorize,
+  oidcCallback,
   refreshToken,
   logout,
   forgotPassword,
   resetPassword,
   verifyEmail,
   resendVerification,
-  getMe
+  getMe,
+  stopImpersonation,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
 } = require('../controllers/authController');
 const User = require('../models/User');
 const { sendEmailVerification } = require('../utils/email');
@@ -22,6 +36,9 @@ const router = express.Router();
 // Public routes
 router.post('/register', authLimiter, validate(userSchemas.register), register);
 router.post('/login', authLimiter, validate(userSchemas.login), login);
+router.post('/login/2fa', authLimiter, validate(userSchemas.loginTwoFactor), loginTwoFactor);
+router.get('/oidc/authorize', authLimiter, oidcAuthorize);
+router.post('/oidc/callback', authLimiter, validate(userSchemas.oidcCallback), oidcCallback);
 router.post('/refresh', validate(userSchemas.refreshToken), refreshToken);
 router.post('/forgot-password', passwordResetLimiter, validate(userSchemas.forgotPassword), forgotPassword);
 router.post('/reset-password', passwordResetLimiter, validate(userSchemas.resetPassword), resetPassword);
@@ -73,6 +90,17 @@ router.post('/resend-otp', emailVerificationLimiter, validate(userSchemas.resend
 
 // Protected routes
 router.get('/me', authenticate, getMe);
+router.post('/impersonation/stop', authenticate, stopImpersonation);
 router.post('/logout', authenticate, logout);
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, authLimiter, validate(userSchemas.twoFactorCode), enableTwoFactor);
+router.post('/2fa/disable', authenticate, authLimiter, validate(userSchemas.disableTwoFactor), disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, authLimiter, validate(userSchemas.twoFactorCode), regenerateRecoveryCodes);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions', authenticate, revokeOtherSessions);
+router.delete('/sessions/:id', authenticate, revokeSession);
+router.get('/api-keys', authenticate, getApiKeys);
+router.post('/api-keys', authenticate, validate(userSchemas.createApiKey), createApiKey);
+router.delete('/api-keys/:id', authenticate, revokeApiKey);
 
 module.exports = router;
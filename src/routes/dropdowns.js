@@ -10,7 +10,7 @@ const {
   deleteDropdownOption,
   seedDropdownOptions
 } = require('../controllers/dropdownController');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, can } = require('../middleware/auth');
 
 // Validation middleware
 const validateDropdownOption = [
@@ -58,9 +58,9 @@ router.get('/:category', getDropdownOptions);
 router.post('/batch', validateBatchRequest, getBatchDropdownOptions);
 
 // Admin routes
-router.post('/', authenticate, requireAdmin, validateDropdownOption, createDropdownOption);
-router.put('/:id', authenticate, requireAdmin, validateDropdownOption, updateDropdownOption);
-router.delete('/:id', authenticate, requireAdmin, deleteDropdownOption);
-router.post('/seed', authenticate, requireAdmin, seedDropdownOptions);
+router.post('/', authenticate, can('dropdown.manage'), validateDropdownOption, createDropdownOption);
+router.put('/:id', authenticate, can('dropdown.manage'), validateDropdownOption, updateDropdownOption);
+router.delete('/:id', authenticate, can('dropdown.manage'), deleteDropdownOption);
+router.post('/seed', authenticate, can('dropdown.manage'), seedDropdownOptions);
 
 module.exports = router;
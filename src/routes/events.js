@@ -1,5 +1,5 @@
 const express = require("express");
-const { authenticate, optionalAuth } = require("../middleware/auth");
+const { authenticate, optionalAuth, can } = require("../middleware/auth");
 const { searchLimiter, createUserLimiter } = require('../middleware/rateLimiter');
 const {
   validate,
@@ -8,9 +8,48 @@ const {
 } = require("../middleware/validation");
 const { uploadEventImages } = require("../middleware/upload");
 const Event = require("../models/Event");
+const logger = require("../utils/logger");
+const { notifyUsers } = require("../utils/notifications");
+const { topics, publish } = require("../utils/realtime");
 
 const router = express.Router();
 
+// Tell everyone registered or waitlisted about a change to an event
+const notifyEventChange = (event, actor, { type, title, message }) => {
+  const people = [...event.attendees.map((a) => a.user), ...(event.waitlist || [])];
+  return notifyUsers(people, {
+    type,
+    actor,
+    title,
+    message,
+    link: type === "event_cancelled" ? null : `/events/${event._id}`,
+    target: { model: "Event", id: event._id },
+  }).catch((error) => logger.error("Failed to notify event change:", error));
+};
+
+// Tell everyone watching an event how many people are coming
+const publishAttendance = (event) => publish(topics.event(event._id), "attendees", {
+  eventId: event._id.toString(),
+  attendeeCount: event.attendeeCount,
+  waitlistCount: event.waitlistCount,
+  capacity: event.capacity || null,
+});
+
+// What changed in an event that attendees need to know about
+const describeEventChanges = (before, after) => {
+  const changes = [];
+  if (before.startDate.getTime() !== after.startDate.getTime()) {
+    changes.push(`it now starts ${after.startDate.toUTCString()}`);
+  }
+  if (before.endDate.getTime() !== after.endDate.getTime()) {
+    changes.push(`it now ends ${after.endDate.toUTCString()}`);
+  }
+  if ((before.location?.name || "") !== (after.location?.name || "")) {
+    changes.push(`the location is now ${after.location?.name || "to be announced"}`);
+  }
+  return changes;
+};
+
 // Helper: map Event model -> frontend shape the app expects
 const mapEventToFrontend = (eventDoc, currentUserId) => {
   const isRegistered = currentUserId
@@ -240,6 +279,7 @@ router.post(
 // Update event (minimal fields used by frontend)
 router.put(
   "/:id",
+  can("event.update", { model: Event, ownerField: "organizer" }),
   validate(frontendSchemas.updateEvent),
   async (req, res, next) => {
     try {
@@ -284,6 +324,24 @@ router.put(
       const event = await Event.findByIdAndUpdate(req.params.id, updates, {
         new: true,
       }).populate("organizer", "name email avatar department");
+
+      publishAttendance(event);
+      if (event.status === "cancelled" && existing.status !== "cancelled") {
+        notifyEventChange(event, req.user, {
+          type: "event_cancelled",
+          title: `"${event.title}" was cancelled`,
+        });
+      } else {
+        const changes = describeEventChanges(existing, event);
+        if (changes.length > 0) {
+          notifyEventChange(event, req.user, {
+            type: "event_updated",
+            title: `"${event.title}" has changed`,
+            message: `${changes.join(", ")}.`.replace(/^./, (c) => c.toUpperCase()),
+          });
+        }
+      }
+
       res.json({
         success: true,
         data: { event: mapEventToFrontend(event, req.user._id) },
@@ -294,15 +352,10 @@ router.put(
   }
 );
 
-// Get event attendees (admin or organizer)
-router.get('/:id/attendees', async (req, res, next) => {
+// Get event attendees (organizer or staff)
+router.get('/:id/attendees', can('event.attendees.view', { model: Event, ownerField: 'organizer' }), async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.id).populate('attendees.user', 'name email department avatar');
-    if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
-
-    const isOrganizer = event.organizer?.toString?.() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'moderator';
-    if (!isOrganizer && !isAdmin) return res.status(403).json({ success: false, message: 'Not authorized' });
+    const event = await req.resource.populate('attendees.user', 'name email department avatar');
 
     const attendees = event.attendees.map(a => ({
       id: a.user._id,
@@ -319,7 +372,7 @@ router.get('/:id/attendees', async (req, res, next) => {
 });
 
 // Delete event
-router.delete("/:id", async (req, res, next) => {
+router.delete("/:id", can("event.delete", { model: Event, ownerField: "organizer" }), async (req, res, next) => {
   try {
     const deleted = await Event.findByIdAndDelete(req.params.id);
     if (!deleted) {
@@ -327,6 +380,13 @@ router.delete("/:id", async (req, res, next) => {
         .status(404)
         .json({ success: false, message: "Event not found" });
     }
+    publish(topics.event(deleted._id), "event.deleted", { eventId: deleted._id.toString() });
+    if (deleted.status !== "cancelled" && deleted.endDate > new Date()) {
+      notifyEventChange(deleted, req.user, {
+        type: "event_cancelled",
+        title: `"${deleted.title}" was cancelled`,
+      });
+    }
     res.json({ success: true, message: "Event deleted successfully" });
   } catch (err) {
     next(err);
@@ -364,6 +424,7 @@ router.post(
         "organizer",
         "name email avatar department"
       );
+      publishAttendance(updated);
       res.json({
         success: true,
         data: { event: mapEventToFrontend(updated, req.user._id) },
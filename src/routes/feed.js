@@ -4,6 +4,8 @@ const { searchLimiter } = require('../middleware/rateLimiter');
 const Article = require('../models/Article');
 const Forum = require('../models/Forum');
 const Event = require('../models/Event');
+const Follow = require('../models/Follow');
+const { escapeRegex } = require('../utils/helpers');
 
 const router = express.Router();
 
@@ -15,6 +17,7 @@ function mapArticleToFeedItem(doc) {
     title: doc.title,
     description: doc.excerpt || doc.content?.slice(0, 200) || '',
     author: {
+      id: doc.author?._id?.toString() || null,
       name: doc.author?.name || 'Unknown',
       department: doc.author?.department || 'General',
       avatar: doc.author?.avatar || null,
@@ -37,6 +40,7 @@ function mapForumToFeedItem(doc) {
     title: doc.title,
     description: doc.content?.slice(0, 200) || '',
     author: {
+      id: doc.author?._id?.toString() || null,
       name: doc.author?.name || 'Unknown',
       department: doc.author?.department || 'General',
       avatar: doc.author?.avatar || null,
@@ -44,10 +48,11 @@ function mapForumToFeedItem(doc) {
     timestamp: (doc.createdAt || new Date()).toISOString(),
     engagement: {
       likes: (doc.likes || []).length,
-      replies: (doc.replies || []).length,
+      replies: doc.replyCount || 0,
     },
     meta: {
       category: doc.category,
+      poll: doc.poll ? doc.getPollSummary() : null,
     },
   };
 }
@@ -59,6 +64,7 @@ function mapEventToFeedItem(doc) {
     title: doc.title,
     description: doc.description?.slice(0, 200) || '',
     author: {
+      id: doc.organizer?._id?.toString() || null,
       name: doc.organizer?.name || 'Unknown',
       department: doc.organizer?.department || 'General',
       avatar: doc.organizer?.avatar || null,
@@ -76,28 +82,65 @@ function mapEventToFeedItem(doc) {
   };
 }
 
-// GET /api/feed?page=1&limit=5
+// Build per-entity filters restricted to what a user follows; null means nothing to show
+async function buildFollowingFilters(userId) {
+  const { users, forumCategories, articleCategories, tags } = await Follow.getFollowedTargets(userId);
+  const tagPatterns = tags.map((tag) => new RegExp(`^${escapeRegex(tag)}$`, 'i'));
+
+  const anyOf = (conditions) => {
+    const active = conditions.filter(Boolean);
+    return active.length ? { $or: active } : null;
+  };
+
+  return {
+    articles: anyOf([
+      users.length && { author: { $in: users } },
+      articleCategories.length && { category: { $in: articleCategories } },
+      tagPatterns.length && { tags: { $in: tagPatterns } },
+    ]),
+    forums: anyOf([
+      users.length && { author: { $in: users } },
+      forumCategories.length && { category: { $in: forumCategories } },
+      tagPatterns.length && { tags: { $in: tagPatterns } },
+    ]),
+    events: anyOf([
+      users.length && { organizer: { $in: users } },
+      tagPatterns.length && { tags: { $in: tagPatterns } },
+    ]),
+  };
+}
+
+// GET /api/feed?page=1&limit=5&scope=all|following
 router.get('/', searchLimiter, optionalAuth, async (req, res, next) => {
   try {
     const page = Math.max(parseInt(req.query.page || '1', 10), 1);
     const limit = Math.max(parseInt(req.query.limit || '5', 10), 1);
     const skip = (page - 1) * limit;
+    const scope = req.query.scope === 'following' ? 'following' : 'all';
+
+    let filters = { articles: {}, forums: {}, events: {} };
+    if (scope === 'following') {
+      if (!req.user) {
+        return res.status(401).json({ success: false, message: 'Sign in to see content you follow' });
+      }
+      filters = await buildFollowingFilters(req.user._id);
+    }
 
     // Pull latest across entities, then merge and paginate in-memory
     // To keep queries efficient, fetch up to first 50 recent per type then merge
     const [articles, forums, events] = await Promise.all([
-      Article.find({ status: 'published' })
+      filters.articles ? Article.find({ status: 'published', ...filters.articles })
         .populate('author', 'name email avatar department')
         .sort({ publishedAt: -1, createdAt: -1 })
-        .limit(50),
-      Forum.find({})
+        .limit(50) : [],
+      filters.forums ? Forum.find({ ...filters.forums })
         .populate('author', 'name email avatar department')
         .sort({ createdAt: -1 })
-        .limit(50),
-      Event.find({})
+        .limit(50) : [],
+      filters.events ? Event.find({ ...filters.events })
         .populate('organizer', 'name email avatar department')
         .sort({ createdAt: -1 })
-        .limit(50),
+        .limit(50) : [],
     ]);
 
     const feed = [
@@ -111,7 +154,7 @@ router.get('/', searchLimiter, optionalAuth, async (req, res, next) => {
 
     res.json({
       success: true,
-      data: { items: paged, page, limit, total, totalPages: Math.ceil(total / limit) },
+      data: { items: paged, scope, page, limit, total, totalPages: Math.ceil(total / limit) },
     });
   } catch (err) {
     next(err);
@@ -0,0 +1,81 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticate } = require('../middleware/auth');
+const { validate, userSchemas } = require('../middleware/validation');
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const Forum = require('../models/Forum');
+const Article = require('../models/Article');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Normalize a follow target and check that it exists; returns an error message when invalid
+const resolveTarget = async (type, rawTarget, currentUser) => {
+  const target = String(rawTarget).trim();
+
+  switch (type) {
+    case 'user': {
+      if (!mongoose.Types.ObjectId.isValid(target)) return { error: 'User not found' };
+      if (currentUser._id.toString() === target) return { error: 'You cannot follow yourself' };
+      const exists = await User.exists({ _id: target, isActive: true });
+      return exists ? { target } : { error: 'User not found' };
+    }
+    case 'forum_category': {
+      const category = target.toLowerCase();
+      return Forum.schema.path('category').enumValues.includes(category)
+        ? { target: category }
+        : { error: 'Unknown forum category' };
+    }
+    case 'article_category': {
+      const category = target.toLowerCase();
+      return Article.schema.path('category').enumValues.includes(category)
+        ? { target: category }
+        : { error: 'Unknown article category' };
+    }
+    case 'tag':
+      return target ? { target: target.toLowerCase() } : { error: 'Tag is required' };
+    default:
+      return { error: 'Unknown follow type' };
+  }
+};
+
+// List what the current user follows
+router.get('/', async (req, res, next) => {
+  try {
+    const following = await Follow.getFollowedTargets(req.user._id);
+    res.json({ success: true, data: { following } });
+  } catch (err) { next(err); }
+});
+
+// Follow a colleague, category or tag
+router.post('/', validate(userSchemas.follow), async (req, res, next) => {
+  try {
+    const { type } = req.body;
+    const { target, error } = await resolveTarget(type, req.body.target, req.user);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    await Follow.follow(req.user._id, type, target);
+    res.status(201).json({ success: true, message: 'Followed successfully', data: { type, target } });
+  } catch (err) { next(err); }
+});
+
+// Unfollow a colleague, category or tag
+router.delete('/:type/:target', async (req, res, next) => {
+  try {
+    const { type } = req.params;
+    if (!Follow.TARGET_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: 'Unknown follow type' });
+    }
+
+    const target = type === 'user' ? req.params.target : req.params.target.toLowerCase();
+    const removed = await Follow.unfollow(req.user._id, type, target);
+    if (!removed) return res.status(404).json({ success: false, message: 'You are not following this' });
+
+    res.json({ success: true, message: 'Unfollowed successfully' });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -1,9 +1,20 @@
 const express = require('express');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { authenticate, optionalAuth, can, hasPermission, permissionScope } = require('../middleware/auth');
 const { validate, forumSchemas } = require('../middleware/validation');
 const { searchLimiter, createUserLimiter } = require('../middleware/rateLimiter');
 const { uploadForumAttachments } = require('../middleware/upload');
 const Forum = require('../models/Forum');
+const ForumReply = require('../models/ForumReply');
+const PollVote = require('../models/PollVote');
+const Job = require('../models/Job');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { awardPoints } = require('../utils/gamification');
+const { buildReplyTree } = require('../utils/replyTree');
+const { resolveMentions, notifyPostMentions, notifyReplyMentions } = require('../utils/mentions');
+const { notifyUser } = require('../utils/notifications');
+const { topics, publish } = require('../utils/realtime');
+const { truncateText } = require('../utils/helpers');
 
 const router = express.Router();
 
@@ -23,7 +34,7 @@ const mapPostToFrontend = (postDoc, currentUserId) => {
     createdAt: postDoc.createdAt?.toISOString(),
     updatedAt: postDoc.updatedAt?.toISOString(),
     likes: postDoc.likes?.length || 0,
-    replies: postDoc.replies?.length || 0,
+    replies: postDoc.replyCount || 0,
     tags: postDoc.tags || [],
     attachments: postDoc.attachments || [],
     views: postDoc.views || 0,
@@ -31,14 +42,28 @@ const mapPostToFrontend = (postDoc, currentUserId) => {
     isEdited: postDoc.isEdited || false,
     editedAt: postDoc.editedAt?.toISOString(),
     approvalStatus: postDoc.approvalStatus || 'pending',
+    isSolved: postDoc.isSolved || false,
+    acceptedReplyId: postDoc.acceptedReplyId || null,
+    status: postDoc.status || 'active',
+    isPinned: postDoc.isPinned || false,
+    pinnedUntil: postDoc.isPinned ? postDoc.pinnedUntil?.toISOString() || null : null,
+    isLocked: postDoc.isLocked || false,
+    poll: postDoc.poll ? postDoc.getPollSummary() : null,
   };
 };
 
+// Placeholder shown instead of a deleted reply's content
+const deletedReplyContent = (replyDoc) => {
+  const deletedBy = replyDoc.deletedBy?._id || replyDoc.deletedBy;
+  const byAuthor = deletedBy?.toString() === (replyDoc.author?._id || replyDoc.author)?.toString();
+  return byAuthor ? 'Reply deleted by its author' : 'Reply removed by moderator';
+};
+
 // Map reply to frontend shape
 const mapReplyToFrontend = (replyDoc, currentUserId) => {
   return {
     id: replyDoc._id.toString(),
-    content: replyDoc.content,
+    content: replyDoc.isDeleted ? deletedReplyContent(replyDoc) : replyDoc.content,
     author: {
       id: replyDoc.author?._id?.toString(),
       name: replyDoc.author?.name || 'Unknown',
@@ -49,20 +74,93 @@ const mapReplyToFrontend = (replyDoc, currentUserId) => {
     likes: replyDoc.likes?.length || 0,
     isLiked: currentUserId ? replyDoc.likes?.some((u) => u.toString() === currentUserId.toString()) : false,
     isEdited: replyDoc.isEdited || false,
+    editedAt: replyDoc.editedAt?.toISOString(),
+    revisionCount: replyDoc.revisions?.length || 0,
+    isDeleted: replyDoc.isDeleted || false,
     isSolution: replyDoc.isSolution || false,
+    parentId: replyDoc.parent ? replyDoc.parent.toString() : null,
+    depth: replyDoc.depth || 0,
+  };
+};
+
+// Map a populated post with one page of its threaded replies
+const mapPostWithThread = (postDoc, replies, currentUserId, threadOptions = {}) => {
+  const thread = buildReplyTree(replies, {
+    ...threadOptions,
+    mapReply: (reply) => mapReplyToFrontend(reply, currentUserId)
+  });
+  return {
+    ...mapPostToFrontend(postDoc, currentUserId),
+    replies: thread.replies,
+    replyPagination: thread.pagination
+  };
+};
+
+// Load a post with its author populated
+const findPost = (postId) => {
+  return Forum.findById(postId).populate('author', 'name email avatar department');
+};
+
+// A post's counters and answer, reloaded after a change to one of its
+// replies; clients update the reply they got back in place
+const mapPostCounters = async (postId) => {
+  const post = await Forum.findById(postId);
+  return {
+    id: post._id.toString(),
+    likes: post.likes?.length || 0,
+    replies: post.replyCount || 0,
+    views: post.views || 0,
+    isSolved: post.isSolved || false,
+    acceptedReplyId: post.acceptedReplyId || null
   };
 };
 
+// Map a single reply with its author populated
+const mapReplyById = async (replyId, currentUserId) => {
+  const reply = await ForumReply.findById(replyId).populate('author', 'name email avatar department');
+  return mapReplyToFrontend(reply, currentUserId);
+};
+
+// Tell everyone watching a post about a new or changed reply. Every watcher
+// gets the same payload, so the per-viewer isLiked is left out.
+const publishReply = (postId, event, replyId) => publish(topics.post(postId), event, async () => {
+  const reply = await mapReplyById(replyId, null);
+  delete reply.isLiked;
+  const post = await Forum.findById(postId).select('replyCount');
+  return { reply, replyCount: post?.replyCount || 0 };
+});
+
+// Poll results for a user: their choice and, unless the poll is anonymous, who voted for each option
+const getPollResults = async (post, user) => {
+  const summary = post.getPollSummary();
+  const myVote = await PollVote.getChoice(post._id, user?._id);
+  if (summary.anonymous) return { ...summary, myVote };
+
+  const votes = await PollVote.find({ post: post._id }).populate('user', 'name avatar department');
+  const options = summary.options.map((option) => ({
+    ...option,
+    voters: votes
+      .filter((vote) => vote.user && vote.options.some((id) => id.toString() === option.id))
+      .map((vote) => ({ id: vote.user._id.toString(), name: vote.user.name, avatar: vote.user.avatar, department: vote.user.department }))
+  }));
+  return { ...summary, options, myVote };
+};
+
 // Get forum posts (public)
 router.get('/posts', searchLimiter, optionalAuth, validate(forumSchemas.getPosts, 'query'), async (req, res, next) => {
   try {
-    const { sort, filter, order = 'desc', category, search } = req.query;
+    const { sort, filter, order = 'desc', category, search, status } = req.query;
 
-    const isAdminOrMod = req.user?.role === 'admin' || req.user?.role === 'moderator';
+    // Reviewers also see pending posts in the categories they moderate
+    const reviewScope = await permissionScope(req.user, 'forum.post.approve');
 
     const match = {};
-    if (!isAdminOrMod) match.approvalStatus = 'approved';
+    if (!reviewScope) match.approvalStatus = 'approved';
+    else if (Object.keys(reviewScope).length > 0) match.$and = [{ $or: [{ approvalStatus: 'approved' }, reviewScope] }];
     if (category && category !== 'all') match.category = category;
+    // Archived threads are only listed when asked for
+    if (status && status !== 'pinned') match.status = status;
+    else match.status = { $ne: 'archived' };
     if (search) {
       match.$or = [
         { title: { $regex: search, $options: 'i' } },
@@ -90,24 +188,36 @@ router.get('/posts', searchLimiter, optionalAuth, validate(forumSchemas.getPosts
         pipeline.push({ $match: { likesCount: { $gt: 0 } } });
         break;
       case 'discussed':
-        pipeline.push({ $match: { $expr: { $gt: [ { $size: { $ifNull: ['$replies', []] } }, 0 ] } } });
+        pipeline.push({ $match: { replyCount: { $gt: 0 } } });
         break;
       case 'unanswered':
-        // Use direct array size check to be robust regardless of $addFields
-        pipeline.push({ $match: { $expr: { $eq: [ { $size: { $ifNull: ['$replies', []] } }, 0 ] } } });
+        pipeline.push({ $match: { replyCount: { $not: { $gt: 0 } } } });
         break;
       case 'views':
         pipeline.push({ $match: { views: { $gt: 0 } } });
         break;
+      case 'solved':
+        pipeline.push({ $match: { acceptedReply: { $ne: null } } });
+        break;
+      case 'unsolved':
+        pipeline.push({ $match: { acceptedReply: null } });
+        break;
       default:
         break;
     }
 
     // Add computed counts after filter for mapping convenience where needed
-    pipeline.push({ $addFields: { likesCount: { $size: { $ifNull: ['$likes', []] } }, repliesCount: { $size: { $ifNull: ['$replies', []] } } } });
+    pipeline.push({ $addFields: { likesCount: { $size: { $ifNull: ['$likes', []] } }, repliesCount: { $ifNull: ['$replyCount', 0] } } });
+
+    // Pinned threads first (until their pin expires), then newest
+    pipeline.push({ $addFields: { isPinnedNow: { $and: [
+      { $ne: [{ $ifNull: ['$pinnedAt', null] }, null] },
+      { $or: [{ $eq: [{ $ifNull: ['$pinnedUntil', null] }, null] }, { $gt: ['$pinnedUntil', '$$NOW'] }] }
+    ] } } });
+    if (status === 'pinned') pipeline.push({ $match: { isPinnedNow: true } });
 
     // Default ordering after filter
-    pipeline.push({ $sort: { createdAt: -1 } });
+    pipeline.push({ $sort: { isPinnedNow: -1, createdAt: -1 } });
 
     // Debug: confirm received params and pipeline filter mode
     if (process.env.NODE_ENV !== 'production') {
@@ -129,32 +239,29 @@ router.get('/posts', searchLimiter, optionalAuth, validate(forumSchemas.getPosts
 });
 
 // Get specific post (public) with replies
-router.get('/posts/:id', optionalAuth, async (req, res, next) => {
+// Replies come back as a tree: `page`/`limit` page the top-level replies,
+// `childLimit` caps children per reply and `expandDepth` how many levels are expanded
+router.get('/posts/:id', optionalAuth, validate(forumSchemas.replyThread, 'query'), async (req, res, next) => {
   try {
-    const post = await Forum.findById(req.params.id)
-      .populate('author', 'name email avatar department')
-      .populate('replies.author', 'name email avatar department');
+    const post = await findPost(req.params.id);
     
     if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
     
-    // Check approval status for non-admin users
-    if (req.user?.role !== 'admin' && req.user?.role !== 'moderator' && post.approvalStatus !== 'approved') {
-      // Only show to author
-      if (post.author._id.toString() !== req.user?._id?.toString()) {
-        return res.status(403).json({ success: false, message: 'Post not approved yet' });
-      }
+    if (!(await post.isVisibleTo(req.user))) {
+      return res.status(403).json({ success: false, message: 'Post not approved yet' });
     }
     
-    // Increment views
+    // Increment views. Stays in the request: one atomic update costs less
+    // than queueing a job to make it
     await post.incrementViews();
-    
-    const mappedPost = mapPostToFrontend(post, req.user?._id);
-    const mappedReplies = post.replies.map((r) => mapReplyToFrontend(r, req.user?._id));
+    const replies = await ForumReply.findForPost(post._id);
+    const mapped = mapPostWithThread(post, replies, req.user?._id, req.query);
+    if (mapped.poll) mapped.poll.myVote = await PollVote.getChoice(post._id, req.user?._id);
     
     res.json({ 
       success: true, 
       data: { 
-        post: { ...mappedPost, replies: mappedReplies }
+        post: mapped
       } 
     });
   } catch (err) {
@@ -162,13 +269,54 @@ router.get('/posts/:id', optionalAuth, async (req, res, next) => {
   }
 });
 
+// Load more children of a reply (public)
+router.get('/posts/:id/replies/:replyId/children', optionalAuth, validate(forumSchemas.replyThread, 'query'), async (req, res, next) => {
+  try {
+    const post = await findPost(req.params.id);
+    if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
+
+    if (!(await post.isVisibleTo(req.user))) {
+      return res.status(403).json({ success: false, message: 'Post not approved yet' });
+    }
+
+    const replies = await ForumReply.findForPost(post._id);
+    const thread = buildReplyTree(replies, {
+      ...req.query,
+      parentId: req.params.replyId,
+      mapReply: (reply) => mapReplyToFrontend(reply, req.user?._id)
+    });
+    if (!thread) return res.status(404).json({ success: false, message: 'Reply not found' });
+
+    res.json({ success: true, data: { replies: thread.replies, pagination: thread.pagination } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get poll results (public)
+router.get('/posts/:id/poll', optionalAuth, async (req, res, next) => {
+  try {
+    const post = await findPost(req.params.id);
+    if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
+
+    if (!(await post.isVisibleTo(req.user))) {
+      return res.status(403).json({ success: false, message: 'Post not approved yet' });
+    }
+    if (!post.poll) return res.status(404).json({ success: false, message: 'This post has no poll' });
+
+    res.json({ success: true, data: { poll: await getPollResults(post, req.user) } });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // All routes below require authentication
 router.use(authenticate);
 
 // Create forum post
 router.post('/posts', createUserLimiter(60 * 1000, 10, 'Too many posts, please try again later.'), uploadForumAttachments, validate(forumSchemas.createPost), async (req, res, next) => {
   try {
-    const { title, content, category, tags } = req.body;
+    const { title, content, category, tags, poll } = req.body;
     
     // Normalize tags - handle array, comma-separated string, or JSON stringified array
     let normalizedTags = [];
@@ -190,8 +338,8 @@ router.post('/posts', createUserLimiter(60 * 1000, 10, 'Too many posts, please t
       }
     }
 
-    // Auto-approve if admin/moderator, otherwise pending
-    const approvalStatus = (req.user.role === 'admin' || req.user.role === 'moderator') ? 'approved' : 'pending';
+    // Auto-approve posts from reviewers, otherwise pending
+    const approvalStatus = (await hasPermission(req.user, 'forum.post.approve', { category: category || 'general' })) ? 'approved' : 'pending';
 
     // Process attachments
     const attachments = req.files ? req.files.map(file => ({
@@ -210,11 +358,19 @@ router.post('/posts', createUserLimiter(60 * 1000, 10, 'Too many posts, please t
       tags: normalizedTags,
       attachments,
       likes: [],
-      replies: [],
+      mentions: await resolveMentions(content, { exclude: [req.user._id] }),
+      ...(poll ? { poll: { ...poll, options: poll.options.map((text) => ({ text })) } } : {}),
       approvalStatus,
       ...(approvalStatus === 'approved' ? { approvedBy: req.user._id, approvedAt: new Date() } : {})
     });
 
+    if (approvalStatus === 'approved') {
+      Job.enqueue('skills.refresh', { userId: req.user._id }).catch((error) => logger.error('Failed to queue skills refresh:', error));
+      notifyPostMentions(post, req.user).catch((error) => logger.error('Failed to notify mentions:', error));
+    } else {
+      publish(topics.moderation(), 'post.pending', { post: post.toQueueItem() });
+    }
+
     const created = await Forum.findById(post._id).populate('author', 'name email avatar department');
     res.status(201).json({ success: true, data: { post: mapPostToFrontend(created, req.user._id) } });
   } catch (err) {
@@ -223,18 +379,19 @@ router.post('/posts', createUserLimiter(60 * 1000, 10, 'Too many posts, please t
 });
 
 // Update forum post
-router.put('/posts/:id', uploadForumAttachments, validate(forumSchemas.updatePost), async (req, res, next) => {
+router.put('/posts/:id', can('forum.post.update', { model: Forum, name: 'Post' }), uploadForumAttachments, validate(forumSchemas.updatePost), async (req, res, next) => {
   try {
-    const post = await Forum.findById(req.params.id);
-    if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
-    
-    // Check ownership or admin/mod role
-    if (post.author.toString() !== req.user._id.toString() && 
-        req.user.role !== 'admin' && req.user.role !== 'moderator') {
-      return res.status(403).json({ success: false, message: 'Not authorized to edit this post' });
-    }
+    const post = req.resource;
 
     const { title, content, category, tags } = req.body;
+
+    // Scoped moderators cannot move a post out of the categories they manage
+    if (category && category !== post.category) {
+      const ownsPost = post.author.toString() === req.user._id.toString() && await hasPermission(req.user, 'forum.post.update.own');
+      if (!ownsPost && !(await hasPermission(req.user, 'forum.post.update', { ...post.toObject(), category }))) {
+        return res.status(403).json({ success: false, message: 'You cannot move this post to that category' });
+      }
+    }
     
     // Normalize tags - handle array, comma-separated string, or JSON stringified array
     let normalizedTags = [];
@@ -272,13 +429,19 @@ router.put('/posts/:id', uploadForumAttachments, validate(forumSchemas.updatePos
 
     // Update fields
     if (title) post.title = title;
-    if (content) post.content = content;
+    if (content && content !== post.content) {
+      post.content = content;
+      post.mentions = await resolveMentions(content, { exclude: [post.author] });
+    }
     if (category) post.category = category;
     if (normalizedTags.length > 0) post.tags = normalizedTags;
     post.isEdited = true;
     post.editedAt = new Date();
 
     await post.save();
+    if (post.approvalStatus === 'approved') {
+      notifyPostMentions(post, req.user).catch((error) => logger.error('Failed to notify mentions:', error));
+    }
     const updated = await Forum.findById(post._id).populate('author', 'name email avatar department');
     res.json({ success: true, data: { post: mapPostToFrontend(updated, req.user._id) } });
   } catch (err) {
@@ -287,45 +450,131 @@ router.put('/posts/:id', uploadForumAttachments, validate(forumSchemas.updatePos
 });
 
 // Delete forum post
-router.delete('/posts/:id', async (req, res, next) => {
+router.delete('/posts/:id', can('forum.post.delete', { model: Forum, name: 'Post' }), async (req, res, next) => {
+  try {
+    // Replies are removed with the post by the model's delete hook
+    const deleted = await Forum.findByIdAndDelete(req.params.id);
+    publish(topics.post(req.params.id), 'post.deleted', { postId: req.params.id });
+    if (deleted?.approvalStatus === 'pending') {
+      publish(topics.moderation(), 'post.removed', { post: deleted.toQueueItem() });
+    }
+    res.json({ success: true, message: 'Post deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Vote on the poll of a post, or change an earlier vote
+router.put('/posts/:id/poll/vote', createUserLimiter(60 * 1000, 30, 'Too many votes, please try again later.'), validate(forumSchemas.pollVote), async (req, res, next) => {
   try {
+    const { optionIds } = req.body;
     const post = await Forum.findById(req.params.id);
-    if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
-    
-    // Check ownership or admin/mod role
-    if (post.author.toString() !== req.user._id.toString() && 
-        req.user.role !== 'admin' && req.user.role !== 'moderator') {
-      return res.status(403).json({ success: false, message: 'Not authorized to delete this post' });
+    // Posts the user cannot see are not found, so their polls give nothing away
+    if (!post || !(await post.isVisibleTo(req.user))) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
     }
+    if (!post.poll) return res.status(404).json({ success: false, message: 'This post has no poll' });
+    if (post.isPollClosed) return res.status(400).json({ success: false, message: 'This poll is closed' });
 
-    await Forum.findByIdAndDelete(req.params.id);
-    res.json({ success: true, message: 'Post deleted successfully' });
+    if (!post.poll.multiple && optionIds.length > 1) {
+      return res.status(400).json({ success: false, message: 'This poll allows only one choice' });
+    }
+    const known = post.poll.options.map((option) => option._id.toString());
+    if (!optionIds.every((id) => known.includes(id))) {
+      return res.status(400).json({ success: false, message: 'Unknown poll option' });
+    }
+
+    await PollVote.cast(post._id, req.user._id, optionIds);
+
+    const updated = await Forum.findById(post._id);
+    publish(topics.post(post._id), 'poll.updated', () => getPollResults(updated, null).then((poll) => ({ poll })));
+    res.json({ success: true, message: 'Vote recorded', data: { poll: await getPollResults(updated, req.user) } });
   } catch (err) {
     next(err);
   }
 });
 
-// Add reply to post
+// Take back a poll vote
+router.delete('/posts/:id/poll/vote', async (req, res, next) => {
+  try {
+    const post = await Forum.findById(req.params.id);
+    // Posts the user cannot see are not found, so their polls give nothing away
+    if (!post || !(await post.isVisibleTo(req.user))) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+    if (!post.poll) return res.status(404).json({ success: false, message: 'This post has no poll' });
+    if (post.isPollClosed) return res.status(400).json({ success: false, message: 'This poll is closed' });
+
+    if (!(await PollVote.withdraw(post._id, req.user._id))) {
+      return res.status(404).json({ success: false, message: 'You have not voted on this poll' });
+    }
+
+    const updated = await Forum.findById(post._id);
+    publish(topics.post(post._id), 'poll.updated', () => getPollResults(updated, null).then((poll) => ({ poll })));
+    res.json({ success: true, message: 'Vote removed', data: { poll: await getPollResults(updated, req.user) } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Tell the post author, and the author of the reply answered, about a new
+// reply. People mentioned in it already get a mention instead.
+const notifyReplyAuthors = async (post, reply, parent, actor) => {
+  const mentioned = (reply.mentions || []).map(String);
+  const notification = {
+    type: 'forum_reply',
+    actor,
+    message: truncateText(reply.content, 200),
+    link: `/forums/posts/${post._id}`,
+    target: { model: 'ForumReply', id: reply._id },
+    email: { template: 'newForumReply', data: { post, reply } }
+  };
+
+  const postAuthor = post.author.toString();
+  if (!mentioned.includes(postAuthor)) {
+    await notifyUser(postAuthor, { ...notification, title: `${actor.name} replied to your post "${post.title}"` });
+  }
+  const parentAuthor = parent?.isDeleted ? null : parent?.author.toString();
+  if (parentAuthor && parentAuthor !== postAuthor && !mentioned.includes(parentAuthor)) {
+    await notifyUser(parentAuthor, { ...notification, title: `${actor.name} replied to you in "${post.title}"` });
+  }
+};
+
+// Add reply to post, or to another reply with parentId
 router.post('/posts/:id/replies', createUserLimiter(60 * 1000, 20, 'Too many replies, please try again later.'), validate(forumSchemas.addReply), async (req, res, next) => {
   try {
-    const { content } = req.body;
+    const { content, parentId } = req.body;
     const post = await Forum.findById(req.params.id);
     if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
+
+    const block = post.getReplyBlock();
+    if (block) return res.status(403).json({ success: false, code: block.code, message: block.message });
     
-    post.replies.push({ author: req.user._id, content, createdAt: new Date(), likes: [] });
-    await post.save();
-    
-    const populated = await Forum.findById(req.params.id)
-      .populate('author', 'name email avatar department')
-      .populate('replies.author', 'name email avatar department');
-    
-    const mappedPost = mapPostToFrontend(populated, req.user._id);
-    const mappedReplies = populated.replies.map((r) => mapReplyToFrontend(r, req.user._id));
+    let depth = 0;
+    let parent = null;
+    if (parentId) {
+      parent = await ForumReply.findOne({ _id: parentId, post: post._id });
+      if (!parent) return res.status(404).json({ success: false, message: 'Parent reply not found' });
+      if (parent.isDeleted) return res.status(400).json({ success: false, message: 'Cannot reply to a deleted reply' });
+      depth = (parent.depth || 0) + 1;
+      if (depth >= config.forum.maxReplyDepth) {
+        return res.status(400).json({ success: false, message: `Replies cannot be nested more than ${config.forum.maxReplyDepth} levels deep` });
+      }
+    }
+
+    const mentions = await resolveMentions(content, { exclude: [req.user._id] });
+    const reply = await ForumReply.addToPost(post._id, { author: req.user._id, content, parent: parentId || null, depth, mentions });
+    if (post.approvalStatus === 'approved') {
+      notifyReplyMentions(reply, post, req.user).catch((error) => logger.error('Failed to notify mentions:', error));
+      notifyReplyAuthors(post, reply, parent, req.user).catch((error) => logger.error('Failed to notify reply:', error));
+    }
+    publishReply(post._id, 'reply.created', reply._id);
     
     res.json({ 
       success: true, 
       data: { 
-        post: { ...mappedPost, replies: mappedReplies }
+        reply: await mapReplyById(reply._id, req.user._id),
+        post: await mapPostCounters(post._id)
       } 
     });
   } catch (err) {
@@ -333,32 +582,143 @@ router.post('/posts/:id/replies', createUserLimiter(60 * 1000, 20, 'Too many rep
   }
 });
 
+// Replies are checked against the post's category scope but owned by their author
+const replyResource = { model: Forum, name: 'Post', child: { model: ForumReply, parentField: 'post', param: 'replyId', name: 'Reply' } };
+
+// Edit reply; the previous content is kept as a revision
+router.put('/posts/:id/replies/:replyId', can('forum.reply.update', replyResource), validate(forumSchemas.updateReply), async (req, res, next) => {
+  try {
+    const reply = req.subresource;
+    if (reply.isDeleted) return res.status(400).json({ success: false, message: 'Deleted replies cannot be edited' });
+
+    if (reply.content !== req.body.content) {
+      const mentions = await resolveMentions(req.body.content, { exclude: [reply.author] });
+      const edited = await reply.edit(req.body.content, req.user._id, mentions);
+      if (edited && req.resource.approvalStatus === 'approved') {
+        notifyReplyMentions(edited, req.resource, req.user).catch((error) => logger.error('Failed to notify mentions:', error));
+      }
+      publishReply(req.resource._id, 'reply.updated', reply._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply updated successfully',
+      data: {
+        reply: await mapReplyById(reply._id, req.user._id),
+        post: await mapPostCounters(req.resource._id)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete reply; it is kept as a placeholder so its children stay in the thread
+router.delete('/posts/:id/replies/:replyId', can('forum.reply.delete', replyResource), async (req, res, next) => {
+  try {
+    const reply = req.subresource;
+    if (reply.isDeleted) return res.status(400).json({ success: false, message: 'Reply already deleted' });
+
+    await reply.softDelete(req.user._id);
+    publishReply(req.resource._id, 'reply.deleted', reply._id);
+
+    res.json({ success: true, message: 'Reply deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get a reply's edit history, including removed content (moderators)
+router.get('/posts/:id/replies/:replyId/revisions', can('forum.reply.revisions.view', replyResource), async (req, res, next) => {
+  try {
+    const reply = await ForumReply.findById(req.subresource._id)
+      .populate('author', 'name email avatar department')
+      .populate('revisions.editedBy', 'name email')
+      .populate('deletedBy', 'name email');
+
+    const mapUser = (user) => (user ? { id: user._id.toString(), name: user.name, email: user.email } : null);
+
+    res.json({
+      success: true,
+      data: {
+        reply: {
+          ...mapReplyToFrontend(reply, req.user._id),
+          content: reply.content,
+          deletedAt: reply.deletedAt?.toISOString() || null,
+          deletedBy: mapUser(reply.deletedBy)
+        },
+        revisions: reply.revisions.map((revision) => ({
+          id: revision._id.toString(),
+          content: revision.content,
+          editedBy: mapUser(revision.editedBy),
+          editedAt: revision.editedAt?.toISOString()
+        }))
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Accept a reply as the answer (post author or moderators)
+router.post('/posts/:id/replies/:replyId/accept', can('forum.post.accept_answer', { model: Forum, name: 'Post' }), async (req, res, next) => {
+  try {
+    const post = req.resource;
+    const reply = await ForumReply.findOne({ _id: req.params.replyId, post: post._id });
+    if (!reply) return res.status(404).json({ success: false, message: 'Reply not found' });
+    if (reply.isDeleted) return res.status(400).json({ success: false, message: 'Deleted replies cannot be accepted' });
+    if (reply.isSolution) return res.status(400).json({ success: false, message: 'Reply is already the accepted answer' });
+
+    const firstAcceptance = !reply.acceptedAt;
+    await post.markAsSolution(reply._id);
+    publishReply(post._id, 'reply.accepted', reply._id);
+
+    // Answerers get the bonus once per reply, and not for answering their own question
+    if (firstAcceptance && reply.author.toString() !== post.author.toString()) {
+      await awardPoints(reply.author, 'forum_answer_accepted', { postId: post._id, replyId: reply._id })
+        .catch((error) => logger.error('Failed to award answer points:', error));
+    }
+
+    res.json({
+      success: true,
+      message: 'Answer accepted',
+      data: {
+        reply: await mapReplyById(reply._id, req.user._id),
+        post: await mapPostCounters(post._id)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Like/unlike reply
 router.post('/posts/:id/replies/:replyId/like', createUserLimiter(60 * 1000, 30, 'Too many like actions, please try again later.'), async (req, res, next) => {
   try {
     const post = await Forum.findById(req.params.id);
     if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
     
-    const reply = post.replies.id(req.params.replyId);
+    const reply = await ForumReply.findOne({ _id: req.params.replyId, post: post._id });
     if (!reply) return res.status(404).json({ success: false, message: 'Reply not found' });
+    if (reply.isDeleted) return res.status(400).json({ success: false, message: 'Deleted replies cannot be liked' });
     
-    const idx = reply.likes.findIndex((u) => u.toString() === req.user._id.toString());
-    if (idx >= 0) reply.likes.splice(idx, 1);
-    else reply.likes.push(req.user._id);
-    
-    await post.save();
-    
-    const populated = await Forum.findById(req.params.id)
-      .populate('author', 'name email avatar department')
-      .populate('replies.author', 'name email avatar department');
-    
-    const mappedPost = mapPostToFrontend(populated, req.user._id);
-    const mappedReplies = populated.replies.map((r) => mapReplyToFrontend(r, req.user._id));
+    if (await ForumReply.toggleLike(reply._id, req.user._id)) {
+      notifyUser(reply.author, {
+        type: 'forum_like',
+        actor: req.user,
+        title: `${req.user.name} liked your reply in "${post.title}"`,
+        link: `/forums/posts/${post._id}`,
+        target: { model: 'ForumReply', id: reply._id },
+        once: true
+      }).catch((error) => logger.error('Failed to notify like:', error));
+    }
+    publishReply(post._id, 'reply.liked', reply._id);
     
     res.json({ 
       success: true, 
       data: { 
-        post: { ...mappedPost, replies: mappedReplies }
+        reply: await mapReplyById(reply._id, req.user._id),
+        post: await mapPostCounters(post._id)
       } 
     });
   } catch (err) {
@@ -371,11 +731,18 @@ router.post('/posts/:id/like', createUserLimiter(60 * 1000, 30, 'Too many like a
   try {
     const post = await Forum.findById(req.params.id);
     if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
-    const idx = post.likes.findIndex((u) => u.toString() === req.user._id.toString());
-    if (idx >= 0) post.likes.splice(idx, 1);
-    else post.likes.push(req.user._id);
-    await post.save();
-    const populated = await Forum.findById(req.params.id).populate('author', 'name email avatar department');
+    if (await post.toggleLike(req.user._id)) {
+      notifyUser(post.author, {
+        type: 'forum_like',
+        actor: req.user,
+        title: `${req.user.name} liked your post "${post.title}"`,
+        link: `/forums/posts/${post._id}`,
+        target: { model: 'Forum', id: post._id },
+        once: true
+      }).catch((error) => logger.error('Failed to notify like:', error));
+    }
+    const populated = await findPost(req.params.id);
+    publish(topics.post(post._id), 'post.liked', { postId: post._id.toString(), likes: populated.likes.length });
     res.json({ success: true, data: { post: mapPostToFrontend(populated, req.user._id) } });
   } catch (err) {
     next(err);
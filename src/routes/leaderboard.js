@@ -109,8 +109,7 @@ router.get('/summary', optionalAuth, async (req, res, next) => {
       Article.countDocuments({ status: 'published', createdAt: { $gte: start, $lt: end } }),
       Forum.aggregate([
         { $match: { createdAt: { $gte: start, $lt: end } } },
-        { $project: { repliesCount: { $size: '$replies' } } },
-        { $group: { _id: null, total: { $sum: '$repliesCount' } } },
+        { $group: { _id: null, total: { $sum: '$replyCount' } } },
       ]),
       Event.countDocuments({ createdAt: { $gte: start, $lt: end } }),
       Event.aggregate([
@@ -184,8 +183,7 @@ router.get('/community-stats', optionalAuth, async (req, res, next) => {
       Forum.countDocuments({}),
       Article.countDocuments({ status: 'published' }),
       Forum.aggregate([
-        { $project: { repliesCount: { $size: '$replies' } } },
-        { $group: { _id: null, total: { $sum: '$repliesCount' } } }
+        { $group: { _id: null, total: { $sum: '$replyCount' } } }
       ])
     ]);
     res.json({ success: true, data: {
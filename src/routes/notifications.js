@@ -0,0 +1,98 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { validate, notificationSchemas } = require('../middleware/validation');
+const Notification = require('../models/Notification');
+const { generatePaginationMeta } = require('../utils/helpers');
+const { topics, publish } = require('../utils/realtime');
+const { unsubscribeFromDigest } = require('../utils/digest');
+
+const router = express.Router();
+
+// Turn off digest emails with the token from a digest's unsubscribe link,
+// without signing in
+router.post('/digest/unsubscribe', validate(notificationSchemas.unsubscribeDigest), async (req, res, next) => {
+  try {
+    const user = await unsubscribeFromDigest(req.body.token);
+    if (!user) return res.status(400).json({ success: false, message: 'Invalid unsubscribe link' });
+
+    res.json({ success: true, message: 'You will no longer receive digest emails' });
+  } catch (err) { next(err); }
+});
+
+// All other routes require authentication
+router.use(authenticate);
+
+// Keep the badge in the user's other tabs and devices in step
+const publishUnreadCount = (userId, unreadCount) => {
+  publish(topics.notifications(userId), 'unread', { unreadCount });
+};
+
+// List my notifications, newest first; `unread=true` shows only unread ones
+router.get('/', validate(notificationSchemas.list, 'query'), async (req, res, next) => {
+  try {
+    const { unread, page, limit } = req.query;
+    const filter = { user: req.user._id };
+    if (unread === true) filter.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'name avatar')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countUnread(req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications: notifications.map((n) => n.toSummary()),
+        unreadCount,
+        pagination: generatePaginationMeta(page, limit, total)
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Number of unread notifications, for badges
+router.get('/unread-count', async (req, res, next) => {
+  try {
+    res.json({ success: true, data: { unreadCount: await Notification.countUnread(req.user._id) } });
+  } catch (err) { next(err); }
+});
+
+// Mark all my notifications as read
+router.put('/read-all', async (req, res, next) => {
+  try {
+    const updated = await Notification.markAllRead(req.user._id);
+    publishUnreadCount(req.user._id, 0);
+    res.json({ success: true, message: 'All notifications marked as read', data: { updated, unreadCount: 0 } });
+  } catch (err) { next(err); }
+});
+
+// Mark one notification as read
+router.put('/:id/read', async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    if (!notification) return res.status(404).json({ success: false, message: 'Notification not found' });
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    await notification.populate('actor', 'name avatar');
+    const unreadCount = await Notification.countUnread(req.user._id);
+    publishUnreadCount(req.user._id, unreadCount);
+
+    res.json({
+      success: true,
+      data: {
+        notification: notification.toSummary(),
+        unreadCount
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticate, authenticateStream, reauthenticate, issueStreamTicket, hasPermission, permissionScope } = require('../middleware/auth');
+const { validate, realtimeSchemas } = require('../middleware/validation');
+const Forum = require('../models/Forum');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const config = require('../config/config');
+const { topics, subscribe, trackStream } = require('../utils/realtime');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Get a short-lived ticket for opening the stream from a browser
+router.post('/ticket', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: { ticket: issueStreamTicket(req), expiresIn: config.realtime.ticketTtl }
+  });
+});
+
+// Check a requested topic against the user and return what to listen to;
+// { status, error } when the user may not follow it
+const resolveTopic = async (name, viewer) => {
+  const { user } = viewer;
+  const [kind, id] = name.split(':');
+
+  switch (kind) {
+    case 'post': {
+      const post = mongoose.Types.ObjectId.isValid(id) ? await Forum.findById(id) : null;
+      if (!post) return { status: 404, error: 'Post not found' };
+      if (!(await post.isVisibleTo(user))) return { status: 403, error: 'Post not approved yet' };
+      return { topic: topics.post(post._id) };
+    }
+    case 'event': {
+      const event = mongoose.Types.ObjectId.isValid(id) ? await Event.findById(id) : null;
+      if (!event || !(await event.isVisibleTo(user))) return { status: 404, error: 'Event not found' };
+      return { topic: topics.event(event._id) };
+    }
+    case 'notifications':
+      return { topic: topics.notifications(user._id) };
+    case 'moderation':
+      if (!(await permissionScope(user, 'forum.post.approve'))) {
+        return { status: 403, error: 'You cannot view the moderation queue' };
+      }
+      // Reviewers limited to some categories only hear about those
+      return {
+        topic: topics.moderation(),
+        accepts: (data) => hasPermission(viewer.user, 'forum.post.approve', data.post),
+        // Checked again while the stream is open, in case the role changes
+        recheck: async () => !!(await permissionScope(viewer.user, 'forum.post.approve'))
+      };
+    default:
+      return { status: 400, error: `Unknown topic '${name}'` };
+  }
+};
+
+// Stream updates for the requested topics as Server-Sent Events
+router.get('/stream', authenticateStream, validate(realtimeSchemas.stream, 'query'), async (req, res, next) => {
+  try {
+    const names = [...new Set(req.query.topics.split(',').map((name) => name.trim()).filter(Boolean))];
+    if (names.length === 0 || names.length > config.realtime.maxTopics) {
+      return res.status(400).json({ success: false, message: `Subscribe to between 1 and ${config.realtime.maxTopics} topics` });
+    }
+
+    // Refreshed on every heartbeat, so listeners see the user's current role
+    const viewer = { user: req.user };
+    const subscriptions = [];
+    for (const name of names) {
+      const resolved = await resolveTopic(name, viewer);
+      if (resolved.error) return res.status(resolved.status).json({ success: false, message: resolved.error });
+      subscriptions.push({ name, ...resolved });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps compression from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    trackStream(res);
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const unsubscribers = subscriptions.map(({ name, topic, accepts }) => subscribe(topic, async (event, data) => {
+      if (accepts && !(await accepts(data))) return;
+      send(event, { topic: name, ...data });
+    }));
+
+    // Streams outlive the access token that opened them, so check on every
+    // heartbeat that the user may still listen; end the stream once they can't
+    const stillAllowed = async () => {
+      const user = await reauthenticate(req);
+      if (!user) return false;
+      viewer.user = user;
+      for (const { recheck } of subscriptions) {
+        if (recheck && !(await recheck())) return false;
+      }
+      return true;
+    };
+    const heartbeat = setInterval(() => {
+      stillAllowed()
+        .then((allowed) => (allowed ? res.write(': ping\n\n') : res.end()))
+        .catch((error) => logger.error('Failed to check event stream access:', error));
+    }, config.realtime.heartbeatInterval);
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+    };
+    req.on('close', close);
+    res.on('finish', close);
+
+    res.write('retry: 5000\n\n');
+    send('ready', {
+      topics: names,
+      ...(names.includes('notifications') ? { unreadCount: await Notification.countUnread(req.user._id) } : {})
+    });
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,21 @@
 const express = require('express');
-const { authenticate, requireAdmin, requireOwnershipOrAdmin } = require('../middleware/auth');
+const path = require('path');
+const { authenticate, rejectApiKey, can, hasPermission } = require('../middleware/auth');
 const { validate, userSchemas } = require('../middleware/validation');
-const { uploadAvatar } = require('../middleware/upload');
+const { uploadAvatar, deleteFile } = require('../middleware/upload');
+const { authLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Forum = require('../models/Forum');
+const ForumReply = require('../models/ForumReply');
+const Article = require('../models/Article');
+const Event = require('../models/Event');
+const Follow = require('../models/Follow');
+const { sendPasswordChangedEmail } = require('../utils/email');
+const { truncateText, escapeRegex } = require('../utils/helpers');
+const { buildUserExport, scheduleAccountDeletion } = require('../utils/accountData');
+const logger = require('../utils/logger');
+const config = require('../config/config');
 
 const router = express.Router();
 
@@ -16,35 +30,440 @@ router.get('/profile', (req, res) => {
   });
 });
 
+// Delete a previously uploaded avatar; external avatar URLs are left alone
+const removeUploadedAvatar = (avatarUrl) => {
+  if (avatarUrl && avatarUrl.startsWith('/uploads/')) {
+    deleteFile(avatarUrl.replace(/^\/uploads\//, ''));
+  }
+};
+
 // Update user profile
-router.put('/profile', validate(userSchemas.updateProfile), (req, res) => {
-  // Implementation for updating user profile
-  res.json({
-    success: true,
-    message: 'Profile updated successfully'
-  });
+router.put('/profile', validate(userSchemas.updateProfile), async (req, res, next) => {
+  try {
+    const { name, department, bio, avatar, skills, socialLinks, preferences } = req.body;
+    const user = await User.findById(req.user._id);
+    const previousAvatar = user.avatar;
+
+    if (name !== undefined) user.name = name;
+    if (department !== undefined) user.department = department;
+    if (bio !== undefined) user.bio = bio;
+    if (avatar !== undefined) user.avatar = avatar;
+    if (skills !== undefined) user.skills.declared = skills;
+
+    // Nested settings are merged so clients can send only what changed
+    Object.entries(socialLinks || {}).forEach(([key, value]) => user.set(`socialLinks.${key}`, value));
+    Object.entries(preferences?.notifications || {}).forEach(([key, value]) => {
+      user.set(`preferences.notifications.${key}`, value);
+    });
+    if (preferences?.theme) user.set('preferences.theme', preferences.theme);
+    if (preferences?.profileVisibility) user.set('preferences.profileVisibility', preferences.profileVisibility);
+
+    await user.save();
+
+    if (avatar !== undefined && avatar !== previousAvatar) {
+      removeUploadedAvatar(previousAvatar);
+    }
+
+    logger.logUserAction(user._id, 'profile_updated', { fields: Object.keys(req.body) });
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: { user }
+    });
+  } catch (err) { next(err); }
 });
 
 // Upload avatar
-router.post('/avatar', uploadAvatar, (req, res) => {
-  // Implementation for avatar upload
-  res.json({
-    success: true,
-    message: 'Avatar uploaded successfully'
-  });
+router.post('/avatar', uploadLimiter, uploadAvatar, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Please choose an image to upload' });
+    }
+    if (!req.file.mimetype.startsWith('image/')) {
+      deleteFile(path.relative(config.upload.uploadPath, req.file.path));
+      return res.status(400).json({ success: false, message: 'Avatar must be an image' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousAvatar = user.avatar;
+    user.avatar = req.file.url;
+    await user.save();
+
+    removeUploadedAvatar(previousAvatar);
+
+    logger.logUserAction(user._id, 'avatar_updated', { avatar: user.avatar });
+
+    res.json({
+      success: true,
+      message: 'Avatar uploaded successfully',
+      data: { avatar: user.avatar }
+    });
+  } catch (err) { next(err); }
 });
 
-// Change password
-router.put('/change-password', validate(userSchemas.changePassword), (req, res) => {
-  // Implementation for password change
-  res.json({
-    success: true,
-    message: 'Password changed successfully'
-  });
+// Change password (signs out every other session)
+router.put('/change-password', authLimiter, validate(userSchemas.changePassword), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+    }
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ success: false, message: 'New password must be different from the current password' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const result = await Session.revokeAllForUser(user._id, 'password_changed', {
+      exceptFamilyId: req.sessionId,
+      revokedBy: user._id
+    });
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (error) {
+      logger.error('Failed to send password changed email:', error);
+    }
+
+    logger.logUserAction(user._id, 'password_changed', { revokedSessions: result.modifiedCount });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (err) { next(err); }
+});
+
+// Download everything stored about the current user
+router.get('/me/export', rejectApiKey, async (req, res, next) => {
+  try {
+    const bundle = await buildUserExport(req.user._id);
+    logger.logUserAction(req.user._id, 'data_exported', {});
+    res.attachment(`xerago-community-export-${req.user._id}.json`);
+    res.json({ success: true, data: bundle });
+  } catch (err) { next(err); }
+});
+
+// Delete the current account after the grace period; content is anonymized on purge
+router.delete('/me', rejectApiKey, authLimiter, validate(userSchemas.deleteAccount), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    // Local accounts confirm with their password; SSO-only accounts cannot
+    if (!user.sso?.subject) {
+      const isPasswordValid = req.body.password && await user.comparePassword(req.body.password);
+      if (!isPasswordValid) {
+        return res.status(400).json({ success: false, message: 'Password is incorrect' });
+      }
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(user, user._id);
+
+    res.json({
+      success: true,
+      message: 'Your account has been deactivated and will be deleted permanently',
+      data: { scheduledFor }
+    });
+  } catch (err) { next(err); }
+});
+
+// People directory: find colleagues by name, department, role, skill or level
+router.get('/directory', validate(userSchemas.directory, 'query'), async (req, res, next) => {
+  try {
+    const { q, department, role, skill, level, minLevel, sort, page, limit } = req.query;
+    const canSeePrivate = await hasPermission(req.user, 'user.profile.view_private');
+
+    const filter = { isActive: true };
+    if (!canSeePrivate) filter['preferences.profileVisibility'] = { $ne: 'private' };
+    if (department) filter.department = new RegExp(`^${escapeRegex(department)}$`, 'i');
+    if (role) filter.role = role;
+    if (skill) filter['skills.normalized'] = skill.toLowerCase();
+    if (level) filter['gamification.level'] = level;
+    else if (minLevel) filter['gamification.level'] = { $gte: minLevel };
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ name: pattern }, { department: pattern }, { 'skills.normalized': pattern }];
+    }
+
+    const sortBy = sort === 'name' ? { name: 1 } : { 'gamification.points': -1, name: 1 };
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('name department role avatar gamification.points gamification.level skills.declared skills.inferred')
+        .sort(sortBy)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map((u) => ({
+          id: u._id.toString(),
+          name: u.name,
+          department: u.department,
+          role: u.role,
+          avatar: u.avatar,
+          points: u.gamification.points,
+          level: u.gamification.level,
+          skills: {
+            declared: u.skills?.declared || [],
+            inferred: (u.skills?.inferred || []).map((s) => s.name)
+          }
+        })),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Autocomplete for @mentions: matches the start of a name or of the email handle
+router.get('/mention-suggest', validate(userSchemas.mentionSuggest, 'query'), async (req, res, next) => {
+  try {
+    const { limit } = req.query;
+    const q = req.query.q.replace(/^@/, '');
+    if (!q) return res.json({ success: true, data: { users: [] } });
+
+    const canSeePrivate = await hasPermission(req.user, 'user.profile.view_private');
+    const filter = {
+      _id: { $ne: req.user._id },
+      isActive: true,
+      $or: [
+        { name: new RegExp(`(^|\\s)${escapeRegex(q)}`, 'i') },
+        { email: new RegExp(`^${escapeRegex(q)}[^@]*@`, 'i') }
+      ]
+    };
+    if (!canSeePrivate) filter['preferences.profileVisibility'] = { $ne: 'private' };
+
+    const users = await User.find(filter)
+      .select('name email avatar department')
+      .sort({ name: 1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map((u) => ({
+          id: u._id.toString(),
+          name: u.name,
+          handle: u.email.split('@')[0],
+          avatar: u.avatar,
+          department: u.department
+        }))
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Profile visibility as seen by the viewer; owners and staff always see everything
+const getEffectiveVisibility = async (user, viewer) => {
+  if (user._id.equals(viewer._id) || await hasPermission(viewer, 'user.profile.view_private')) return 'public';
+  return user.preferences?.profileVisibility || 'public';
+};
+
+// Map a user to the card shown in follower/following lists
+const mapUserCard = (u) => ({
+  id: u._id.toString(),
+  name: u.name,
+  department: u.department,
+  avatar: u.avatar,
+  level: u.gamification?.level
+});
+
+// Recent approved/published contributions of a user, one page per section
+const getPublicActivity = async (userId, { page, limit }) => {
+  const skip = (page - 1) * limit;
+  const section = (items, total) => ({ items, total, page, totalPages: Math.ceil(total / limit) });
+
+  const postFilter = { author: userId, approvalStatus: 'approved' };
+  const articleFilter = { author: userId, status: 'published' };
+  const eventFilter = { organizer: userId, status: { $in: ['published', 'completed'] }, visibility: 'public' };
+
+  const [posts, postsTotal, replies, articles, articlesTotal, events, eventsTotal] = await Promise.all([
+    Forum.find(postFilter)
+      .select('title category tags views likes replyCount createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Forum.countDocuments(postFilter),
+    ForumReply.aggregate([
+      { $match: { author: userId, isDeleted: { $ne: true } } },
+      { $sort: { createdAt: -1 } },
+      { $lookup: { from: Forum.collection.name, localField: 'post', foreignField: '_id', as: 'post' } },
+      { $unwind: '$post' },
+      { $match: { 'post.approvalStatus': 'approved' } },
+      { $facet: {
+        items: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      } }
+    ]),
+    Article.find(articleFilter)
+      .select('title excerpt category tags publishedAt createdAt')
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Article.countDocuments(articleFilter),
+    Event.find(eventFilter)
+      .select('title category type startDate endDate status')
+      .sort({ startDate: -1 })
+      .skip(skip)
+      .limit(limit),
+    Event.countDocuments(eventFilter)
+  ]);
+
+  return {
+    posts: section(posts.map((p) => ({
+      id: p._id.toString(),
+      title: p.title,
+      category: p.category,
+      tags: p.tags,
+      views: p.views,
+      likes: (p.likes || []).length,
+      replies: p.replyCount || 0,
+      createdAt: p.createdAt
+    })), postsTotal),
+    replies: section(replies[0].items.map((r) => ({
+      id: r._id.toString(),
+      postId: r.post._id.toString(),
+      postTitle: r.post.title,
+      content: truncateText(r.content, 200),
+      createdAt: r.createdAt
+    })), replies[0].total[0]?.count || 0),
+    articles: section(articles.map((a) => ({
+      id: a._id.toString(),
+      title: a.title,
+      excerpt: a.excerpt,
+      category: a.category,
+      tags: a.tags,
+      publishedAt: a.publishedAt || a.createdAt
+    })), articlesTotal),
+    events: section(events.map((e) => ({
+      id: e._id.toString(),
+      title: e.title,
+      category: e.category,
+      type: e.type,
+      startDate: e.startDate,
+      endDate: e.endDate,
+      status: e.status
+    })), eventsTotal)
+  };
+};
+
+// Get a colleague's public profile
+router.get('/:id/public', validate(userSchemas.publicProfile, 'query'), async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, isActive: true })
+      .populate('gamification.achievements.achievement');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const visibility = user.preferences?.profileVisibility || 'public';
+    const effectiveVisibility = await getEffectiveVisibility(user, req.user);
+
+    const profile = {
+      id: user._id.toString(),
+      name: user.name,
+      department: user.department,
+      avatar: user.avatar,
+      level: user.gamification.level,
+      visibility
+    };
+
+    if (effectiveVisibility !== 'private') {
+      Object.assign(profile, {
+        bio: user.bio,
+        skills: {
+          declared: user.skills?.declared || [],
+          inferred: (user.skills?.inferred || []).map((s) => s.name)
+        },
+        points: user.gamification.points,
+        achievements: user.gamification.achievements
+          .filter((a) => a.achievement)
+          .map((a) => ({
+            id: a.achievement._id.toString(),
+            name: a.achievement.name,
+            icon: a.achievement.icon,
+            rarity: a.achievement.rarity,
+            earnedAt: a.earnedAt
+          })),
+        memberSince: user.createdAt
+      });
+    }
+
+    const activity = effectiveVisibility === 'public'
+      ? await getPublicActivity(user._id, req.query)
+      : null;
+
+    res.json({ success: true, data: { profile, activity } });
+  } catch (err) { next(err); }
+});
+
+// List a user's followers
+router.get('/:id/followers', validate(userSchemas.publicProfile, 'query'), async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const user = await User.findOne({ _id: req.params.id, isActive: true });
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    if (await getEffectiveVisibility(user, req.user) === 'private') {
+      return res.status(403).json({ success: false, message: 'This profile is private' });
+    }
+
+    const filter = { targetType: 'user', target: user._id.toString() };
+    const [follows, total] = await Promise.all([
+      Follow.find(filter)
+        .populate('follower', 'name department avatar gamification.level')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Follow.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        followers: follows.filter((f) => f.follower).map((f) => mapUserCard(f.follower)),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// List the colleagues, categories and tags a user follows
+router.get('/:id/following', async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, isActive: true });
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    if (await getEffectiveVisibility(user, req.user) === 'private') {
+      return res.status(403).json({ success: false, message: 'This profile is private' });
+    }
+
+    const following = await Follow.getFollowedTargets(user._id);
+    const users = await User.find({ _id: { $in: following.users }, isActive: true })
+      .select('name department avatar gamification.level');
+
+    res.json({
+      success: true,
+      data: {
+        following: { ...following, users: users.map(mapUserCard) }
+      }
+    });
+  } catch (err) { next(err); }
 });
 
 // Admin routes
-router.get('/', requireAdmin, (req, res) => {
+router.get('/', can('user.view'), (req, res) => {
   // Implementation for getting all users
   res.json({
     success: true,
@@ -52,7 +471,7 @@ router.get('/', requireAdmin, (req, res) => {
   });
 });
 
-router.put('/:id/role', requireAdmin, validate(userSchemas.updateUserRole), (req, res) => {
+router.put('/:id/role', can('user.role.assign'), validate(userSchemas.updateUserRole), (req, res) => {
   // Implementation for updating user role
   res.json({
     success: true,
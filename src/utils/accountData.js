@@ -0,0 +1,242 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Forum = require('../models/Forum');
+const ForumReply = require('../models/ForumReply');
+const PollVote = require('../models/PollVote');
+const Article = require('../models/Article');
+const Event = require('../models/Event');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const Leaderboard = require('../models/Leaderboard');
+const AuditLog = require('../models/AuditLog');
+const Report = require('../models/Report');
+const config = require('../config/config');
+const { deleteFile } = require('../middleware/upload');
+const { generateRandomString } = require('./helpers');
+const logger = require('./logger');
+
+const FORMER_MEMBER_EMAIL = 'former.member@noreply.xerago.com';
+
+/**
+ * Build a JSON bundle of everything stored about a user
+ */
+const buildUserExport = async (userId) => {
+  const user = await User.findById(userId)
+    .populate('gamification.achievements.achievement', 'name description icon rarity');
+  if (!user) return null;
+
+  const [sessions, apiKeys, follows, notifications, posts, replies, pollVotes, articles, commentedArticles, organizedEvents, attendedEvents, leaderboards, auditEntries] = await Promise.all([
+    Session.find({ user: userId }).sort({ createdAt: -1 }),
+    ApiKey.find({ user: userId }).sort({ createdAt: -1 }),
+    Follow.find({ follower: userId }).select('targetType target createdAt').lean(),
+    Notification.find({ user: userId }).select('-user').sort({ createdAt: -1 }).lean(),
+    Forum.find({ author: userId }).lean(),
+    ForumReply.find({ author: userId }).populate('post', 'title').sort({ createdAt: 1 }).lean(),
+    PollVote.find({ user: userId }).populate('post', 'title poll').lean(),
+    Article.find({ author: userId }).select('-comments').lean(),
+    Article.find({ 'comments.author': userId }).select('title comments').lean(),
+    Event.find({ organizer: userId }).select('-attendees -waitlist -feedback').lean(),
+    Event.find({ $or: [{ 'attendees.user': userId }, { waitlist: userId }, { 'feedback.user': userId }] })
+      .select('title startDate attendees waitlist feedback')
+      .lean(),
+    Leaderboard.find({ 'entries.user': userId }).select('type period periodStart periodEnd entries').lean(),
+    AuditLog.find({ user: userId }).select('method route statusCode createdAt').sort({ createdAt: -1 }).lean()
+  ]);
+
+  const isUser = (id) => id && id.toString() === userId.toString();
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      department: user.department,
+      role: user.role,
+      bio: user.bio,
+      avatar: user.avatar,
+      skills: user.skills?.declared || [],
+      socialLinks: user.socialLinks,
+      preferences: user.preferences,
+      isEmailVerified: user.isEmailVerified,
+      twoFactorEnabled: user.twoFactor?.enabled || false,
+      sso: user.sso?.subject ? { issuer: user.sso.issuer, subject: user.sso.subject } : null,
+      lastLogin: user.lastLogin,
+      loginCount: user.loginCount,
+      createdAt: user.createdAt
+    },
+    sessions: sessions.map((session) => ({
+      ...session.toSummary(),
+      revokedAt: session.revokedAt,
+      revokedReason: session.revokedReason
+    })),
+    apiKeys: apiKeys.map((apiKey) => apiKey.toSummary()),
+    follows,
+    notifications,
+    forum: {
+      posts,
+      replies: replies.map(({ post, ...reply }) => ({ postId: post?._id || null, postTitle: post?.title || null, ...reply })),
+      pollVotes: pollVotes.map(({ post, options, createdAt, updatedAt }) => ({
+        postId: post?._id || null,
+        question: post?.poll?.question || null,
+        choices: (post?.poll?.options || [])
+          .filter((option) => options.some((id) => id.toString() === option._id.toString()))
+          .map((option) => option.text),
+        createdAt,
+        updatedAt
+      }))
+    },
+    articles: {
+      authored: articles,
+      comments: commentedArticles.flatMap((article) => article.comments
+        .filter((comment) => isUser(comment.author))
+        .map((comment) => ({ articleId: article._id, articleTitle: article.title, ...comment })))
+    },
+    events: {
+      organized: organizedEvents,
+      rsvps: attendedEvents.flatMap((event) => event.attendees
+        .filter((attendee) => isUser(attendee.user))
+        .map((attendee) => ({ eventId: event._id, eventTitle: event.title, startDate: event.startDate, ...attendee }))),
+      waitlisted: attendedEvents
+        .filter((event) => (event.waitlist || []).some(isUser))
+        .map((event) => ({ eventId: event._id, eventTitle: event.title })),
+      feedback: attendedEvents.flatMap((event) => (event.feedback || [])
+        .filter((entry) => isUser(entry.user))
+        .map((entry) => ({ eventId: event._id, eventTitle: event.title, ...entry })))
+    },
+    gamification: {
+      points: user.gamification.points,
+      level: user.gamification.level,
+      achievements: user.gamification.achievements,
+      leaderboards: leaderboards.map((board) => ({
+        type: board.type,
+        period: board.period,
+        periodStart: board.periodStart,
+        periodEnd: board.periodEnd,
+        entry: board.entries.find((entry) => isUser(entry.user))
+      }))
+    },
+    auditLog: auditEntries
+  };
+};
+
+/**
+ * Schedule a user's account for deletion after the grace period.
+ * The account is deactivated and signed out straight away.
+ */
+const scheduleAccountDeletion = async (user, requestedBy) => {
+  const scheduledFor = new Date(Date.now() + config.accountDeletion.graceDays * 24 * 60 * 60 * 1000);
+
+  user.isActive = false;
+  user.deletion = { requestedAt: new Date(), scheduledFor, requestedBy };
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'account_deleted', { revokedBy: requestedBy });
+
+  logger.logUserAction(requestedBy, 'account_deletion_scheduled', { targetUserId: user._id, scheduledFor });
+  return scheduledFor;
+};
+
+/**
+ * Cancel a pending deletion and reactivate the account
+ */
+const cancelAccountDeletion = async (user, cancelledBy) => {
+  user.isActive = true;
+  user.deletion = undefined;
+  await user.save();
+
+  logger.logUserAction(cancelledBy, 'account_deletion_cancelled', { targetUserId: user._id });
+};
+
+/**
+ * Shared placeholder that anonymized content is attributed to
+ */
+const getFormerMember = async () => {
+  const existing = await User.findOne({ email: FORMER_MEMBER_EMAIL });
+  if (existing) return existing;
+
+  return User.create({
+    name: 'Former member',
+    email: FORMER_MEMBER_EMAIL,
+    // Never used: the placeholder is inactive and cannot sign in
+    password: generateRandomString(32),
+    isActive: false,
+    preferences: { profileVisibility: 'private' }
+  });
+};
+
+/**
+ * Anonymize a user's content and hard-delete the account
+ */
+const purgeAccount = async (userId) => {
+  const formerMember = await getFormerMember();
+  const anonymous = formerMember._id;
+  if (anonymous.equals(userId)) {
+    throw new Error('The former member placeholder cannot be purged');
+  }
+
+  await Promise.all([
+    // Authored content stays but is attributed to "Former member"
+    Forum.updateMany({ author: userId }, { author: anonymous }),
+    ForumReply.updateMany({ author: userId }, { author: anonymous }),
+    Article.updateMany({ author: userId }, { author: anonymous }),
+    Article.updateMany({ 'comments.author': userId }, { $set: { 'comments.$[comment].author': anonymous } }, { arrayFilters: [{ 'comment.author': userId }] }),
+    Event.updateMany({ organizer: userId }, { organizer: anonymous }),
+    Event.updateMany({ 'feedback.user': userId }, { $set: { 'feedback.$[entry].user': anonymous } }, { arrayFilters: [{ 'entry.user': userId }] }),
+    Report.updateMany({ reportedBy: userId }, { reportedBy: anonymous }),
+    Report.updateMany({ targetUser: userId }, { $unset: { targetUser: 1 } }),
+    Notification.updateMany({ actor: userId }, { actor: anonymous }),
+
+    // Personal interactions are removed
+    Forum.updateMany({ likes: userId }, { $pull: { likes: userId } }),
+    ForumReply.updateMany({ likes: userId }, { $pull: { likes: userId } }),
+    PollVote.find({ user: userId }).then((votes) => Promise.all(votes.map((vote) => PollVote.withdraw(vote.post, userId)))),
+    Article.updateMany({ $or: [{ likes: userId }, { bookmarks: userId }] }, { $pull: { likes: userId, bookmarks: userId } }),
+    Article.updateMany({ 'comments.likes': userId }, { $pull: { 'comments.$[].likes': userId } }),
+    Forum.updateMany({ mentions: userId }, { $pull: { mentions: userId } }),
+    ForumReply.updateMany({ mentions: userId }, { $pull: { mentions: userId } }),
+    Article.updateMany({ mentions: userId }, { $pull: { mentions: userId } }),
+    Article.updateMany({ 'comments.mentions': userId }, { $pull: { 'comments.$[].mentions': userId } }),
+    Notification.deleteMany({ user: userId }),
+    Event.updateMany(
+      { $or: [{ 'attendees.user': userId }, { waitlist: userId }] },
+      { $pull: { attendees: { user: userId }, waitlist: userId } }
+    ),
+    Follow.deleteMany({ $or: [{ follower: userId }, { targetType: 'user', target: userId.toString() }] }),
+    Leaderboard.updateMany({ 'entries.user': userId }, { $pull: { entries: { user: userId } } }),
+    AuditLog.updateMany({ user: userId }, { $unset: { user: 1, requestBody: 1, responseBody: 1 } }),
+    Session.deleteMany({ user: userId }),
+    ApiKey.deleteMany({ user: userId })
+  ]);
+
+  const user = await User.findByIdAndDelete(userId);
+  if (user?.avatar?.startsWith('/uploads/')) {
+    deleteFile(user.avatar.replace(/^\/uploads\//, ''));
+  }
+
+  logger.logUserAction(userId, 'account_purged', {});
+};
+
+/**
+ * Purge every account whose grace period has ended
+ */
+const purgeDueAccounts = async () => {
+  const due = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    email: { $ne: FORMER_MEMBER_EMAIL }
+  }).select('_id');
+  for (const { _id } of due) {
+    await purgeAccount(_id);
+  }
+  return due.length;
+};
+
+module.exports = {
+  buildUserExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDueAccounts,
+  FORMER_MEMBER_EMAIL
+};
@@ -0,0 +1,101 @@
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Forum = require('../models/Forum');
+const Setting = require('../models/Setting');
+
+// Setting the latest analytics are kept in
+const ANALYTICS_SETTING = 'analytics.snapshot';
+
+/**
+ * Calculate the admin analytics: engagement, daily active users, content
+ * growth and top categories
+ */
+const calculateAnalytics = async () => {
+  // 1) Engagement rate: total (likes+replies) / totalPosts
+  const totalPosts = await Forum.countDocuments({});
+  const engagementAgg = await Forum.aggregate([
+    { $project: { interactions: { $add: [{ $size: '$likes' }, { $ifNull: ['$replyCount', 0] }] } } },
+    { $group: { _id: null, totalInteractions: { $sum: '$interactions' } } }
+  ]);
+  const totalInteractions = engagementAgg[0]?.totalInteractions || 0;
+  const engagementRate = totalPosts > 0 ? Math.round((totalInteractions / totalPosts) * 100) : 0;
+
+  // 2) Avg session time (mock calculation: we can track via session logs in future)
+  const averageSessionTime = '12m'; // Placeholder; integrate session tracking if available
+
+  // 3) Daily active users (last 7 days)
+  const now = new Date();
+  const dailyActiveUsers = [];
+  for (let i = 6; i >= 0; i--) {
+    const dayStart = new Date(now);
+    dayStart.setDate(now.getDate() - i);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayStart.getDate() + 1);
+    const count = await User.countDocuments({ updatedAt: { $gte: dayStart, $lt: dayEnd } });
+    dailyActiveUsers.push({ date: dayStart.toISOString().slice(0, 10), users: count });
+  }
+
+  // 4) Content growth: posts created this month vs last month
+  const thisMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const lastMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  const lastMonthEnd = new Date(now.getFullYear(), now.getMonth(), 1);
+  const postsThisMonth = await Forum.countDocuments({ createdAt: { $gte: thisMonthStart } });
+  const postsLastMonth = await Forum.countDocuments({ createdAt: { $gte: lastMonthStart, $lt: lastMonthEnd } });
+  const contentGrowth = postsLastMonth > 0 ? Math.round(((postsThisMonth - postsLastMonth) / postsLastMonth) * 100) : 0;
+
+  // 5) Top categories by posts
+  const categories = ['ai', 'marketing', 'technology', 'analytics', 'general'];
+  const topCategories = [];
+  for (const cat of categories) {
+    const agg = await Forum.aggregate([
+      { $match: { category: cat } },
+      { $project: { likesCount: { $size: '$likes' }, repliesCount: { $ifNull: ['$replyCount', 0] } } },
+      { $group: { _id: null, posts: { $sum: 1 }, engagement: { $sum: { $add: ['$likesCount', '$repliesCount'] } } } }
+    ]);
+    topCategories.push({
+      name: cat === 'ai' ? 'AI & Innovation' : cat.charAt(0).toUpperCase() + cat.slice(1),
+      posts: agg[0]?.posts || 0,
+      engagement: agg[0]?.engagement || 0
+    });
+  }
+
+  return {
+    engagementRate,
+    averageSessionTime,
+    dailyActiveUsers,
+    contentGrowth,
+    topCategories
+  };
+};
+
+/**
+ * Recalculate the analytics and store them for the admin dashboard
+ */
+const refreshAnalytics = async () => {
+  const analytics = { ...(await calculateAnalytics()), generatedAt: new Date() };
+  await Setting.setValue(ANALYTICS_SETTING, analytics);
+  return { generatedAt: analytics.generatedAt };
+};
+
+/**
+ * Queue a refresh unless one is already due or running. A refresh waiting to
+ * retry later (or the next scheduled run) does not count.
+ */
+const queueAnalyticsRefresh = async () => {
+  const pending = await Job.exists({
+    name: 'analytics.refresh',
+    $or: [
+      { status: 'queued', runAt: { $lte: new Date() } },
+      { status: 'running' }
+    ]
+  });
+  if (!pending) await Job.enqueue('analytics.refresh');
+};
+
+module.exports = {
+  ANALYTICS_SETTING,
+  calculateAnalytics,
+  refreshAnalytics,
+  queueAnalyticsRefresh
+};
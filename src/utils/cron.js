@@ -0,0 +1,100 @@
+// Cron expressions for recurring jobs: five fields (minute, hour, day of month,
+// month, day of week) of `*`, numbers, ranges, lists and `/` steps, e.g.
+// `*/15 9-17 * * 1-5`. Times are in the server's local time zone.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  text.split(',').forEach((part) => {
+    const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name} '${part}'`);
+
+    const [, any, from, to, step] = match;
+    const start = any ? min : Number(from);
+    // `5/15` runs from 5 to the end of the range
+    const end = any || (step && to === undefined) ? max : Number(to ?? from);
+    const every = step ? Number(step) : 1;
+    if (start < min || end > max || start > end || every < 1) {
+      throw new Error(`Invalid cron ${name} '${part}'`);
+    }
+
+    for (let value = start; value <= end; value += every) values.add(value);
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression; throws on invalid ones
+ */
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression '${expression}' must have ${FIELDS.length} fields`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in cron, when both day fields are restricted either may match
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+};
+
+const matchesDay = (cron, date) => {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+};
+
+/**
+ * The first time after `after` that a cron expression matches
+ */
+const nextRun = (expression, after = new Date()) => {
+  const cron = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Expressions like `0 0 30 2 *` never match; stop looking after a few years
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression '${expression}' never matches`);
+};
+
+module.exports = {
+  parseCron,
+  nextRun
+};
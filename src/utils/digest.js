@@ -0,0 +1,241 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Forum = require('../models/Forum');
+const Article = require('../models/Article');
+const Event = require('../models/Event');
+const Leaderboard = require('../models/Leaderboard');
+const config = require('../config/config');
+const { emailTemplates, sendBulkEmails } = require('./email');
+const logger = require('./logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How far back each digest looks
+const DIGEST_PERIODS = {
+  daily: DAY,
+  weekly: 7 * DAY
+};
+
+// A digest is due a little before a full period has passed, so a cron job
+// firing a few minutes early does not skip a run
+const DUE_GRACE = 60 * 60 * 1000;
+
+// Users emailed per round of sending
+const BATCH_SIZE = 100;
+
+const UNSUBSCRIBE_TOKEN = 'digest_unsubscribe';
+
+/**
+ * Token for the unsubscribe link in a user's digest. It does not expire, so
+ * links in old digests keep working, and it can do nothing else.
+ */
+const createUnsubscribeToken = (user) => jwt.sign(
+  { id: user._id, purpose: UNSUBSCRIBE_TOKEN },
+  config.jwt.secret
+);
+
+/**
+ * Turn off digests for the user an unsubscribe token was issued to; returns
+ * the user, or null for an invalid token
+ */
+const unsubscribeFromDigest = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwt.secret);
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) return null;
+    throw error;
+  }
+  if (decoded.purpose !== UNSUBSCRIBE_TOKEN) return null;
+
+  return User.findByIdAndUpdate(
+    decoded.id,
+    { $set: { 'preferences.notifications.digest': 'off' } },
+    { new: true }
+  );
+};
+
+/**
+ * Load what every digest of a run picks from: threads approved and articles
+ * published since `since`, upcoming public events and the overall leaderboard.
+ * Lists hold extra items so each user's own can be left out.
+ */
+const collectDigestContent = async (since, now = new Date()) => {
+  const limit = config.digest.itemsPerSection;
+  const horizon = new Date(now.getTime() + config.digest.eventHorizonDays * DAY);
+
+  const [threads, articles, events, leaderboard] = await Promise.all([
+    Forum.find({ approvalStatus: 'approved', status: { $ne: 'archived' }, approvedAt: { $gte: since } })
+      .select('title author replyCount views')
+      .sort({ replyCount: -1, views: -1 })
+      .limit(limit * 2),
+    Article.find({ status: 'published', publishedAt: { $gte: since } })
+      .select('title author publishedAt')
+      .populate('author', 'name')
+      .sort({ publishedAt: -1 })
+      .limit(limit * 2),
+    Event.find({ status: 'published', visibility: 'public', startDate: { $gt: now, $lte: horizon } })
+      .select('title startDate attendees.user waitlist')
+      .sort({ startDate: 1 })
+      .limit(limit * 4),
+    Leaderboard.findOne({ type: 'overall', period: 'all_time', isActive: true })
+      .select('entries.user entries.rank entries.points totalParticipants')
+      .sort({ 'metadata.generatedAt': -1 })
+  ]);
+
+  return {
+    threads,
+    articles,
+    events,
+    ranks: new Map((leaderboard?.entries || []).map((entry) => [entry.user.toString(), entry])),
+    totalParticipants: leaderboard?.totalParticipants || 0
+  };
+};
+
+/**
+ * Pick one user's digest from the run's content: threads and articles by
+ * others, events they have not RSVP'd to and their leaderboard movement since
+ * their last digest. Returns null when there is nothing to tell them.
+ */
+const buildDigest = (user, content) => {
+  const userId = user._id.toString();
+  const limit = config.digest.itemsPerSection;
+  const link = (path) => `${config.cors.origin}${path}`;
+  const idOf = (ref) => (ref?._id || ref)?.toString();
+
+  const threads = content.threads
+    .filter((post) => idOf(post.author) !== userId)
+    .slice(0, limit)
+    .map((post) => ({
+      title: post.title,
+      url: link(`/forums/posts/${post._id}`),
+      detail: `${post.replyCount} ${post.replyCount === 1 ? 'reply' : 'replies'}`
+    }));
+
+  const articles = content.articles
+    .filter((article) => idOf(article.author) !== userId)
+    .slice(0, limit)
+    .map((article) => ({
+      title: article.title,
+      url: link(`/articles/${article._id}`),
+      detail: article.author?.name ? `by ${article.author.name}` : ''
+    }));
+
+  const events = content.events
+    .filter((event) => !event.attendees.some((attendee) => idOf(attendee.user) === userId)
+      && !event.waitlist.some((id) => idOf(id) === userId))
+    .slice(0, limit)
+    .map((event) => ({
+      title: event.title,
+      url: link(`/events/${event._id}`),
+      detail: `${new Date(event.startDate).toLocaleDateString()} ${new Date(event.startDate).toLocaleTimeString()}`
+    }));
+
+  const entry = content.ranks.get(userId);
+  const leaderboard = entry
+    ? {
+        rank: entry.rank,
+        previousRank: user.digest?.lastRank,
+        points: entry.points,
+        totalParticipants: content.totalParticipants
+      }
+    : null;
+
+  const rankChanged = leaderboard && leaderboard.rank !== leaderboard.previousRank;
+  if (threads.length === 0 && articles.length === 0 && events.length === 0 && !rankChanged) return null;
+
+  return { threads, articles, events, leaderboard };
+};
+
+/**
+ * Email every user who is due a digest of the given frequency. Users who turned
+ * email off, or with nothing new, get none; `force` also includes users who
+ * already got one this period.
+ */
+const sendDigests = async (frequency, { now = new Date(), force = false } = {}) => {
+  const period = DIGEST_PERIODS[frequency];
+  if (!period) throw new Error(`Unknown digest frequency '${frequency}'`);
+
+  const content = await collectDigestContent(new Date(now.getTime() - period), now);
+
+  // Accounts created before digests existed have no setting and get the default
+  const isDefault = User.schema.path('preferences.notifications.digest').defaultValue === frequency;
+  const filter = {
+    isActive: true,
+    'preferences.notifications.digest': isDefault ? { $in: [frequency, null] } : frequency,
+    'preferences.notifications.email': { $ne: false }
+  };
+  if (!force) {
+    filter.$or = [
+      { 'digest.lastSentAt': null },
+      { 'digest.lastSentAt': { $lte: new Date(now.getTime() - period + DUE_GRACE) } }
+    ];
+  }
+
+  const totals = { sent: 0, skipped: 0, failed: 0 };
+
+  const sendBatch = async (users) => {
+    const digests = users
+      .map((user) => ({ user, digest: buildDigest(user, content) }))
+      .filter(({ digest }) => digest);
+    totals.skipped += users.length - digests.length;
+    if (digests.length === 0) return;
+
+    const messages = digests.map(({ user, digest }) => ({
+      to: user.email,
+      ...emailTemplates.digest({
+        ...digest,
+        user,
+        frequency,
+        url: config.cors.origin,
+        unsubscribeUrl: `${config.cors.origin}/unsubscribe?token=${createUnsubscribeToken(user)}`
+      })
+    }));
+    const results = await sendBulkEmails(messages);
+
+    const updates = [];
+    results.forEach((result, index) => {
+      if (!result.success) {
+        totals.failed += 1;
+        logger.error(`Failed to send ${frequency} digest to ${result.recipient}: ${result.error}`);
+        return;
+      }
+      totals.sent += 1;
+      const { user, digest } = digests[index];
+      updates.push({
+        updateOne: {
+          filter: { _id: user._id },
+          update: {
+            $set: {
+              'digest.lastSentAt': now,
+              ...(digest.leaderboard ? { 'digest.lastRank': digest.leaderboard.rank } : {})
+            }
+          }
+        }
+      });
+    });
+    if (updates.length > 0) await User.bulkWrite(updates);
+  };
+
+  const cursor = User.find(filter).select('name email preferences.notifications digest').cursor();
+  let batch = [];
+  for await (const user of cursor) {
+    batch.push(user);
+    if (batch.length === BATCH_SIZE) {
+      await sendBatch(batch);
+      batch = [];
+    }
+  }
+  await sendBatch(batch);
+
+  return totals;
+};
+
+module.exports = {
+  DIGEST_PERIODS,
+  createUnsubscribeToken,
+  unsubscribeFromDigest,
+  collectDigestContent,
+  buildDigest,
+  sendDigests
+};
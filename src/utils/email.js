@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 const config = require('../config/config');
 const logger = require('./logger');
+const { escapeHtml } = require('./helpers');
 
 // Create transporter
 const createTransporter = () => {
@@ -38,7 +39,7 @@ const emailTemplates = {
     text: `Welcome to Xerago Community! Hi ${user.name}, Welcome to the Xerago Community platform! We're excited to have you join our community of professionals.`
   }),
 
-  emailVerification: (user, verificationUrl) => ({
+  emailVerification: ({ user, verificationUrl }) => ({
     subject: 'Verify Your Email Address',
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -63,7 +64,7 @@ const emailTemplates = {
     text: `Verify Your Email Address. Hi ${user.name}, Your OTP is ${user.emailVerificationCode}. Or verify here: ${verificationUrl}`
   }),
 
-  passwordReset: (user, resetUrl) => ({
+  passwordReset: ({ user, resetUrl }) => ({
     subject: 'Reset Your Password',
     html: `
       <!doctype html>
@@ -121,7 +122,27 @@ const emailTemplates = {
     text: `Password Changed Successfully. Hi ${user.name}, Your password has been successfully changed.`
   }),
 
-  eventReminder: (user, event) => ({
+  unusualSignIn: ({ user, locked, attempts, ip, device, lockedUntil }) => ({
+    subject: locked ? 'Your account has been temporarily locked' : 'Unusual sign-in to your account',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #EF4444;">${locked ? 'Account Temporarily Locked' : 'Unusual Sign-in Activity'}</h2>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        ${locked
+          ? `<p>We locked your account until ${escapeHtml(lockedUntil.toUTCString())} after ${escapeHtml(attempts)} failed sign-in attempts.</p>`
+          : `<p>Your account was signed in to after ${escapeHtml(attempts)} failed attempts.</p>`}
+        <ul>
+          <li>IP address: ${escapeHtml(ip || 'unknown')}</li>
+          <li>Device: ${escapeHtml(device || 'unknown')}</li>
+        </ul>
+        <p>If this wasn't you, reset your password and contact our support team immediately.</p>
+        <p>Best regards,<br>The Xerago Team</p>
+      </div>
+    `,
+    text: `${locked ? 'Account Temporarily Locked' : 'Unusual Sign-in Activity'}. Hi ${user.name}, ${attempts} failed sign-in attempts were made on your account from IP ${ip || 'unknown'} (${device || 'unknown device'}). If this wasn't you, reset your password and contact support.`
+  }),
+
+  eventReminder: ({ user, event }) => ({
     subject: `Reminder: ${event.title}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -142,25 +163,57 @@ const emailTemplates = {
     text: `Event Reminder. Hi ${user.name}, This is a reminder that you have an upcoming event: ${event.title} on ${new Date(event.startDate).toLocaleDateString()}.`
   }),
 
-  newForumReply: (user, post, reply) => ({
+  newForumReply: ({ user, post, reply, actor, url }) => ({
     subject: `New Reply to: ${post.title}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #3B82F6;">New Forum Reply</h2>
-        <p>Hi ${user.name},</p>
-        <p>Someone replied to a forum post you're following:</p>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        <p>Someone replied to your post in the forums:</p>
         <div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="margin-top: 0;">${post.title}</h3>
-          <p><strong>Reply by:</strong> ${reply.author.name}</p>
-          <p><strong>Reply:</strong> ${reply.content.substring(0, 200)}${reply.content.length > 200 ? '...' : ''}</p>
+          <h3 style="margin-top: 0;">${escapeHtml(post.title)}</h3>
+          <p><strong>Reply by:</strong> ${escapeHtml((actor || reply.author).name)}</p>
+          <p><strong>Reply:</strong> ${escapeHtml(reply.content.substring(0, 200))}${reply.content.length > 200 ? '...' : ''}</p>
         </div>
+        ${url ? `<p><a href="${escapeHtml(url)}" style="color: #3B82F6;">View the discussion</a></p>` : ''}
         <p>Best regards,<br>The Xerago Team</p>
       </div>
     `,
-    text: `New Forum Reply. Hi ${user.name}, Someone replied to a forum post you're following: ${post.title}.`
+    text: `New Forum Reply. Hi ${user.name}, Someone replied to your post in the forums: ${post.title}.${url ? ` View it at ${url}` : ''}`
   }),
 
-  achievementEarned: (user, achievement) => ({
+  mention: ({ user, actor, context, message, url }) => ({
+    subject: `${actor.name} mentioned you in ${context}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3B82F6;">You were mentioned</h2>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        <p>${escapeHtml(actor.name)} mentioned you in <strong>${escapeHtml(context)}</strong>:</p>
+        <div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0;">${escapeHtml(message)}</p>
+        </div>
+        <p><a href="${escapeHtml(url)}" style="color: #3B82F6;">View it on Xerago Community</a></p>
+        <p>Best regards,<br>The Xerago Team</p>
+      </div>
+    `,
+    text: `${actor.name} mentioned you in ${context}: ${message} View it at ${url}`
+  }),
+
+  notification: ({ user, title, message, url }) => ({
+    subject: title,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3B82F6;">${escapeHtml(title)}</h2>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        ${message ? `<p>${escapeHtml(message)}</p>` : ''}
+        <p><a href="${escapeHtml(url)}" style="color: #3B82F6;">View it on Xerago Community</a></p>
+        <p>Best regards,<br>The Xerago Team</p>
+      </div>
+    `,
+    text: `${title}. Hi ${user.name}, ${message ? `${message} ` : ''}View it at ${url}`
+  }),
+
+  achievementEarned: ({ user, achievement }) => ({
     subject: `Achievement Unlocked: ${achievement.name}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -177,7 +230,56 @@ const emailTemplates = {
       </div>
     `,
     text: `Achievement Unlocked: ${achievement.name}. Hi ${user.name}, Congratulations! You've earned a new achievement: ${achievement.name}.`
-  })
+  }),
+
+  // Sections are lists of { title, url, detail }; empty ones are left out
+  digest: ({ user, frequency, threads, articles, events, leaderboard, url, unsubscribeUrl }) => {
+    const period = frequency === 'daily' ? 'today' : 'this week';
+    const places = (count) => `${count} place${count === 1 ? '' : 's'}`;
+    let standing = '';
+    if (leaderboard) {
+      const { rank, previousRank, points, totalParticipants } = leaderboard;
+      const position = `#${rank} of ${totalParticipants} with ${points} points`;
+      if (!previousRank) standing = `You are ranked ${position}.`;
+      else if (previousRank > rank) standing = `You moved up ${places(previousRank - rank)} to ${position}.`;
+      else if (previousRank < rank) standing = `You dropped ${places(rank - previousRank)} to ${position}.`;
+      else standing = `You held your place at ${position}.`;
+    }
+    const sections = [
+      ['Top new discussions', threads],
+      ['Newly published articles', articles],
+      ['Upcoming events you haven\'t signed up for', events]
+    ].filter(([, items]) => items.length > 0);
+
+    return {
+      subject: `Your ${frequency} Xerago Community digest`,
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3B82F6;">What's new ${period}</h2>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        <p>Here is what you may have missed on Xerago Community ${period}.</p>
+        ${sections.map(([heading, items]) => `
+        <h3 style="color: #111827; margin-bottom: 8px;">${heading}</h3>
+        <ul style="padding-left: 20px;">
+          ${items.map((item) => `<li style="margin-bottom: 6px;"><a href="${escapeHtml(item.url)}" style="color: #3B82F6;">${escapeHtml(item.title)}</a>${item.detail ? ` <span style="color: #6B7280;">- ${escapeHtml(item.detail)}</span>` : ''}</li>`).join('')}
+        </ul>`).join('')}
+        ${standing ? `
+        <div style="background-color: #FEF3C7; padding: 16px; border-radius: 8px; margin: 20px 0; color: #92400E;">
+          <strong>Leaderboard:</strong> ${standing}
+        </div>` : ''}
+        <p><a href="${escapeHtml(url)}" style="color: #3B82F6;">Visit Xerago Community</a></p>
+        <p>Best regards,<br>The Xerago Team</p>
+        <p style="color: #9CA3AF; font-size: 12px;">You get this ${frequency} digest because of your notification settings. <a href="${escapeHtml(unsubscribeUrl)}" style="color: #9CA3AF;">Unsubscribe</a></p>
+      </div>
+    `,
+      text: [
+        `What's new ${period}. Hi ${user.name}, here is what you may have missed on Xerago Community ${period}.`,
+        ...sections.map(([heading, items]) => `${heading}:\n${items.map((item) => `- ${item.title}${item.detail ? ` (${item.detail})` : ''}: ${item.url}`).join('\n')}`),
+        ...(standing ? [`Leaderboard: ${standing}`] : []),
+        `Unsubscribe from this digest: ${unsubscribeUrl}`
+      ].join('\n\n')
+    };
+  }
 };
 
 // Send email function
@@ -246,6 +348,11 @@ const sendPasswordChangedEmail = async (user) => {
   return await sendTemplateEmail(user.email, 'passwordChanged', user);
 };
 
+// Send unusual sign-in / lockout alert
+const sendUnusualSignInEmail = async (user, details) => {
+  return await sendTemplateEmail(user.email, 'unusualSignIn', { user, ...details });
+};
+
 // Send event reminder
 const sendEventReminder = async (user, event) => {
   return await sendTemplateEmail(user.email, 'eventReminder', { user, event });
@@ -261,16 +368,23 @@ const sendAchievementNotification = async (user, achievement) => {
   return await sendTemplateEmail(user.email, 'achievementEarned', { user, achievement });
 };
 
-// Send bulk emails
+// Send bulk emails. A recipient is an address, which gets the shared content,
+// or a message of its own: { to, subject, html, text }
 const sendBulkEmails = async (recipients, subject, html, text) => {
   const results = [];
   
   for (const recipient of recipients) {
+    const message = typeof recipient === 'string' ? { to: recipient } : recipient;
     try {
-      const result = await sendEmail(recipient, subject, html, text);
-      results.push({ recipient, success: true, result });
+      const result = await sendEmail(
+        message.to,
+        message.subject || subject,
+        message.html || html,
+        message.text || text
+      );
+      results.push({ recipient: message.to, success: true, result });
     } catch (error) {
-      results.push({ recipient, success: false, error: error.message });
+      results.push({ recipient: message.to, success: false, error: error.message });
     }
   }
   
@@ -297,6 +411,7 @@ module.exports = {
   sendEmailVerification,
   sendPasswordResetEmail,
   sendPasswordChangedEmail,
+  sendUnusualSignInEmail,
   sendEventReminder,
   sendForumReplyNotification,
   sendAchievementNotification,
@@ -4,6 +4,7 @@ const Leaderboard = require('../models/Leaderboard');
 const config = require('../config/config');
 const Setting = require('../models/Setting');
 const logger = require('./logger');
+const { notifyUser } = require('./notifications');
 
 /**
  * Award points to user for specific action
@@ -15,12 +16,17 @@ const awardPoints = async (userId, action, metadata = {}) => {
       throw new Error('User not found');
     }
 
-    const dynamicPoints = await Setting.getValue('gamification.points', config.gamification.points);
+    // Saved settings may predate newer point types, which keep their configured value
+    const dynamicPoints = {
+      ...config.gamification.points,
+      ...(await Setting.getValue('gamification.points', {}))
+    };
     const map = {
       article_create: dynamicPoints.articleCreate,
       article_like: dynamicPoints.articleLike,
       forum_post: dynamicPoints.forumPost,
       forum_reply: dynamicPoints.forumReply,
+      forum_answer_accepted: dynamicPoints.forumAnswerAccepted,
       event_attend: dynamicPoints.eventAttend,
       event_create: dynamicPoints.eventCreate,
     };
@@ -75,6 +81,16 @@ const checkAndAwardAchievements = async (userId) => {
           achievementName: achievement.name,
           points: achievement.points
         });
+
+        notifyUser(userId, {
+          type: 'achievement_earned',
+          title: `Achievement unlocked: ${achievement.name}`,
+          message: achievement.description,
+          link: '/profile',
+          target: { model: 'Achievement', id: achievement._id },
+          email: { template: 'achievementEarned', data: { achievement } },
+          once: true
+        }).catch((error) => logger.error('Failed to notify achievement:', error));
       }
     }
 
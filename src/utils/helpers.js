@@ -9,6 +9,41 @@ const generateRandomString = (length = 32) => {
   return crypto.randomBytes(length).toString('hex');
 };
 
+/**
+ * Hash a token (refresh token, API key, etc.) for storage
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Describe a User-Agent header as a short "Browser on OS" label
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return truncateText(userAgent, 60);
+  return [browser?.[0], system?.[0]].filter(Boolean).join(' on ');
+};
+
 /**
  * Generate a random number between min and max (inclusive)
  */
@@ -107,6 +142,16 @@ const sanitizeHtml = (html) => {
     .replace(/on\w+\s*=/gi, '');
 };
 
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Truncate text to specified length
  */
@@ -396,6 +441,13 @@ const toTitleCase = (str) => {
   });
 };
 
+/**
+ * Escape a user-supplied string for use inside a RegExp
+ */
+const escapeRegex = (str) => {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 /**
  * Generate initials from name
  */
@@ -409,6 +461,8 @@ const generateInitials = (name) => {
 
 module.exports = {
   generateRandomString,
+  hashToken,
+  describeUserAgent,
   generateRandomNumber,
   generateSlug,
   capitalizeWords,
@@ -420,6 +474,7 @@ module.exports = {
   getWeekBounds,
   getMonthBounds,
   sanitizeHtml,
+  escapeHtml,
   truncateText,
   extractTextFromHtml,
   generatePaginationMeta,
@@ -446,5 +501,6 @@ module.exports = {
   generateUUID,
   isValidObjectId,
   toTitleCase,
+  escapeRegex,
   generateInitials
 };
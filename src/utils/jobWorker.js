@@ -0,0 +1,102 @@
+const os = require('os');
+const Job = require('../models/Job');
+const config = require('../config/config');
+const { nextRun } = require('./cron');
+const logger = require('./logger');
+
+// How often a worker makes sure the next run of every schedule is queued
+const SCHEDULE_SYNC_INTERVAL = 60 * 1000;
+
+/**
+ * Queue the next run of each schedule. Runs are keyed by schedule and time,
+ * so any number of workers can do this without queueing a run twice.
+ */
+const queueScheduledJobs = (schedules, now = new Date()) => Promise.all(schedules.map((schedule) => {
+  const runAt = nextRun(schedule.cron, now);
+  return Job.enqueue(schedule.job, schedule.data, {
+    runAt,
+    key: `${schedule.id}@${runAt.toISOString()}`,
+    schedule: schedule.id
+  });
+}));
+
+/**
+ * Run a claimed job with its handler and record the outcome
+ */
+const runJob = async (job, handlers) => {
+  // Keep the claim fresh so other workers don't take over a long job
+  const heartbeat = setInterval(() => {
+    job.touch().catch((error) => logger.error(`Failed to refresh job ${job._id}:`, error));
+  }, config.jobs.lockTimeoutMs / 3);
+
+  try {
+    // Claimed again after its worker stopped on its last attempt
+    if (job.attempts > job.maxAttempts) throw new Error('Worker stopped while running the job');
+
+    const result = await handlers[job.name](job.data || {}, job);
+    await job.complete(result);
+    logger.info(`Job ${job.name} (${job._id}) completed`);
+  } catch (error) {
+    logger.error(`Job ${job.name} (${job._id}) failed on attempt ${job.attempts} of ${job.maxAttempts}:`, error);
+    await job.fail(error);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Start processing jobs one at a time until stopped. Returns `stop()`, which
+ * resolves once the job in progress, if any, has finished.
+ */
+const startWorker = ({ handlers, schedules = [], workerId = `${os.hostname()}:${process.pid}` }) => {
+  const names = Object.keys(handlers);
+  let stopped = false;
+  let timer = null;
+  let pending = null;
+  let nextSync = 0;
+
+  const tick = async () => {
+    let ranJob = false;
+
+    try {
+      if (Date.now() >= nextSync) {
+        await queueScheduledJobs(schedules);
+        nextSync = Date.now() + SCHEDULE_SYNC_INTERVAL;
+      }
+
+      const job = await Job.claimNext(workerId, names);
+      if (job) {
+        ranJob = true;
+        await runJob(job, handlers);
+      }
+    } catch (error) {
+      logger.error('Job worker error:', error);
+    }
+
+    // Go straight on to the next job while there is work
+    if (!stopped) scheduleTick(ranJob ? 0 : config.jobs.pollInterval);
+  };
+
+  const scheduleTick = (delay) => {
+    timer = setTimeout(() => {
+      pending = tick();
+    }, delay);
+  };
+
+  logger.info(`Job worker ${workerId} started for: ${names.join(', ')}`);
+  scheduleTick(0);
+
+  return {
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      await pending;
+    }
+  };
+};
+
+module.exports = {
+  queueScheduledJobs,
+  runJob,
+  startWorker
+};
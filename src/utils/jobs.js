@@ -0,0 +1,83 @@
+const User = require('../models/User');
+const Leaderboard = require('../models/Leaderboard');
+const config = require('../config/config');
+const { sendWelcomeEmail, sendEmailVerification } = require('./email');
+const { purgeDueAccounts } = require('./accountData');
+const { sendDigests } = require('./digest');
+const { refreshAnalytics } = require('./analytics');
+const { cleanupOldFiles } = require('../middleware/upload');
+
+/**
+ * Background job handlers by name. Each gets the job's data; what it returns
+ * is kept on the job, and a throw schedules a retry. Handlers run in the
+ * worker process, which has no event streams, so they must not rely on
+ * real-time updates reaching anyone.
+ */
+const JOB_HANDLERS = {
+  // Sent after registration; by then the user may already be gone
+  'email.welcome': async ({ userId }) => {
+    const user = await User.findById(userId);
+    if (!user) return { skipped: 'User not found' };
+    await sendWelcomeEmail(user);
+  },
+
+  'email.verification': async ({ userId }) => {
+    const user = await User.findById(userId);
+    if (!user || user.isEmailVerified || !user.emailVerificationToken) {
+      return { skipped: 'Nothing to verify' };
+    }
+    const verificationUrl = `${config.cors.origin}/verify-email?token=${user.emailVerificationToken}`;
+    await sendEmailVerification(user, verificationUrl);
+  },
+
+  'skills.refresh': async ({ userId }) => {
+    await User.refreshInferredSkills(userId);
+  },
+
+  'accounts.purge': async () => ({ purged: await purgeDueAccounts() }),
+
+  'digest.send': ({ frequency }) => sendDigests(frequency),
+
+  // Regenerate every leaderboard that has been asked for, and the overall one
+  // digests report movement on
+  'leaderboards.refresh': async () => {
+    const boards = await Leaderboard.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: { type: '$type', period: '$period' } } }
+    ]);
+    const pairs = new Set(['overall:all_time', ...boards.map(({ _id }) => `${_id.type}:${_id.period}`)]);
+
+    for (const pair of pairs) {
+      const [type, period] = pair.split(':');
+      await Leaderboard.generateLeaderboard(type, period);
+    }
+    return { refreshed: [...pairs] };
+  },
+
+  'analytics.refresh': () => refreshAnalytics(),
+
+  'uploads.cleanup': async ({ daysOld = config.upload.retentionDays }) => {
+    cleanupOldFiles(daysOld);
+  }
+};
+
+/**
+ * Recurring jobs, as cron expressions in the server's time zone
+ */
+const JOB_SCHEDULES = [
+  { id: 'accounts.purge', job: 'accounts.purge', cron: '0 3 * * *' },
+  { id: 'digest.daily', job: 'digest.send', data: { frequency: 'daily' }, cron: '0 7 * * *' },
+  { id: 'digest.weekly', job: 'digest.send', data: { frequency: 'weekly' }, cron: '0 7 * * 1' },
+  { id: 'leaderboards.refresh', job: 'leaderboards.refresh', cron: '0 * * * *' },
+  { id: 'analytics.refresh', job: 'analytics.refresh', cron: '*/15 * * * *' },
+  // Removes every upload past the retention, in use or not, so only runs
+  // when a retention is configured
+  ...(config.upload.retentionDays
+    ? [{ id: 'uploads.cleanup', job: 'uploads.cleanup', cron: '30 3 * * *' }]
+    : [])
+];
+
+module.exports = {
+  JOB_HANDLERS,
+  JOB_SCHEDULES
+};
@@ -0,0 +1,131 @@
+const User = require('../models/User');
+const { notifyUsers } = require('./notifications');
+const { escapeRegex, truncateText, extractTextFromHtml } = require('./helpers');
+
+// Most mentions resolved from one piece of content
+const MAX_MENTIONS = 20;
+
+// `@handle` not preceded by a word character, so email addresses are skipped
+const MENTION_PATTERN = /(^|[^\w@.])@([a-z0-9][a-z0-9._-]{0,63})/gi;
+
+/**
+ * Unique lowercased handles mentioned in a text
+ */
+const extractMentionHandles = (text) => {
+  const handles = new Set();
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    // Sentence punctuation right after a mention is not part of it
+    handles.add(match[2].replace(/[._-]+$/, '').toLowerCase());
+    if (handles.size >= MAX_MENTIONS) break;
+  }
+  return [...handles].filter(Boolean);
+};
+
+/**
+ * Name pattern for a handle: `@jane.doe`, `@jane_doe` and `@jane-doe` all
+ * match "Jane Doe"
+ */
+const namePattern = (handle) => new RegExp(`^${handle.split(/[._-]+/).map(escapeRegex).join('[\\s._-]*')}$`, 'i');
+
+/**
+ * Resolve the mentions in a text to active user ids. A handle matches the
+ * part of an email address before the @, or else a name when exactly one
+ * member has it.
+ */
+const resolveMentions = async (text, { exclude = [] } = {}) => {
+  const handles = extractMentionHandles(text);
+  if (handles.length === 0) return [];
+
+  const candidates = await User.find({
+    isActive: true,
+    $or: handles.flatMap((handle) => [
+      { email: new RegExp(`^${escapeRegex(handle)}@`, 'i') },
+      { name: namePattern(handle) }
+    ])
+  }).select('name email');
+
+  const excluded = exclude.filter(Boolean).map(String);
+  const ids = new Set();
+  handles.forEach((handle) => {
+    const byEmail = candidates.filter((user) => user.email.split('@')[0].toLowerCase() === handle);
+    const byName = candidates.filter((user) => namePattern(handle).test(user.name));
+    const matches = byEmail.length > 0 ? byEmail : byName;
+    if (matches.length === 1) ids.add(matches[0]._id.toString());
+  });
+
+  return [...ids].filter((id) => !excluded.includes(id));
+};
+
+/**
+ * Notify mentioned users in-app, and by email when they allow it. Users
+ * already notified about the same content are skipped, so this can run
+ * again after edits or approval.
+ */
+const notifyMentions = async ({ mentions, actor, target, title, link, content }) => {
+  if (!mentions || mentions.length === 0) return;
+
+  const excerpt = truncateText(extractTextFromHtml(String(content || '')), 200);
+  await notifyUsers(mentions, {
+    type: 'mention',
+    actor,
+    title: `${actor.name} mentioned you in ${title}`,
+    message: excerpt,
+    link,
+    target,
+    email: { template: 'mention', data: { context: title } },
+    once: true
+  });
+};
+
+// Quote a post or article title, shortened so the notification title fits
+const quoteTitle = (title) => `"${truncateText(title, 100)}"`;
+
+// Notify the users mentioned in a forum post
+const notifyPostMentions = (post, actor) => notifyMentions({
+  mentions: post.mentions,
+  actor,
+  target: { model: 'Forum', id: post._id },
+  title: quoteTitle(post.title),
+  link: `/forums/posts/${post._id}`,
+  content: post.content
+});
+
+// Notify the users mentioned in a forum reply
+const notifyReplyMentions = (reply, post, actor) => notifyMentions({
+  mentions: reply.mentions,
+  actor,
+  target: { model: 'ForumReply', id: reply._id },
+  title: `a reply to ${quoteTitle(post.title)}`,
+  link: `/forums/posts/${post._id}`,
+  content: reply.content
+});
+
+// Notify the users mentioned in an article
+const notifyArticleMentions = (article, actor) => notifyMentions({
+  mentions: article.mentions,
+  actor,
+  target: { model: 'Article', id: article._id },
+  title: `the article ${quoteTitle(article.title)}`,
+  link: `/articles/${article._id}`,
+  content: article.content
+});
+
+// Notify the users mentioned in an article comment
+const notifyCommentMentions = (comment, article, actor) => notifyMentions({
+  mentions: comment.mentions,
+  actor,
+  target: { model: 'ArticleComment', id: comment._id },
+  title: `a comment on ${quoteTitle(article.title)}`,
+  link: `/articles/${article._id}`,
+  content: comment.content
+});
+
+module.exports = {
+  extractMentionHandles,
+  resolveMentions,
+  notifyMentions,
+  notifyPostMentions,
+  notifyReplyMentions,
+  notifyArticleMentions,
+  notifyCommentMentions
+};
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const database = require('../config/database');
+const Forum = require('../models/Forum');
+const ForumReply = require('../models/ForumReply');
+
+/**
+ * Move replies embedded in forum posts into the ForumReply collection.
+ * Reply ids and timestamps are kept, so links and parent references still
+ * work. Safe to run more than once: replies that were already copied are
+ * left as they are.
+ */
+const migrateForumReplies = async () => {
+  const posts = Forum.collection.find({ replies: { $exists: true } }, { projection: { replies: 1 } });
+  let migratedPosts = 0;
+  let migratedReplies = 0;
+
+  for await (const post of posts) {
+    const replies = post.replies || [];
+
+    if (replies.length > 0) {
+      const result = await ForumReply.collection.bulkWrite(replies.map(({ _id, ...reply }) => ({
+        updateOne: {
+          filter: { _id },
+          update: {
+            $setOnInsert: {
+              ...reply,
+              post: post._id,
+              parent: reply.parent || null,
+              depth: reply.depth || 0,
+              likes: reply.likes || [],
+              revisions: reply.revisions || [],
+              isDeleted: reply.isDeleted || false,
+              isSolution: reply.isSolution || false
+            }
+          },
+          upsert: true
+        }
+      })));
+      migratedReplies += result.upsertedCount;
+    }
+
+    const [replyCount, accepted] = await Promise.all([
+      ForumReply.countDocuments({ post: post._id }),
+      ForumReply.findOne({ post: post._id, isSolution: true }).select('_id')
+    ]);
+
+    await Forum.collection.updateOne(
+      { _id: post._id },
+      { $set: { replyCount, acceptedReply: accepted ? accepted._id : null }, $unset: { replies: '' } }
+    );
+    migratedPosts += 1;
+  }
+
+  return { posts: migratedPosts, replies: migratedReplies };
+};
+
+// Run once after deploying the ForumReply collection: `npm run migrate:forum-replies`
+async function run() {
+  await database.connect();
+
+  const { posts, replies } = await migrateForumReplies();
+
+  await mongoose.connection.close();
+  // eslint-disable-next-line no-console
+  console.log(`Moved ${replies} reply(ies) from ${posts} post(s).`);
+}
+
+if (require.main === module) {
+  run().catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateForumReplies
+};
@@ -0,0 +1,71 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const config = require('../config/config');
+const { sendTemplateEmail } = require('./email');
+const { topics, publish } = require('./realtime');
+const { truncateText } = require('./helpers');
+const logger = require('./logger');
+
+/**
+ * Whether a user wants notifications of a type emailed: email must be on,
+ * and so must the toggle for the type
+ */
+const wantsEmail = (user, type) => {
+  const preferences = user.preferences?.notifications || {};
+  return preferences.email !== false && preferences[Notification.NOTIFICATION_TYPES[type]] !== false;
+};
+
+/**
+ * Notify users in-app and, when their preferences allow it, by email.
+ * The actor is never notified about their own action, and inactive users are
+ * skipped. With `once`, users already notified of this type by the same actor
+ * about the same target are skipped too. Titles and messages quoting long
+ * content are cut to fit.
+ *
+ * `email` names the template to send (default `notification`) and extra data
+ * for it; every template also gets `user`, `title`, `message` and `url`.
+ */
+const notifyUsers = async (userIds, { type, actor, title, message, link, target = {}, email = {}, once = false }) => {
+  const actorId = actor?._id?.toString();
+  const ids = [...new Set((userIds || []).filter(Boolean).map(String))].filter((id) => id !== actorId);
+  if (ids.length === 0) return 0;
+
+  const users = await User.find({ _id: { $in: ids }, isActive: true })
+    .select('name email preferences.notifications');
+  // Leave room for the ellipsis truncateText adds
+  title = truncateText(title, Notification.TITLE_MAX_LENGTH - 3);
+  if (message) message = truncateText(message, Notification.MESSAGE_MAX_LENGTH - 3);
+
+  let created = 0;
+  for (const user of users) {
+    const fields = { user: user._id, type, actor: actor?._id, title, message, link, target };
+    const notification = once ? await Notification.notifyOnce(fields) : await Notification.create(fields);
+    if (!notification) continue;
+    created += 1;
+
+    publish(topics.notifications(user._id), 'notification', async () => {
+      await notification.populate('actor', 'name avatar');
+      return { notification: notification.toSummary(), unreadCount: await Notification.countUnread(user._id) };
+    });
+
+    if (wantsEmail(user, type)) {
+      const { template = 'notification', data = {} } = email;
+      const url = `${config.cors.origin}${link || ''}`;
+      sendTemplateEmail(user.email, template, { ...data, user, actor, title, message, url })
+        .catch((error) => logger.error(`Failed to send ${type} email:`, error));
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Notify a single user; see notifyUsers
+ */
+const notifyUser = (userId, notification) => notifyUsers([userId], notification);
+
+module.exports = {
+  notifyUsers,
+  notifyUser,
+  wantsEmail
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256', 'PS384', 'PS512'];
+
+// Discovery documents and signing keys, cached per issuer
+let discoveryCache = {};
+let jwksCache = {};
+
+/**
+ * Base64url-encode a buffer (RFC 7636)
+ */
+const base64Url = (buffer) => {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Fetch JSON, throwing on non-2xx responses
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...(options.headers || {}) }
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed (${response.status}): ${reason}`);
+  }
+
+  return body;
+};
+
+/**
+ * Check whether single sign-on is configured
+ */
+const isEnabled = () => {
+  return !!(config.oidc.enabled && config.oidc.issuer && config.oidc.clientId);
+};
+
+/**
+ * Load the provider's discovery document
+ */
+const discover = async () => {
+  const issuer = config.oidc.issuer.replace(/\/$/, '');
+  if (!discoveryCache[issuer]) {
+    discoveryCache[issuer] = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  }
+  return discoveryCache[issuer];
+};
+
+/**
+ * Find the provider's public key for a key id, refreshing the JWKS once on a miss
+ */
+const getSigningKey = async (kid) => {
+  const { jwks_uri: jwksUri } = await discover();
+
+  const findKey = () => (jwksCache[jwksUri] || []).find((key) => !kid || key.kid === kid);
+
+  if (!findKey()) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache[jwksUri] = keys;
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error(`No signing key found for kid ${kid}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Create state, nonce and PKCE verifier plus the authorization URL to send the user to
+ */
+const createAuthorizationRequest = async () => {
+  const discovery = await discover();
+
+  const state = base64Url(crypto.randomBytes(32));
+  const nonce = base64Url(crypto.randomBytes(32));
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.oidc.clientId,
+    redirect_uri: config.oidc.redirectUri,
+    scope: config.oidc.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    url: `${discovery.authorization_endpoint}?${params.toString()}`,
+    state,
+    nonce,
+    codeVerifier
+  };
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const discovery = await discover();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: discovery.issuer,
+    audience: config.oidc.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+/**
+ * Exchange an authorization code for tokens and return the verified identity claims
+ */
+const exchangeCode = async ({ code, codeVerifier, nonce }) => {
+  const discovery = await discover();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.oidc.redirectUri,
+    client_id: config.oidc.clientId,
+    code_verifier: codeVerifier
+  });
+  if (config.oidc.clientSecret) {
+    body.set('client_secret', config.oidc.clientSecret);
+  }
+
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: body.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('Token response did not include an ID token');
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, nonce);
+
+  // Groups are often only released through the userinfo endpoint
+  if (discovery.userinfo_endpoint && tokens.access_token) {
+    const userInfo = await fetchJson(discovery.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userInfo.sub === claims.sub) {
+      return { ...userInfo, ...claims };
+    }
+  }
+
+  return claims;
+};
+
+/**
+ * Map identity claims to the User fields we provision. `roles` lists the roles
+ * the user's groups are mapped to in config; the caller picks one of those that
+ * exist. Department is only returned when one of the groups is mapped.
+ */
+const mapClaimsToProfile = (claims) => {
+  const groups = [].concat(claims[config.oidc.groupsClaim] || []);
+
+  const roles = [...new Set(groups.map((group) => config.oidc.roleGroups[group]).filter(Boolean))];
+  const department = groups.map((group) => config.oidc.departmentGroups[group]).find(Boolean);
+
+  return {
+    subject: claims.sub,
+    issuer: claims.iss,
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    // Only an explicit claim counts; providers that omit it have not verified the address
+    emailVerified: claims.email_verified === true,
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || claims.preferred_username,
+    roles,
+    department
+  };
+};
+
+/**
+ * Clear cached discovery documents and keys
+ */
+const clearCache = () => {
+  discoveryCache = {};
+  jwksCache = {};
+};
+
+module.exports = {
+  isEnabled,
+  discover,
+  createAuthorizationRequest,
+  verifyIdToken,
+  exchangeCode,
+  mapClaimsToProfile,
+  clearCache
+};
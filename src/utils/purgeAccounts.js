@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const database = require('../config/database');
+const { purgeDueAccounts } = require('./accountData');
+
+// Hard-delete accounts whose deletion grace period has ended. The job worker
+// does this daily; run it by hand with `npm run purge:accounts`.
+async function run() {
+  await database.connect();
+
+  const purged = await purgeDueAccounts();
+
+  await mongoose.connection.close();
+  // eslint-disable-next-line no-console
+  console.log(`Purged ${purged} account(s).`);
+}
+
+if (require.main === module) {
+  run().catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error(err);
+    process.exit(1);
+  });
+}
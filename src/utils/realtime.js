@@ -0,0 +1,77 @@
+const logger = require('./logger');
+
+// Listeners per topic. Streams only reach clients connected to this process.
+const listeners = new Map();
+
+// Open stream responses, so shutdown can end them
+const streams = new Set();
+
+/**
+ * Topic names, so publishers and the stream route agree on them
+ */
+const topics = {
+  post: (postId) => `post:${postId}`,
+  event: (eventId) => `event:${eventId}`,
+  notifications: (userId) => `notifications:${userId}`,
+  moderation: () => 'moderation'
+};
+
+/**
+ * Listen to a topic; returns a function that stops listening
+ */
+const subscribe = (topic, listener) => {
+  if (!listeners.has(topic)) listeners.set(topic, new Set());
+  listeners.get(topic).add(listener);
+
+  return () => {
+    const topicListeners = listeners.get(topic);
+    if (!topicListeners) return;
+    topicListeners.delete(listener);
+    if (topicListeners.size === 0) listeners.delete(topic);
+  };
+};
+
+/**
+ * Send an event to everyone listening to a topic. `data` may be a function
+ * returning the payload (or a promise of it); it is only called when someone
+ * listens. Publishing never fails the request that triggered it.
+ */
+const publish = (topic, event, data) => {
+  const topicListeners = listeners.get(topic);
+  if (!topicListeners) return;
+
+  const log = (error) => logger.error(`Failed to publish ${event} to ${topic}:`, error);
+  Promise.resolve()
+    .then(() => (typeof data === 'function' ? data() : data))
+    .then((payload) => {
+      [...topicListeners].forEach((listener) => {
+        Promise.resolve().then(() => listener(event, payload)).catch(log);
+      });
+    })
+    .catch(log);
+};
+
+/**
+ * Keep track of an open stream response until it finishes
+ */
+const trackStream = (res) => {
+  streams.add(res);
+  res.on('close', () => streams.delete(res));
+};
+
+/**
+ * End every open stream. Clients reconnect, to another instance if this one
+ * is going away.
+ */
+const closeAllStreams = () => {
+  streams.forEach((res) => res.end());
+  streams.clear();
+};
+
+module.exports = {
+  topics,
+  subscribe,
+  publish,
+  trackStream,
+  closeAllStreams
+};
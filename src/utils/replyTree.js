@@ -0,0 +1,69 @@
+const { generatePaginationMeta } = require('./helpers');
+
+const ROOT = 'root';
+
+/**
+ * Index replies by parent id, oldest first within each parent
+ */
+const groupByParent = (replies) => {
+  const byParent = new Map();
+  replies.forEach((reply) => {
+    const key = reply.parent ? reply.parent.toString() : ROOT;
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(reply);
+  });
+  byParent.forEach((children) => children.sort((a, b) => a.createdAt - b.createdAt));
+  return byParent;
+};
+
+/**
+ * Count every reply below a reply
+ */
+const countDescendants = (byParent, id) => {
+  const children = byParent.get(id) || [];
+  return children.reduce((total, child) => total + 1 + countDescendants(byParent, child._id.toString()), 0);
+};
+
+/**
+ * Build one node with up to `childLimit` children per level, `expandDepth`
+ * levels deep. Deeper levels are collapsed: only their counts are returned
+ * and the client loads them with the children endpoint.
+ */
+const buildNode = (byParent, reply, options, level) => {
+  const id = reply._id.toString();
+  const children = byParent.get(id) || [];
+  const expanded = level < options.expandDepth;
+  const shown = expanded ? children.slice(0, options.childLimit) : [];
+
+  return {
+    ...options.mapReply(reply),
+    replyCount: children.length,
+    descendantCount: countDescendants(byParent, id),
+    collapsed: !expanded && children.length > 0,
+    hasMoreChildren: children.length > shown.length,
+    children: shown.map((child) => buildNode(byParent, child, options, level + 1))
+  };
+};
+
+/**
+ * Build a page of a reply thread. Without `parentId` the page holds the
+ * top-level replies; with it, the children of that reply ("load more").
+ * Returns null when the parent reply does not exist.
+ */
+const buildReplyTree = (replies, { parentId = null, page = 1, limit = 20, childLimit = 3, expandDepth = 2, mapReply }) => {
+  const byParent = groupByParent(replies);
+  if (parentId && !replies.some((reply) => reply._id.toString() === parentId)) return null;
+
+  const siblings = byParent.get(parentId || ROOT) || [];
+  const pageItems = siblings.slice((page - 1) * limit, page * limit);
+  const options = { childLimit, expandDepth, mapReply };
+
+  return {
+    replies: pageItems.map((reply) => buildNode(byParent, reply, options, 1)),
+    pagination: generatePaginationMeta(page, limit, siblings.length)
+  };
+};
+
+module.exports = {
+  buildReplyTree
+};
@@ -3,6 +3,7 @@ const path = require('path');
 const database = require('../config/database');
 const config = require('../config/config');
 const User = require('../models/User');
+const Role = require('../models/Role');
 const DropdownOption = require('../models/DropdownOption');
 
 async function upsertUser({ name, email, department, avatar, role }) {
@@ -33,6 +34,9 @@ async function run() {
 
   // Remove mock data seeding; dynamic creation happens via API endpoints.
 
+  // Built-in roles and their default permissions
+  await Role.ensureDefaults();
+
   // Ensure predefined admin exists
   const adminEmail = config.admin.email;
   let admin = await User.findOne({ email: adminEmail });
@@ -60,11 +64,11 @@ async function run() {
       password: config.admin.password,
       department: 'Administration',
       avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=superadmin`,
-      role: 'admin',
+      role: 'super_admin',
       isEmailVerified: true,
     });
-  } else if (superAdmin.role !== 'admin') {
-    superAdmin.role = 'admin';
+  } else if (superAdmin.role !== 'super_admin') {
+    superAdmin.role = 'super_admin';
     await superAdmin.save();
   }
 
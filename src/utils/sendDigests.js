@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const database = require('../config/database');
+const { DIGEST_PERIODS, sendDigests } = require('./digest');
+
+// Email users their daily or weekly digest. The job worker sends both on
+// schedule; run it by hand with `npm run digest:send -- daily|weekly`.
+// `--force` also mails users who already got this period's digest.
+async function run() {
+  const args = process.argv.slice(2);
+  const frequency = args.find((arg) => !arg.startsWith('--'));
+  if (!DIGEST_PERIODS[frequency]) {
+    throw new Error(`Usage: npm run digest:send -- <${Object.keys(DIGEST_PERIODS).join('|')}> [--force]`);
+  }
+
+  await database.connect();
+
+  const { sent, skipped, failed } = await sendDigests(frequency, { force: args.includes('--force') });
+
+  await mongoose.connection.close();
+  // eslint-disable-next-line no-console
+  console.log(`Sent ${sent} ${frequency} digest(s); ${skipped} user(s) had nothing new, ${failed} failed.`);
+}
+
+if (require.main === module) {
+  run().catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (padding and spaces ignored)
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 TOTP secret (160 bits by default)
+ */
+const generateSecret = (byteLength = 20) => {
+  return base32Encode(crypto.randomBytes(byteLength));
+};
+
+/**
+ * Get the time step counter for a timestamp (ms)
+ */
+const getTimeStep = (time = Date.now(), step = 30) => {
+  return Math.floor(time / 1000 / step);
+};
+
+/**
+ * Generate an HOTP code (RFC 4226) for a counter
+ */
+const generateHotp = (secret, counter, digits = 6) => {
+  const key = base32Decode(secret);
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | ((hmac[offset + 1] & 0xff) << 16)
+    | ((hmac[offset + 2] & 0xff) << 8)
+    | (hmac[offset + 3] & 0xff);
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Generate a TOTP code (RFC 6238) for a timestamp (ms)
+ */
+const generateToken = (secret, { time = Date.now(), step = 30, digits = 6 } = {}) => {
+  return generateHotp(secret, getTimeStep(time, step), digits);
+};
+
+/**
+ * Verify a TOTP code, allowing `window` steps of clock drift either way.
+ * Returns the matched time step, or null when the code is invalid.
+ */
+const verifyToken = (secret, token, { time = Date.now(), step = 30, digits = 6, window = 1 } = {}) => {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(code) || code.length !== digits) return null;
+
+  const current = getTimeStep(time, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHotp(secret, current + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// provisioning URI rendered as a QR code by authenticator apps
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer, digits = 6, step = 30 }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(step)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+/**
+ * Normalize a recovery code typed by a user before hashing
+ */
+const normalizeRecoveryCode = (code) => {
+  return String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHotp,
+  generateToken,
+  verifyToken,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const ApiKey = require('../src/models/ApiKey');
+const database = require('../src/config/database');
+
+describe('Personal API keys', () => {
+  let token;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), Session.deleteMany({}), ApiKey.deleteMany({})]);
+
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Release Bot Owner', email: 'owner@example.com', password: 'password123' });
+    token = registered.body.data.token;
+  });
+
+  const createKey = (body) => request(app)
+    .post('/api/auth/api-keys')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'Release notes', scopes: ['read:feed', 'read:leaderboard'], ...body });
+
+  it('should return the key once and store only its hash', async () => {
+    const response = await createKey().expect(201);
+    const { key, apiKey } = response.body.data;
+
+    expect(key.startsWith(apiKey.prefix)).toBe(true);
+
+    const stored = await ApiKey.findById(apiKey.id).select('+keyHash');
+    expect(stored.keyHash).not.toBe(key);
+
+    const list = await request(app)
+      .get('/api/auth/api-keys')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(JSON.stringify(list.body)).not.toContain(key);
+    expect(list.body.data.apiKeys).toHaveLength(1);
+  });
+
+  it('should authenticate as the owner within the key scopes', async () => {
+    const { key } = (await createKey()).body.data;
+
+    await request(app)
+      .get('/api/leaderboard/position')
+      .set('Authorization', `ApiKey ${key}`)
+      .expect(200);
+
+    const denied = await request(app)
+      .post('/api/forums/posts')
+      .set('X-API-Key', key)
+      .send({ title: 'Release 1.2.0', content: 'Release notes for this version', category: 'general' })
+      .expect(403);
+    expect(denied.body.code).toBe('API_KEY_SCOPE');
+
+    const used = await ApiKey.findOne({});
+    expect(used.usageCount).toBeGreaterThanOrEqual(1);
+    expect(used.lastUsedAt).toBeDefined();
+  });
+
+  it('should not be accepted on account routes', async () => {
+    const { key } = (await createKey()).body.data;
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('X-API-Key', key)
+      .expect(403);
+  });
+
+  it('should not export or delete the account', async () => {
+    const { key } = (await createKey({ scopes: ['read:profile'] })).body.data;
+
+    // Express matches routes case-insensitively and with a trailing slash
+    for (const path of ['/api/users/me/export', '/api/users/ME/export', '/api/users/me/Export/']) {
+      const exported = await request(app)
+        .get(path)
+        .set('X-API-Key', key)
+        .expect(403);
+      expect(exported.body.message).toBe('API keys cannot be used for this endpoint.');
+    }
+
+    for (const path of ['/api/users/me', '/api/users/ME', '/api/users/me/']) {
+      await request(app)
+        .delete(path)
+        .set('X-API-Key', key)
+        .send({ confirm: 'DELETE', password: 'password123' })
+        .expect(403);
+    }
+
+    const owner = await User.findOne({ email: 'owner@example.com' });
+    expect(owner.isActive).toBe(true);
+  });
+
+  it('should stop working once revoked or expired', async () => {
+    const { key, apiKey } = (await createKey()).body.data;
+
+    await request(app)
+      .delete(`/api/auth/api-keys/${apiKey.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/leaderboard/position')
+      .set('X-API-Key', key)
+      .expect(401);
+
+    const expired = (await createKey()).body.data;
+    await ApiKey.updateOne({ _id: expired.apiKey.id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    await request(app)
+      .get('/api/leaderboard/position')
+      .set('X-API-Key', expired.key)
+      .expect(401);
+  });
+
+  it('should reject unknown scopes', async () => {
+    await createKey({ scopes: ['admin:everything'] }).expect(400);
+  });
+});
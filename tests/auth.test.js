@@ -1,7 +1,12 @@
 const request = require('supertest');
 const app = require('../src/app');
 const User = require('../src/models/User');
+const Session = require('../src/models/Session');
 const database = require('../src/config/database');
+const totp = require('../src/utils/totp');
+const config = require('../src/config/config');
+const { emailTemplates } = require('../src/utils/email');
+const { describeUserAgent } = require('../src/utils/helpers');
 
 describe('Authentication', () => {
   beforeAll(async () => {
@@ -14,6 +19,7 @@ describe('Authentication', () => {
 
   beforeEach(async () => {
     await User.deleteMany({});
+    await Session.deleteMany({});
   });
 
   describe('POST /api/auth/register', () => {
@@ -138,4 +144,260 @@ describe('Authentication', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Test User', email: 'test@example.com', password: 'password123' });
+
+      refreshToken = response.body.data.refreshToken;
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      // The token issued by the legitimate rotation is now dead too
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.body.data.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the session', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Test User', email: 'test@example.com', password: 'password123' });
+      const { token, refreshToken } = registered.body.data;
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('Active sessions', () => {
+    let token;
+    let otherToken;
+
+    beforeEach(async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Test User', email: 'test@example.com', password: 'password123' });
+      token = registered.body.data.token;
+
+      await User.updateOne({ email: 'test@example.com' }, { isEmailVerified: true });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1')
+        .send({ email: 'test@example.com', password: 'password123' });
+      otherToken = login.body.data.token;
+    });
+
+    it('should list active sessions and flag the current one', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.sessions).toHaveLength(2);
+      expect(response.body.data.sessions.filter((s) => s.current)).toHaveLength(1);
+      expect(response.body.data.sessions.map((s) => s.device)).toContain('Safari on iOS');
+    });
+
+    it('should sign out everywhere else', async () => {
+      await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Account lockout', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Test User', email: 'test@example.com', password: 'password123' });
+      await User.updateOne({ email: 'test@example.com' }, { isEmailVerified: true });
+    });
+
+    it('should delay further attempts after the free attempts are used', async () => {
+      const { freeAttempts } = config.accountLockout;
+      for (let i = 0; i < freeAttempts; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'test@example.com', password: 'wrongpassword' })
+          .expect(401);
+      }
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'wrongpassword' })
+        .expect(401);
+
+      // Even the right password is refused until the delay has passed
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(429);
+
+      expect(response.body.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('should lock the account until the lockout is lifted', async () => {
+      const user = await User.findByEmail('test@example.com');
+      await User.updateOne(
+        { _id: user._id },
+        { 'loginSecurity.failedAttempts': config.accountLockout.maxAttempts - 1 }
+      );
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'wrongpassword' })
+        .expect(423);
+
+      const locked = await User.findById(user._id);
+      expect(locked.isLocked).toBe(true);
+      expect(locked.loginSecurity.failedAttempts).toBe(0);
+
+      await locked.resetLoginAttempts();
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+    });
+
+    it('should escape the device and address in lockout emails', () => {
+      const device = describeUserAgent('<a href="http://evil.example">Reset here</a>');
+      const { html } = emailTemplates.unusualSignIn({
+        user: { name: 'Test User' },
+        locked: true,
+        attempts: 5,
+        ip: '<b>10.0.0.1</b>',
+        device,
+        lockedUntil: new Date()
+      });
+
+      expect(html).not.toContain('<a href="http://evil.example">');
+      expect(html).toContain('&lt;a href=&quot;http://evil.example&quot;&gt;');
+      expect(html).toContain('IP address: &lt;b&gt;10.0.0.1&lt;/b&gt;');
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    let token;
+    let secret;
+
+    beforeEach(async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Test User', email: 'test@example.com', password: 'password123' });
+      token = registered.body.data.token;
+      await User.updateOne({ email: 'test@example.com' }, { isEmailVerified: true });
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      secret = setup.body.data.secret;
+      expect(setup.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: totp.generateToken(secret) })
+        .expect(200);
+      expect(enabled.body.data.recoveryCodes).toHaveLength(10);
+    });
+
+    it('should require a second step at login', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      expect(login.body.data.twoFactorRequired).toBe(true);
+      expect(login.body.data.token).toBeUndefined();
+
+      // The enrollment code was already used, so take the next time step
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: login.body.data.challengeToken, code: totp.generateToken(secret, { time: Date.now() + 30 * 1000 }) })
+        .expect(200);
+
+      expect(response.body.data.token).toBeDefined();
+    });
+
+    it('should reject a replayed code', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: login.body.data.challengeToken, code: totp.generateToken(secret) })
+        .expect(401);
+    });
+
+    it('should not accept the challenge token as an access token', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.data.challengeToken}`)
+        .expect(401);
+    });
+  });
 });
@@ -0,0 +1,52 @@
+const { parseCron, nextRun } = require('../src/utils/cron');
+
+describe('Cron expressions', () => {
+  describe('parseCron', () => {
+    it('should expand ranges, lists and steps', () => {
+      const cron = parseCron('*/15 9-11 1,15 * 1-5');
+      expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+      expect([...cron.hours]).toEqual([9, 10, 11]);
+      expect([...cron.days]).toEqual([1, 15]);
+      expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should treat 7 as Sunday', () => {
+      expect(parseCron('0 0 * * 7').weekdays.has(0)).toBe(true);
+    });
+
+    it('should reject invalid expressions', () => {
+      expect(() => parseCron('* * * *')).toThrow('must have 5 fields');
+      expect(() => parseCron('60 * * * *')).toThrow("Invalid cron minute '60'");
+      expect(() => parseCron('* * * * mon')).toThrow("Invalid cron day of week 'mon'");
+    });
+  });
+
+  describe('nextRun', () => {
+    // Monday 19 October 2026, 07:30 local time
+    const monday = new Date(2026, 9, 19, 7, 30, 20);
+
+    it('should find the next matching minute', () => {
+      expect(nextRun('0 * * * *', monday)).toEqual(new Date(2026, 9, 19, 8, 0));
+      expect(nextRun('*/5 * * * *', monday)).toEqual(new Date(2026, 9, 19, 7, 35));
+    });
+
+    it('should never return the time it started from', () => {
+      expect(nextRun('30 7 * * *', monday)).toEqual(new Date(2026, 9, 20, 7, 30));
+    });
+
+    it('should roll over to the next week, month and year', () => {
+      expect(nextRun('0 7 * * 1', monday)).toEqual(new Date(2026, 9, 26, 7, 0));
+      expect(nextRun('0 0 1 * *', monday)).toEqual(new Date(2026, 10, 1, 0, 0));
+      expect(nextRun('0 0 1 1 *', monday)).toEqual(new Date(2027, 0, 1, 0, 0));
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // The 25th, or any Friday
+      expect(nextRun('0 12 25 * 5', monday)).toEqual(new Date(2026, 9, 23, 12, 0));
+    });
+
+    it('should give up on expressions that never match', () => {
+      expect(() => nextRun('0 0 30 2 *', monday)).toThrow('never matches');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const { buildDigest, createUnsubscribeToken } = require('../src/utils/digest');
+const { emailTemplates } = require('../src/utils/email');
+
+describe('Email digest', () => {
+  const user = { _id: 'reader', name: 'Reader', email: 'reader@example.com', digest: { lastRank: 5 } };
+  const content = {
+    threads: [
+      { _id: 'p1', title: 'Roadmap for Q3', author: 'someone', replyCount: 4 },
+      { _id: 'p2', title: 'My own thread', author: 'reader', replyCount: 1 }
+    ],
+    articles: [{ _id: 'a1', title: 'Onboarding guide', author: { _id: 'someone', name: 'Writer' } }],
+    events: [
+      { _id: 'e1', title: 'Town hall', startDate: new Date(), attendees: [], waitlist: [] },
+      { _id: 'e2', title: 'Already going', startDate: new Date(), attendees: [{ user: 'reader' }], waitlist: [] },
+      { _id: 'e3', title: 'On the waitlist', startDate: new Date(), attendees: [], waitlist: ['reader'] }
+    ],
+    ranks: new Map([['reader', { rank: 2, points: 40 }]]),
+    totalParticipants: 10
+  };
+
+  describe('buildDigest', () => {
+    it('should leave out the user\'s own content and events they RSVP\'d to', () => {
+      const digest = buildDigest(user, content);
+
+      expect(digest.threads.map((item) => item.title)).toEqual(['Roadmap for Q3']);
+      expect(digest.articles[0].detail).toBe('by Writer');
+      expect(digest.events.map((item) => item.title)).toEqual(['Town hall']);
+    });
+
+    it('should report leaderboard movement since the last digest', () => {
+      const digest = buildDigest(user, content);
+      expect(digest.leaderboard).toEqual({ rank: 2, previousRank: 5, points: 40, totalParticipants: 10 });
+
+      const { text } = emailTemplates.digest({ ...digest, user, frequency: 'weekly', url: 'http://portal', unsubscribeUrl: 'http://portal/unsubscribe' });
+      expect(text).toContain('You moved up 3 places to #2 of 10 with 40 points.');
+      expect(text).toContain('http://portal/unsubscribe');
+    });
+
+    it('should escape titles, details and links in the HTML', () => {
+      const { html } = emailTemplates.digest({
+        user,
+        frequency: 'daily',
+        threads: [{ title: '<script>alert(1)</script>', url: 'http://portal/forums/1?a=1&b="x"', detail: 'by <b>Tom</b>' }],
+        articles: [],
+        events: [],
+        url: 'http://portal',
+        unsubscribeUrl: 'http://portal/unsubscribe'
+      });
+      expect(html).toContain('href="http://portal/forums/1?a=1&amp;b=&quot;x&quot;"');
+      expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;</a>');
+      expect(html).toContain('- by &lt;b&gt;Tom&lt;/b&gt;');
+      expect(html).not.toContain('<script>');
+    });
+
+    it('should skip users with nothing new', () => {
+      const quiet = { ...content, threads: [], articles: [], events: [], ranks: new Map([['reader', { rank: 5, points: 10 }]]) };
+      expect(buildDigest(user, quiet)).toBeNull();
+    });
+  });
+
+  describe('POST /api/notifications/digest/unsubscribe', () => {
+    let userId;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Digest Reader', email: 'digest.reader@example.com', password: 'password123' });
+      userId = response.body.data.user.id;
+    });
+
+    afterAll(async () => {
+      await User.deleteMany({});
+    });
+
+    it('should turn digests off without signing in', async () => {
+      await request(app)
+        .post('/api/notifications/digest/unsubscribe')
+        .send({ token: createUnsubscribeToken({ _id: userId }) })
+        .expect(200);
+
+      const user = await User.findById(userId);
+      expect(user.preferences.notifications.digest).toBe('off');
+    });
+
+    it('should reject other tokens', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'digest.reader@example.com', password: 'password123' });
+
+      await request(app)
+        .post('/api/notifications/digest/unsubscribe')
+        .send({ token: login.body.data.token })
+        .expect(400);
+    });
+  });
+});
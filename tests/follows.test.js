@@ -0,0 +1,78 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Follow = require('../src/models/Follow');
+const Forum = require('../src/models/Forum');
+
+describe('Follows', () => {
+  let token;
+  let colleague;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Follower', email: 'follower@example.com', password: 'password123' });
+    token = response.body.data.token;
+
+    colleague = await User.create({ name: 'Colleague', email: 'colleague@example.com', password: 'password123' });
+  });
+
+  afterAll(async () => {
+    await Promise.all([User.deleteMany({}), Follow.deleteMany({}), Forum.deleteMany({})]);
+  });
+
+  it('should follow a colleague and list them as a follower', async () => {
+    await request(app)
+      .post('/api/follows')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ type: 'user', target: colleague._id.toString() })
+      .expect(201);
+
+    const response = await request(app)
+      .get(`/api/users/${colleague._id}/followers`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.followers.map((f) => f.name)).toEqual(['Follower']);
+  });
+
+  it('should reject unknown categories', async () => {
+    await request(app)
+      .post('/api/follows')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ type: 'forum_category', target: 'gardening' })
+      .expect(400);
+  });
+
+  it('should only show followed content in the following feed', async () => {
+    await Forum.create([
+      { title: 'From colleague', content: 'Followed content here', category: 'general', author: colleague._id },
+      { title: 'Tagged post', content: 'Content tagged with GA4', category: 'general', author: colleague._id, tags: ['GA4'] }
+    ]);
+    const stranger = await User.create({ name: 'Stranger', email: 'stranger@example.com', password: 'password123' });
+    await Forum.create({ title: 'Unrelated', content: 'Nobody follows this', category: 'support', author: stranger._id });
+
+    const response = await request(app)
+      .get('/api/feed?scope=following&limit=10')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const titles = response.body.data.items.map((item) => item.title);
+    expect(titles).toEqual(expect.arrayContaining(['From colleague', 'Tagged post']));
+    expect(titles).not.toContain('Unrelated');
+  });
+
+  it('should unfollow', async () => {
+    await request(app)
+      .delete(`/api/follows/user/${colleague._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/follows')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.following.users).toEqual([]);
+  });
+});
@@ -1,12 +1,30 @@
 const request = require('supertest');
+const mongoose = require('mongoose');
 const app = require('../src/app');
 const User = require('../src/models/User');
 const Forum = require('../src/models/Forum');
+const ForumReply = require('../src/models/ForumReply');
+const PollVote = require('../src/models/PollVote');
+const Notification = require('../src/models/Notification');
+const config = require('../src/config/config');
+const { migrateForumReplies } = require('../src/utils/migrateForumReplies');
 
 describe('Forums', () => {
   let token;
   let userId;
 
+  // Register a user with a role and return an access token
+  const signIn = async (email, role) => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Another User', email, password: 'password123' });
+    await User.updateOne({ email }, { role, isEmailVerified: true });
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return login.body.data.token;
+  };
+
   beforeAll(async () => {
     // Create a test user and get token
     const userData = {
@@ -26,6 +44,8 @@ describe('Forums', () => {
   afterAll(async () => {
     await User.deleteMany({});
     await Forum.deleteMany({});
+    await ForumReply.deleteMany({});
+    await Notification.deleteMany({});
   });
 
   describe('GET /api/forums/posts', () => {
@@ -73,4 +93,510 @@ describe('Forums', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('Threaded replies', () => {
+    let postId;
+
+    const reply = (content, parentId) => request(app)
+      .post(`/api/forums/posts/${postId}/replies`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content, ...(parentId ? { parentId } : {}) });
+
+    beforeEach(async () => {
+      const post = await Forum.create({
+        title: 'Threaded discussion',
+        content: 'Let us talk about threads',
+        category: 'general',
+        author: userId,
+        approvalStatus: 'approved'
+      });
+      postId = post._id.toString();
+    });
+
+    it('should return the changed reply and the post counters, not the thread', async () => {
+      const top = (await reply('Top-level reply')).body.data.reply;
+      const response = await reply('Second reply').expect(200);
+      expect(response.body.data.post).toEqual({
+        id: postId,
+        likes: 0,
+        replies: 2,
+        views: 0,
+        isSolved: false,
+        acceptedReplyId: null
+      });
+
+      const liked = await request(app)
+        .post(`/api/forums/posts/${postId}/replies/${top.id}/like`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(liked.body.data.reply.likes).toBe(1);
+      expect(liked.body.data.post.replies).toBe(2);
+    });
+
+    it('should nest a reply under its parent', async () => {
+      const top = (await reply('Top-level reply')).body.data.reply;
+      const child = (await reply('Reply to the reply', top.id).expect(200)).body.data.reply;
+
+      expect(child.parentId).toBe(top.id);
+      expect(child.depth).toBe(1);
+
+      const response = await request(app)
+        .get(`/api/forums/posts/${postId}`)
+        .expect(200);
+
+      const { replies } = response.body.data.post;
+      expect(replies).toHaveLength(1);
+      expect(replies[0].children[0].id).toBe(child.id);
+    });
+
+    it('should enforce the depth limit', async () => {
+      let parentId;
+      for (let level = 0; level < config.forum.maxReplyDepth; level++) {
+        parentId = (await reply(`Reply at level ${level}`, parentId)).body.data.reply.id;
+      }
+
+      await reply('One level too deep', parentId).expect(400);
+    });
+
+    it('should collapse deep levels and page through children', async () => {
+      const top = (await reply('Top-level reply')).body.data.reply;
+      const children = [];
+      for (let i = 0; i < 5; i++) {
+        children.push((await reply(`Child reply ${i}`, top.id)).body.data.reply);
+      }
+      await reply('Grandchild reply', children[0].id);
+
+      const response = await request(app)
+        .get(`/api/forums/posts/${postId}?childLimit=2&expandDepth=2`)
+        .expect(200);
+
+      const [node] = response.body.data.post.replies;
+      expect(node.replyCount).toBe(5);
+      expect(node.children).toHaveLength(2);
+      expect(node.hasMoreChildren).toBe(true);
+      expect(node.children[0].collapsed).toBe(true);
+
+      const more = await request(app)
+        .get(`/api/forums/posts/${postId}/replies/${top.id}/children?page=2&limit=2`)
+        .expect(200);
+
+      expect(more.body.data.replies.map((r) => r.id)).toEqual([children[2].id, children[3].id]);
+      expect(more.body.data.pagination.totalItems).toBe(5);
+    });
+
+    it('should not lose concurrent replies or likes', async () => {
+      await Promise.all([1, 2, 3, 4, 5].map((i) => reply(`Concurrent reply ${i}`)));
+      const top = (await reply('Reply to like')).body.data.reply;
+
+      await Promise.all([
+        request(app).post(`/api/forums/posts/${postId}/like`).set('Authorization', `Bearer ${token}`),
+        request(app).post(`/api/forums/posts/${postId}/replies/${top.id}/like`).set('Authorization', `Bearer ${token}`)
+      ]);
+
+      const post = await Forum.findById(postId);
+      expect(post.replyCount).toBe(6);
+      expect(post.likes).toHaveLength(1);
+      expect(await ForumReply.countDocuments({ post: postId })).toBe(6);
+      expect((await ForumReply.findById(top.id)).likes).toHaveLength(1);
+    });
+  });
+
+  describe('Reply edits and deletion', () => {
+    const originalEnforced = config.twoFactor.enforced;
+    let postId;
+    let otherToken;
+    let moderatorToken;
+
+    const addReply = async () => (await request(app)
+      .post(`/api/forums/posts/${postId}/replies`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Original reply content' })).body.data.reply;
+
+    beforeAll(async () => {
+      config.twoFactor.enforced = false;
+      otherToken = await signIn('other@example.com', 'user');
+      moderatorToken = await signIn('moderator@example.com', 'moderator');
+    });
+
+    afterAll(() => {
+      config.twoFactor.enforced = originalEnforced;
+    });
+
+    beforeEach(async () => {
+      const post = await Forum.create({
+        title: 'Editable discussion',
+        content: 'Replies here get edited',
+        category: 'general',
+        author: userId,
+        approvalStatus: 'approved'
+      });
+      postId = post._id.toString();
+    });
+
+    it('should let authors edit their reply and keep the old content', async () => {
+      const reply = await addReply();
+
+      const response = await request(app)
+        .put(`/api/forums/posts/${postId}/replies/${reply.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Corrected reply content' })
+        .expect(200);
+
+      expect(response.body.data.reply.content).toBe('Corrected reply content');
+      expect(response.body.data.reply.isEdited).toBe(true);
+      expect(response.body.data.reply.revisionCount).toBe(1);
+
+      await request(app)
+        .put(`/api/forums/posts/${postId}/replies/${reply.id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ content: 'Somebody else editing' })
+        .expect(403);
+
+      const history = await request(app)
+        .get(`/api/forums/posts/${postId}/replies/${reply.id}/revisions`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      expect(history.body.data.revisions.map((r) => r.content)).toEqual(['Original reply content']);
+    });
+
+    it('should leave a placeholder when a moderator removes a reply', async () => {
+      const reply = await addReply();
+
+      await request(app)
+        .delete(`/api/forums/posts/${postId}/replies/${reply.id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/forums/posts/${postId}/replies/${reply.id}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/forums/posts/${postId}`)
+        .expect(200);
+
+      const [removed] = response.body.data.post.replies;
+      expect(removed.isDeleted).toBe(true);
+      expect(removed.content).toBe('Reply removed by moderator');
+
+      await request(app)
+        .put(`/api/forums/posts/${postId}/replies/${reply.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Trying to bring it back' })
+        .expect(400);
+    });
+  });
+
+  describe('Accepted answers', () => {
+    let postId;
+    let answererToken;
+
+    beforeAll(async () => {
+      answererToken = await signIn('answerer@example.com', 'user');
+    });
+
+    beforeEach(async () => {
+      const post = await Forum.create({
+        title: 'How do I rotate my API key?',
+        content: 'Looking for the right steps',
+        category: 'support',
+        author: userId,
+        approvalStatus: 'approved'
+      });
+      postId = post._id.toString();
+    });
+
+    it('should let the post author accept an answer and reward the answerer', async () => {
+      const answer = (await request(app)
+        .post(`/api/forums/posts/${postId}/replies`)
+        .set('Authorization', `Bearer ${answererToken}`)
+        .send({ content: 'Create a new key, then revoke the old one' })).body.data.reply;
+
+      await request(app)
+        .post(`/api/forums/posts/${postId}/replies/${answer.id}/accept`)
+        .set('Authorization', `Bearer ${answererToken}`)
+        .expect(403);
+
+      const before = await User.findOne({ email: 'answerer@example.com' });
+
+      const response = await request(app)
+        .post(`/api/forums/posts/${postId}/replies/${answer.id}/accept`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.post.isSolved).toBe(true);
+      expect(response.body.data.post.acceptedReplyId).toBe(answer.id);
+
+      const after = await User.findOne({ email: 'answerer@example.com' });
+      expect(after.gamification.points - before.gamification.points).toBe(config.gamification.points.forumAnswerAccepted);
+
+      const solved = await request(app)
+        .get('/api/forums/posts?sort=solved')
+        .expect(200);
+      expect(solved.body.data.posts.map((p) => p.id)).toContain(postId);
+
+      const unsolved = await request(app)
+        .get('/api/forums/posts?sort=unsolved')
+        .expect(200);
+      expect(unsolved.body.data.posts.map((p) => p.id)).not.toContain(postId);
+    });
+  });
+
+  describe('Thread moderation', () => {
+    const originalEnforced = config.twoFactor.enforced;
+    let moderatorToken;
+
+    const moderate = (postId, changes, authToken = moderatorToken) => request(app)
+      .put(`/api/admin/forums/posts/${postId}/moderation`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(changes);
+
+    const createThread = (title) => Forum.create({
+      title,
+      content: 'A thread to moderate',
+      category: 'general',
+      author: userId,
+      approvalStatus: 'approved'
+    });
+
+    beforeAll(async () => {
+      config.twoFactor.enforced = false;
+      moderatorToken = await signIn('thread.moderator@example.com', 'moderator');
+    });
+
+    afterAll(() => {
+      config.twoFactor.enforced = originalEnforced;
+    });
+
+    it('should reject replies on locked threads', async () => {
+      const post = await createThread('Heated thread');
+
+      await moderate(post._id, { locked: true }, token).expect(403);
+      await moderate(post._id, { locked: true }).expect(200);
+
+      const response = await request(app)
+        .post(`/api/forums/posts/${post._id}/replies`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'One more thought' })
+        .expect(403);
+
+      expect(response.body.code).toBe('THREAD_LOCKED');
+    });
+
+    it('should list pinned threads first and hide archived ones', async () => {
+      const pinned = await createThread('Community guidelines');
+      const archived = await createThread('Old announcement');
+      await createThread('Newest question');
+
+      await moderate(pinned._id, { pinned: true, pinnedUntil: new Date(Date.now() + 60 * 60 * 1000) }).expect(200);
+      await moderate(archived._id, { status: 'archived' }).expect(200);
+
+      const response = await request(app)
+        .get('/api/forums/posts')
+        .expect(200);
+
+      const ids = response.body.data.posts.map((p) => p.id);
+      expect(ids[0]).toBe(pinned._id.toString());
+      expect(response.body.data.posts[0].isPinned).toBe(true);
+      expect(ids).not.toContain(archived._id.toString());
+
+      await Forum.updateOne({ _id: pinned._id }, { pinnedUntil: new Date(Date.now() - 1000) });
+      const expired = await request(app)
+        .get('/api/forums/posts')
+        .expect(200);
+      expect(expired.body.data.posts[0].id).not.toBe(pinned._id.toString());
+    });
+  });
+
+  describe('Polls', () => {
+    let voterToken;
+
+    const createPoll = async (poll) => {
+      const response = await request(app)
+        .post('/api/forums/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Workshop date', content: 'Which date works for the workshop?', category: 'general', poll });
+      const { post } = response.body.data;
+      await Forum.updateOne({ _id: post.id }, { approvalStatus: 'approved' });
+      return post;
+    };
+
+    const vote = (postId, optionIds, authToken = voterToken) => request(app)
+      .put(`/api/forums/posts/${postId}/poll/vote`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ optionIds });
+
+    beforeAll(async () => {
+      voterToken = await signIn('voter@example.com', 'user');
+    });
+
+    it('should count votes and move them when a vote changes', async () => {
+      const post = await createPoll({ question: 'Which date?', options: ['Monday', 'Wednesday', 'Friday'] });
+      const [monday, wednesday] = post.poll.options;
+
+      await vote(post.id, [monday.id, wednesday.id]).expect(400);
+      await vote(post.id, [monday.id]).expect(200);
+      await vote(post.id, [monday.id], token).expect(200);
+
+      const changed = await vote(post.id, [wednesday.id]).expect(200);
+      const { poll } = changed.body.data;
+
+      expect(poll.voterCount).toBe(2);
+      expect(poll.options.map((o) => o.votes)).toEqual([1, 1, 0]);
+      expect(poll.myVote).toEqual([wednesday.id]);
+      expect(poll.options[1].voters.map((v) => v.name)).toEqual(['Another User']);
+    });
+
+    it('should hide voters on anonymous polls and reject votes once closed', async () => {
+      const post = await createPoll({ question: 'Which tools?', options: ['Figma', 'Miro'], multiple: true, anonymous: true });
+      const optionIds = post.poll.options.map((o) => o.id);
+
+      await vote(post.id, optionIds).expect(200);
+
+      const results = await request(app)
+        .get(`/api/forums/posts/${post.id}/poll`)
+        .expect(200);
+      expect(results.body.data.poll.options.map((o) => o.votes)).toEqual([1, 1]);
+      expect(results.body.data.poll.options[0].voters).toBeUndefined();
+
+      await Forum.updateOne({ _id: post.id }, { 'poll.closesAt': new Date(Date.now() - 1000) });
+      await vote(post.id, [optionIds[0]]).expect(400);
+    });
+
+    it('should not change or withdraw votes on posts the voter can no longer see', async () => {
+      const post = await createPoll({ question: 'Which room?', options: ['Blue', 'Green'] });
+      await vote(post.id, [post.poll.options[0].id]).expect(200);
+      await Forum.updateOne({ _id: post.id }, { approvalStatus: 'pending' });
+
+      const changed = await vote(post.id, [post.poll.options[1].id]).expect(404);
+      expect(changed.body.message).toBe('Post not found');
+
+      const response = await request(app)
+        .delete(`/api/forums/posts/${post.id}/poll/vote`)
+        .set('Authorization', `Bearer ${voterToken}`)
+        .expect(404);
+      expect(response.body.message).toBe('Post not found');
+      expect(await PollVote.countDocuments({ post: post.id })).toBe(1);
+    });
+  });
+
+  describe('Mentions', () => {
+    let mentionedId;
+
+    // Mention notifications are sent in the background
+    const findNotifications = async (filter) => {
+      for (let attempt = 0; attempt < 20; attempt += 1) {
+        const notifications = await Notification.find(filter);
+        if (notifications.length > 0) return notifications;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      return [];
+    };
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Priya Raman', email: 'priya.r@example.com', password: 'password123' });
+      mentionedId = response.body.data.user.id;
+    });
+
+    it('should store mentions and notify the mentioned user once', async () => {
+      const reviewerToken = await signIn('mention-reviewer@example.com', 'moderator');
+      const post = (await request(app)
+        .post('/api/forums/posts')
+        .set('Authorization', `Bearer ${reviewerToken}`)
+        .send({ title: 'Campaign retro', content: 'Thanks @priya.r and @priya_raman for the numbers', category: 'general' })
+        .expect(201)).body.data.post;
+
+      const stored = await Forum.findById(post.id);
+      expect(stored.mentions.map(String)).toEqual([mentionedId]);
+
+      const notifications = await findNotifications({ user: mentionedId, 'target.id': post.id });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].type).toBe('mention');
+      expect(notifications[0].link).toBe(`/forums/posts/${post.id}`);
+    });
+
+    it('should notify mentions in posts with long titles', async () => {
+      const reviewerToken = await signIn('long-title-reviewer@example.com', 'moderator');
+      const post = (await request(app)
+        .post('/api/forums/posts')
+        .set('Authorization', `Bearer ${reviewerToken}`)
+        .send({ title: 'Q'.repeat(195), content: 'Looping in @priya.r', category: 'general' })
+        .expect(201)).body.data.post;
+
+      const [notification] = await findNotifications({ user: mentionedId, 'target.id': post.id });
+      expect(notification.title).toMatch(/mentioned you in "Q+\.\.\."$/);
+    });
+
+    it('should not notify mentions in posts waiting for approval', async () => {
+      const post = (await request(app)
+        .post('/api/forums/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Pending mention', content: 'Asking @priya.r to review', category: 'general' })
+        .expect(201)).body.data.post;
+
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      expect(await Notification.countDocuments({ 'target.id': post.id })).toBe(0);
+    });
+
+    it('should suggest users to mention by name or handle', async () => {
+      const byName = await request(app)
+        .get('/api/users/mention-suggest?q=pri')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(byName.body.data.users).toEqual([
+        expect.objectContaining({ id: mentionedId, name: 'Priya Raman', handle: 'priya.r' })
+      ]);
+
+      const byHandle = await request(app)
+        .get('/api/users/mention-suggest?q=@priya.r')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(byHandle.body.data.users.map((u) => u.id)).toEqual([mentionedId]);
+    });
+  });
+
+  describe('Reply migration', () => {
+    it('should move embedded replies into their own collection', async () => {
+      const postId = new mongoose.Types.ObjectId();
+      const topId = new mongoose.Types.ObjectId();
+      const childId = new mongoose.Types.ObjectId();
+      const authorId = new mongoose.Types.ObjectId(userId);
+
+      await Forum.collection.insertOne({
+        _id: postId,
+        title: 'Legacy discussion',
+        content: 'Written before replies moved',
+        category: 'general',
+        author: authorId,
+        approvalStatus: 'approved',
+        likes: [],
+        replies: [
+          { _id: topId, author: authorId, content: 'Legacy answer', likes: [authorId], isSolution: true, createdAt: new Date() },
+          { _id: childId, author: authorId, content: 'Legacy follow-up', parent: topId, depth: 1, likes: [], createdAt: new Date() }
+        ]
+      });
+
+      await migrateForumReplies();
+      await migrateForumReplies();
+
+      const post = await Forum.collection.findOne({ _id: postId });
+      expect(post.replies).toBeUndefined();
+      expect(post.replyCount).toBe(2);
+      expect(post.acceptedReply.toString()).toBe(topId.toString());
+
+      const response = await request(app)
+        .get(`/api/forums/posts/${postId}`)
+        .expect(200);
+
+      const [top] = response.body.data.post.replies;
+      expect(top.id).toBe(topId.toString());
+      expect(top.likes).toBe(1);
+      expect(top.children[0].id).toBe(childId.toString());
+      expect(response.body.data.post.acceptedReplyId).toBe(topId.toString());
+    });
+  });
 });
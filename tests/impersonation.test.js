@@ -0,0 +1,118 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Impersonation = require('../src/models/Impersonation');
+const AuditLog = require('../src/models/AuditLog');
+const database = require('../src/config/database');
+const config = require('../src/config/config');
+
+describe('Admin impersonation', () => {
+  const originalEnforced = config.twoFactor.enforced;
+  let adminToken;
+  let target;
+
+  beforeAll(async () => {
+    await database.connect();
+    config.twoFactor.enforced = false;
+  });
+
+  afterAll(async () => {
+    config.twoFactor.enforced = originalEnforced;
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Session.deleteMany({}),
+      Impersonation.deleteMany({}),
+      AuditLog.deleteMany({})
+    ]);
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Admin User', email: 'admin@example.com', password: 'password123' });
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin', isEmailVerified: true });
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    adminToken = login.body.data.token;
+
+    target = await User.create({ name: 'Regular User', email: 'user@example.com', password: 'password123' });
+  });
+
+  const impersonate = () => request(app)
+    .post(`/api/admin/users/${target._id}/impersonate`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ reason: 'Investigating a broken feed report' });
+
+  it('should require a reason', async () => {
+    await request(app)
+      .post(`/api/admin/users/${target._id}/impersonate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({})
+      .expect(400);
+  });
+
+  it('should act as the user and flag the impersonation', async () => {
+    const started = await impersonate().expect(201);
+    const { token } = started.body.data;
+
+    const response = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.user.email).toBe('user@example.com');
+    expect(response.body.data.impersonation.impersonatedBy.email).toBe('admin@example.com');
+    expect(response.headers['x-impersonated-by']).toBeDefined();
+  });
+
+  it('should block writes while impersonating', async () => {
+    const { token } = (await impersonate()).body.data;
+
+    const response = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ bio: 'Changed by someone else' })
+      .expect(403);
+
+    expect(response.body.code).toBe('IMPERSONATION_READ_ONLY');
+  });
+
+  it('should record every request in the audit trail', async () => {
+    const started = (await impersonate()).body.data;
+
+    await request(app).get('/api/auth/me').set('Authorization', `Bearer ${started.token}`);
+    await request(app).get('/api/users/profile').set('Authorization', `Bearer ${started.token}`);
+
+    const response = await request(app)
+      .get(`/api/admin/impersonations/${started.impersonation.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const routes = response.body.data.auditTrail.map((entry) => entry.route);
+    expect(routes).toEqual(expect.arrayContaining(['/api/auth/me', '/api/users/profile']));
+    expect(response.body.data.auditTrail[0].action).toBe('impersonation_started');
+  });
+
+  it('should stop accepting the token once the impersonation ends', async () => {
+    const { token } = (await impersonate()).body.data;
+
+    await request(app)
+      .post('/api/auth/impersonation/stop')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401);
+  });
+
+  it('should not allow impersonating another admin', async () => {
+    await User.updateOne({ _id: target._id }, { role: 'admin' });
+    await impersonate().expect(403);
+  });
+});
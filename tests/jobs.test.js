@@ -0,0 +1,189 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Job = require('../src/models/Job');
+const Setting = require('../src/models/Setting');
+const database = require('../src/config/database');
+const config = require('../src/config/config');
+const { queueScheduledJobs, runJob } = require('../src/utils/jobWorker');
+const { JOB_HANDLERS } = require('../src/utils/jobs');
+const { queueAnalyticsRefresh } = require('../src/utils/analytics');
+
+describe('Background jobs', () => {
+  const originalEnforced = config.twoFactor.enforced;
+
+  beforeAll(async () => {
+    await database.connect();
+    config.twoFactor.enforced = false;
+  });
+
+  afterAll(async () => {
+    config.twoFactor.enforced = originalEnforced;
+    await Promise.all([User.deleteMany({}), Session.deleteMany({}), Job.deleteMany({}), Setting.deleteMany({})]);
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    await Job.deleteMany({});
+  });
+
+  describe('Queue', () => {
+    it('should run due jobs and record the result', async () => {
+      await Job.enqueue('test.add', { a: 2, b: 3 });
+      const job = await Job.claimNext('worker-1', ['test.add']);
+      expect(job.attempts).toBe(1);
+
+      await runJob(job, { 'test.add': async ({ a, b }) => ({ sum: a + b }) });
+
+      const done = await Job.findById(job._id);
+      expect(done.status).toBe('completed');
+      expect(done.result).toEqual({ sum: 5 });
+      expect(done.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should not claim jobs before their run time or without a handler', async () => {
+      await Job.enqueue('test.later', {}, { runAt: new Date(Date.now() + 60 * 1000) });
+      await Job.enqueue('test.unknown');
+      expect(await Job.claimNext('worker-1', ['test.later'])).toBeNull();
+    });
+
+    it('should retry failures with backoff, then dead-letter them', async () => {
+      await Job.enqueue('test.fail', {}, { maxAttempts: 2 });
+      const failing = { 'test.fail': async () => { throw new Error('SMTP unavailable'); } };
+
+      await runJob(await Job.claimNext('worker-1', ['test.fail']), failing);
+      let job = await Job.findOne({ name: 'test.fail' });
+      expect(job.status).toBe('queued');
+      expect(job.lastError.message).toBe('SMTP unavailable');
+      expect(job.runAt.getTime()).toBeGreaterThan(Date.now() + config.jobs.backoffMs - 1000);
+
+      await Job.updateOne({ _id: job._id }, { runAt: new Date() });
+      await runJob(await Job.claimNext('worker-1', ['test.fail']), failing);
+      job = await Job.findById(job._id);
+      expect(job.status).toBe('dead');
+      expect(job.attempts).toBe(2);
+    });
+
+    it('should take over jobs whose worker stopped answering', async () => {
+      const job = await Job.enqueue('test.stuck');
+      await Job.updateOne({ _id: job._id }, {
+        status: 'running',
+        lockedBy: 'gone',
+        lockedAt: new Date(Date.now() - config.jobs.lockTimeoutMs - 1000),
+        attempts: 1
+      });
+
+      const claimed = await Job.claimNext('worker-2', ['test.stuck']);
+      expect(claimed.lockedBy).toBe('worker-2');
+      expect(claimed.attempts).toBe(2);
+    });
+
+    it('should queue each scheduled run once', async () => {
+      const schedules = [{ id: 'test.hourly', job: 'test.tick', cron: '0 * * * *' }];
+      await queueScheduledJobs(schedules);
+      await queueScheduledJobs(schedules);
+
+      const jobs = await Job.find({ schedule: 'test.hourly' });
+      expect(jobs).toHaveLength(1);
+      expect(jobs[0].runAt.getMinutes()).toBe(0);
+    });
+
+    it('should queue an analytics refresh unless one is already due', async () => {
+      await Job.enqueue('analytics.refresh', {}, { runAt: new Date(Date.now() + 60 * 60 * 1000) });
+      await queueAnalyticsRefresh();
+      expect(await Job.countDocuments({ name: 'analytics.refresh' })).toBe(2);
+
+      await queueAnalyticsRefresh();
+      expect(await Job.countDocuments({ name: 'analytics.refresh' })).toBe(2);
+    });
+  });
+
+  describe('Admin view', () => {
+    let adminToken;
+    let memberToken;
+
+    // Register a user, give them a role and return an access token
+    const signIn = async (email, role) => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Test User', email, password: 'password123' });
+      await User.updateOne({ email }, { role, isEmailVerified: true });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return login.body.data.token;
+    };
+
+    beforeAll(async () => {
+      adminToken = await signIn('jobs.admin@example.com', 'admin');
+      memberToken = await signIn('jobs.member@example.com', 'user');
+    });
+
+    it('should queue registration emails for the worker', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'New Colleague', email: 'new.colleague@example.com', password: 'password123' })
+        .expect(201);
+
+      const names = (await Job.find({}).select('name')).map((job) => job.name).sort();
+      expect(names).toEqual(['email.verification', 'email.welcome']);
+    });
+
+    it('should list jobs with counts and schedules', async () => {
+      await Job.enqueue('test.listed');
+
+      const response = await request(app)
+        .get('/api/admin/jobs')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.jobs[0].name).toBe('test.listed');
+      expect(response.body.data.counts.queued).toBe(1);
+      expect(response.body.data.schedules.map((schedule) => schedule.id)).toContain('digest.weekly');
+    });
+
+    it('should retry dead jobs only', async () => {
+      const job = await Job.enqueue('test.dead');
+      await Job.updateOne({ _id: job._id }, { status: 'dead', attempts: 5 });
+
+      const response = await request(app)
+        .post(`/api/admin/jobs/${job._id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(response.body.data.job).toMatchObject({ status: 'queued', attempts: 0 });
+
+      await request(app)
+        .post(`/api/admin/jobs/${job._id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+
+    it('should serve analytics calculated by the worker', async () => {
+      await Setting.deleteMany({ key: 'analytics.snapshot' });
+
+      const pending = await request(app)
+        .get('/api/admin/analytics')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(202);
+      expect(pending.body.code).toBe('ANALYTICS_PENDING');
+
+      const job = await Job.claimNext('worker-1', ['analytics.refresh']);
+      await runJob(job, JOB_HANDLERS);
+
+      const response = await request(app)
+        .get('/api/admin/analytics')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(response.body.data.dailyActiveUsers).toHaveLength(7);
+      expect(response.body.data.generatedAt).toBeDefined();
+    });
+
+    it('should keep members out', async () => {
+      await request(app)
+        .get('/api/admin/jobs')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const request = require('supertest');
 const app = require('../src/app');
 const User = require('../src/models/User');
+const Leaderboard = require('../src/models/Leaderboard');
 
 describe('Leaderboard', () => {
   let token;
@@ -24,6 +25,21 @@ describe('Leaderboard', () => {
 
   afterAll(async () => {
     await User.deleteMany({});
+    await Leaderboard.deleteMany({});
+  });
+
+  describe('generateLeaderboard', () => {
+    it('should update a period\'s leaderboard in place when regenerated', async () => {
+      await Leaderboard.generateLeaderboard('overall', 'all_time');
+      await Leaderboard.generateLeaderboard('overall', 'all_time');
+      await Leaderboard.generateLeaderboard('overall', 'weekly');
+      const weekly = await Leaderboard.generateLeaderboard('overall', 'weekly');
+
+      expect(await Leaderboard.countDocuments({ type: 'overall', period: 'all_time' })).toBe(1);
+      expect(await Leaderboard.countDocuments({ type: 'overall', period: 'weekly' })).toBe(1);
+      expect(weekly.periodStart.getHours()).toBe(0);
+      expect(weekly.periodStart.getDay()).toBe(0);
+    });
   });
 
   describe('GET /api/leaderboard', () => {
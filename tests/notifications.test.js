@@ -0,0 +1,180 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Forum = require('../src/models/Forum');
+const ForumReply = require('../src/models/ForumReply');
+const Notification = require('../src/models/Notification');
+const { wantsEmail } = require('../src/utils/notifications');
+const { emailTemplates } = require('../src/utils/email');
+
+describe('Notifications', () => {
+  let authorToken;
+  let authorId;
+  let replierToken;
+  let postId;
+
+  // Notifications are created in the background
+  const waitForNotifications = async (filter, count = 1) => {
+    for (let attempt = 0; attempt < 20; attempt += 1) {
+      if (await Notification.countDocuments(filter) >= count) return;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  };
+
+  beforeAll(async () => {
+    const author = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Post Author', email: 'post.author@example.com', password: 'password123' });
+    authorToken = author.body.data.token;
+    authorId = author.body.data.user.id;
+
+    const replier = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Helpful Replier', email: 'replier@example.com', password: 'password123' });
+    replierToken = replier.body.data.token;
+
+    const post = await Forum.create({
+      title: 'Which dashboard do we use?',
+      content: 'Looking for the current one',
+      category: 'general',
+      author: authorId,
+      approvalStatus: 'approved'
+    });
+    postId = post._id.toString();
+  });
+
+  afterEach(async () => {
+    await Notification.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Promise.all([User.deleteMany({}), Forum.deleteMany({}), ForumReply.deleteMany({}), Notification.deleteMany({})]);
+  });
+
+  it('should notify the post author about replies and likes', async () => {
+    await request(app)
+      .post(`/api/forums/posts/${postId}/replies`)
+      .set('Authorization', `Bearer ${replierToken}`)
+      .send({ content: 'The marketing one in Looker' })
+      .expect(200);
+    await request(app)
+      .post(`/api/forums/posts/${postId}/like`)
+      .set('Authorization', `Bearer ${replierToken}`)
+      .expect(200);
+    await waitForNotifications({ user: authorId }, 2);
+
+    const response = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+
+    expect(response.body.data.unreadCount).toBe(2);
+    expect(response.body.data.notifications.map((n) => n.type).sort()).toEqual(['forum_like', 'forum_reply']);
+    expect(response.body.data.notifications[0].actor.name).toBe('Helpful Replier');
+  });
+
+  it('should shorten titles that quote long post titles', async () => {
+    const post = await Forum.create({
+      title: 'A'.repeat(190),
+      content: 'A thread with a very long title',
+      category: 'general',
+      author: authorId,
+      approvalStatus: 'approved'
+    });
+
+    await request(app)
+      .post(`/api/forums/posts/${post._id}/replies`)
+      .set('Authorization', `Bearer ${replierToken}`)
+      .send({ content: 'Replying anyway' })
+      .expect(200);
+    await waitForNotifications({ user: authorId });
+
+    const notification = await Notification.findOne({ user: authorId, type: 'forum_reply' });
+    expect(notification.title.startsWith('Helpful Replier replied to your post "AAA')).toBe(true);
+    expect(notification.title.length).toBeLessThanOrEqual(Notification.TITLE_MAX_LENGTH);
+  });
+
+  it('should not notify users about their own actions', async () => {
+    await request(app)
+      .post(`/api/forums/posts/${postId}/replies`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Answering my own question' })
+      .expect(200);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    expect(await Notification.countDocuments({ user: authorId })).toBe(0);
+  });
+
+  it('should mark one or all notifications as read', async () => {
+    const [first] = await Notification.create([
+      { user: authorId, type: 'forum_reply', title: 'First' },
+      { user: authorId, type: 'forum_reply', title: 'Second' }
+    ]);
+
+    const one = await request(app)
+      .put(`/api/notifications/${first._id}/read`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+    expect(one.body.data.notification.isRead).toBe(true);
+    expect(one.body.data.unreadCount).toBe(1);
+
+    await request(app)
+      .put(`/api/notifications/${first._id}/read`)
+      .set('Authorization', `Bearer ${replierToken}`)
+      .expect(404);
+
+    await request(app)
+      .put('/api/notifications/read-all')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+
+    const count = await request(app)
+      .get('/api/notifications/unread-count')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+    expect(count.body.data.unreadCount).toBe(0);
+  });
+
+  it('should only email the types a user has left on', () => {
+    const user = { preferences: { notifications: { email: true, forum: false, likes: true } } };
+    expect(wantsEmail(user, 'forum_reply')).toBe(false);
+    expect(wantsEmail(user, 'forum_like')).toBe(true);
+    expect(wantsEmail({ preferences: { notifications: { email: false } } }, 'achievement_earned')).toBe(false);
+  });
+
+  it('should escape user content in notification emails', () => {
+    const { html, text } = emailTemplates.newForumReply({
+      user: { name: 'Post Author' },
+      post: { title: 'Is <b>bold</b> allowed?' },
+      reply: { content: '<img src=x onerror="alert(1)">' },
+      actor: { name: 'Tom & Jerry' },
+      url: 'http://portal/forums/1'
+    });
+    expect(html).toContain('Is &lt;b&gt;bold&lt;/b&gt; allowed?');
+    expect(html).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    expect(html).toContain('Tom &amp; Jerry');
+    expect(html).not.toContain('<img');
+    expect(text).toContain('Is <b>bold</b> allowed?');
+
+    const notification = emailTemplates.notification({
+      user: { name: 'Post Author' },
+      title: '<script>alert(1)</script> replied',
+      message: 'a < b',
+      url: 'http://portal'
+    });
+    expect(notification.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt; replied');
+    expect(notification.html).toContain('<p>a &lt; b</p>');
+  });
+
+  it('should escape user content in mention emails', () => {
+    const { html } = emailTemplates.mention({
+      user: { name: 'Post Author' },
+      actor: { name: '<i>Priya</i>' },
+      context: 'the post "<b>Roadmap</b>"',
+      message: '@post.author see <a href="http://evil">this</a>',
+      url: 'http://portal/forums/1'
+    });
+    expect(html).toContain('&lt;i&gt;Priya&lt;/i&gt; mentioned you in <strong>the post &quot;&lt;b&gt;Roadmap&lt;/b&gt;&quot;</strong>');
+    expect(html).toContain('see &lt;a href=&quot;http://evil&quot;&gt;this&lt;/a&gt;');
+  });
+});
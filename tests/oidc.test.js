@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../src/config/config');
+const oidc = require('../src/utils/oidc');
+
+// Minimal OpenID provider: discovery, JWKS, authorization-code token
+// exchange with PKCE verification, and userinfo.
+const startMockProvider = () => new Promise((resolve) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+  const codes = new Map();
+  const provider = { codes, identity: {} };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: provider.issuer,
+      authorization_endpoint: `${provider.issuer}/authorize`,
+      token_endpoint: `${provider.issuer}/token`,
+      userinfo_endpoint: `${provider.issuer}/userinfo`,
+      jwks_uri: `${provider.issuer}/jwks`
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+
+    if (!grant || grant.codeChallenge !== challenge || req.body.client_id !== config.oidc.clientId) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { sub: provider.identity.sub, email: provider.identity.email, email_verified: true, name: provider.identity.name, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer: provider.issuer, audience: config.oidc.clientId, expiresIn: '5m' }
+    );
+
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    res.json({ sub: provider.identity.sub, groups: provider.identity.groups });
+  });
+
+  const server = app.listen(0, '127.0.0.1', () => {
+    provider.issuer = `http://127.0.0.1:${server.address().port}`;
+    provider.server = server;
+    resolve(provider);
+  });
+});
+
+// Simulate the browser leg: the user signs in at the provider and is sent back with a code
+const authorize = (provider, authorizationUrl) => {
+  const params = new URL(authorizationUrl).searchParams;
+  const code = crypto.randomBytes(16).toString('hex');
+  provider.codes.set(code, { codeChallenge: params.get('code_challenge'), nonce: params.get('nonce') });
+  return code;
+};
+
+describe('OIDC single sign-on', () => {
+  let provider;
+  const originalConfig = { ...config.oidc };
+
+  beforeAll(async () => {
+    provider = await startMockProvider();
+    Object.assign(config.oidc, {
+      enabled: true,
+      issuer: provider.issuer,
+      clientId: 'community-test',
+      clientSecret: 'secret',
+      redirectUri: 'http://localhost:3000/auth/sso/callback',
+      roleGroups: { 'community-admins': 'admin', 'community-moderators': 'moderator' },
+      departmentGroups: { 'dept-marketing': 'Marketing' }
+    });
+  });
+
+  afterAll(async () => {
+    Object.assign(config.oidc, originalConfig);
+    oidc.clearCache();
+    await new Promise((resolve) => provider.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    provider.identity = {
+      sub: 'employee-42',
+      email: 'Jane.Doe@xerago.com',
+      name: 'Jane Doe',
+      groups: ['everyone', 'community-moderators', 'dept-marketing']
+    };
+  });
+
+  it('should build an authorization URL with state, nonce and an S256 challenge', async () => {
+    const request = await oidc.createAuthorizationRequest();
+    const params = new URL(request.url).searchParams;
+
+    expect(request.url.startsWith(`${provider.issuer}/authorize?`)).toBe(true);
+    expect(params.get('response_type')).toBe('code');
+    expect(params.get('client_id')).toBe('community-test');
+    expect(params.get('state')).toBe(request.state);
+    expect(params.get('nonce')).toBe(request.nonce);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).toBe(crypto.createHash('sha256').update(request.codeVerifier).digest('base64url'));
+  });
+
+  it('should exchange the code and map groups to role and department', async () => {
+    const request = await oidc.createAuthorizationRequest();
+    const code = authorize(provider, request.url);
+
+    const claims = await oidc.exchangeCode({ code, codeVerifier: request.codeVerifier, nonce: request.nonce });
+    const profile = oidc.mapClaimsToProfile(claims);
+
+    expect(profile).toEqual({
+      subject: 'employee-42',
+      issuer: provider.issuer,
+      email: 'jane.doe@xerago.com',
+      emailVerified: true,
+      name: 'Jane Doe',
+      roles: ['moderator'],
+      department: 'Marketing'
+    });
+  });
+
+  it('should list every mapped role and leave unmapped fields empty', () => {
+    const profile = oidc.mapClaimsToProfile({
+      sub: 'employee-7',
+      email: 'ops@xerago.com',
+      groups: ['community-moderators', 'community-admins']
+    });
+
+    expect(profile.roles).toEqual(['moderator', 'admin']);
+    expect(profile.department).toBeUndefined();
+    expect(oidc.mapClaimsToProfile({ sub: 'x', groups: ['everyone'] }).roles).toEqual([]);
+  });
+
+  it('should only treat the email as verified when the claim says so', () => {
+    const claims = { sub: 'employee-9', email: 'new.hire@xerago.com' };
+
+    expect(oidc.mapClaimsToProfile(claims).emailVerified).toBe(false);
+    expect(oidc.mapClaimsToProfile({ ...claims, email_verified: 'true' }).emailVerified).toBe(false);
+    expect(oidc.mapClaimsToProfile({ ...claims, email_verified: true }).emailVerified).toBe(true);
+  });
+
+  it('should reject a code exchanged with the wrong PKCE verifier', async () => {
+    const request = await oidc.createAuthorizationRequest();
+    const code = authorize(provider, request.url);
+
+    await expect(oidc.exchangeCode({ code, codeVerifier: 'not-the-verifier', nonce: request.nonce }))
+      .rejects.toThrow(/invalid_grant/);
+  });
+
+  it('should reject an ID token issued for a different nonce', async () => {
+    const request = await oidc.createAuthorizationRequest();
+    const code = authorize(provider, request.url);
+
+    await expect(oidc.exchangeCode({ code, codeVerifier: request.codeVerifier, nonce: 'other-nonce' }))
+      .rejects.toThrow(/nonce/);
+  });
+});
@@ -0,0 +1,281 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Role = require('../src/models/Role');
+const Session = require('../src/models/Session');
+const Forum = require('../src/models/Forum');
+const database = require('../src/config/database');
+const config = require('../src/config/config');
+const { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLES } = require('../src/config/permissions');
+const { FORMER_MEMBER_EMAIL } = require('../src/utils/accountData');
+
+describe('Permissions', () => {
+  const originalEnforced = config.twoFactor.enforced;
+
+  beforeAll(async () => {
+    await database.connect();
+    config.twoFactor.enforced = false;
+  });
+
+  afterAll(async () => {
+    config.twoFactor.enforced = originalEnforced;
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), Role.deleteMany({}), Session.deleteMany({}), Forum.deleteMany({})]);
+    Role.clearCache();
+  });
+
+  // Register a user, give them a role and return an access token
+  const signIn = async (email, role) => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Test User', email, password: 'password123' });
+    await User.updateOne({ email }, { role, isEmailVerified: true });
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return login.body.data.token;
+  };
+
+  it('should only reference catalogued permissions in the built-in roles', () => {
+    Object.values(DEFAULT_ROLES).forEach((role) => {
+      role.permissions.forEach((permission) => {
+        expect(permission === ALL_PERMISSIONS || !!PERMISSIONS[permission]).toBe(true);
+      });
+    });
+  });
+
+  it('should let owners edit their own post but not somebody else\'s', async () => {
+    const token = await signIn('author@example.com', 'user');
+    const author = await User.findOne({ email: 'author@example.com' });
+    const other = await User.create({ name: 'Other User', email: 'other@example.com', password: 'password123' });
+
+    const own = await Forum.create({ title: 'My question', content: 'Some details here', author: author._id });
+    const foreign = await Forum.create({ title: 'Their question', content: 'Some details here', author: other._id });
+
+    await request(app)
+      .put(`/api/forums/posts/${own._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'My updated question' })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/forums/posts/${foreign._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Hijacked question' })
+      .expect(403);
+  });
+
+  it('should apply permission changes to a role straight away', async () => {
+    const token = await signIn('mod@example.com', 'moderator');
+
+    await request(app)
+      .get('/api/admin/reports')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await Role.ensureDefaults();
+    const moderator = await Role.findOne({ name: 'moderator' });
+    moderator.permissions = moderator.permissions.filter((p) => p !== 'report.view');
+    await moderator.save();
+
+    await request(app)
+      .get('/api/admin/reports')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+
+  it('should restrict role management to super admins', async () => {
+    const adminToken = await signIn('admin@example.com', 'admin');
+    const superToken = await signIn('super@example.com', 'super_admin');
+    const role = { name: 'event_coordinator', permissions: ['event.update', 'event.attendees.view'] };
+
+    await request(app)
+      .post('/api/admin/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(role)
+      .expect(403);
+
+    await request(app)
+      .post('/api/admin/roles')
+      .set('Authorization', `Bearer ${superToken}`)
+      .send(role)
+      .expect(201);
+
+    await request(app)
+      .post('/api/admin/roles')
+      .set('Authorization', `Bearer ${superToken}`)
+      .send({ name: 'broken', permissions: ['not.a.permission'] })
+      .expect(400);
+  });
+
+  it('should limit scoped moderators to their categories', async () => {
+    await Role.create({
+      name: 'marketing_moderator',
+      permissions: DEFAULT_ROLES.moderator.permissions,
+      scope: { forumCategories: ['marketing'], articleCategories: ['marketing'] }
+    });
+    const token = await signIn('lead@example.com', 'marketing_moderator');
+    const author = await User.create({ name: 'Author', email: 'author@example.com', password: 'password123' });
+
+    const marketing = await Forum.create({ title: 'Campaign ideas', content: 'Some details here', author: author._id, category: 'marketing' });
+    const technical = await Forum.create({ title: 'Build failing', content: 'Some details here', author: author._id, category: 'tech' });
+
+    await request(app)
+      .put(`/api/admin/forums/posts/${marketing._id}/approval`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ approvalStatus: 'approved' })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/admin/forums/posts/${technical._id}/approval`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ approvalStatus: 'approved' })
+      .expect(403);
+
+    const pending = await request(app)
+      .get('/api/admin/forums/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(pending.body.data.posts.map((p) => p.category)).toEqual(['marketing']);
+  });
+
+  it('should not let scoped moderators move posts out of their categories', async () => {
+    await Role.create({
+      name: 'marketing_moderator',
+      permissions: DEFAULT_ROLES.moderator.permissions,
+      scope: { forumCategories: ['marketing'] }
+    });
+    const token = await signIn('lead@example.com', 'marketing_moderator');
+    const author = await User.create({ name: 'Author', email: 'author@example.com', password: 'password123' });
+    const post = await Forum.create({ title: 'Campaign ideas', content: 'Some details here', author: author._id, category: 'marketing' });
+
+    await request(app)
+      .put(`/api/forums/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ category: 'tech' })
+      .expect(403);
+
+    expect((await Forum.findById(post._id)).category).toBe('marketing');
+  });
+
+  it('should not let admins grant roles beyond their own permissions', async () => {
+    const adminToken = await signIn('admin@example.com', 'admin');
+    const target = await User.create({ name: 'Regular User', email: 'user@example.com', password: 'password123' });
+
+    await request(app)
+      .put(`/api/admin/users/${target._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'super_admin' })
+      .expect(403);
+
+    await request(app)
+      .put(`/api/admin/users/${target._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'moderator' })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/admin/users/${target._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'no_such_role' })
+      .expect(400);
+  });
+
+  it('should not let admins act on users whose role outranks theirs', async () => {
+    const adminToken = await signIn('admin@example.com', 'admin');
+    const owner = await User.create({ name: 'Platform Owner', email: 'owner@example.com', password: 'password123', role: 'super_admin' });
+    const forOwner = (path) => path.replace(':id', owner._id);
+
+    const attempts = [
+      request(app).put(forOwner('/api/admin/users/:id/status')).send({ isActive: false }),
+      request(app).delete(forOwner('/api/admin/users/:id?immediate=true')),
+      request(app).delete(forOwner('/api/admin/users/:id')),
+      request(app).post(forOwner('/api/admin/users/:id/restore')),
+      request(app).get(forOwner('/api/admin/users/:id/export')),
+      request(app).delete(forOwner('/api/admin/users/:id/sessions'))
+    ];
+    for (const attempt of attempts) {
+      await attempt.set('Authorization', `Bearer ${adminToken}`).expect(403);
+    }
+
+    const unchanged = await User.findById(owner._id);
+    expect(unchanged.isActive).toBe(true);
+    expect(unchanged.deletion?.scheduledFor).toBeFalsy();
+  });
+
+  it('should not let admins change the former member placeholder', async () => {
+    const adminToken = await signIn('admin@example.com', 'admin');
+    const placeholder = await User.create({ name: 'Former member', email: FORMER_MEMBER_EMAIL, password: 'password123', isActive: false });
+
+    await request(app)
+      .put(`/api/admin/users/${placeholder._id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: true })
+      .expect(403);
+    await request(app)
+      .delete(`/api/admin/users/${placeholder._id}?immediate=true`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(403);
+
+    expect(await User.exists({ _id: placeholder._id })).toBeTruthy();
+  });
+
+  it('should cancel a pending deletion when an admin reactivates the user', async () => {
+    const adminToken = await signIn('admin@example.com', 'admin');
+    const member = await User.create({ name: 'Member', email: 'member@example.com', password: 'password123' });
+
+    await request(app)
+      .delete(`/api/admin/users/${member._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .put(`/api/admin/users/${member._id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: true })
+      .expect(200);
+    expect(response.body.data.user.isActive).toBe(true);
+
+    const restored = await User.findById(member._id);
+    expect(restored.isActive).toBe(true);
+    expect(restored.deletion?.scheduledFor).toBeFalsy();
+  });
+
+  it('should require 2FA for any role holding a privileged permission', async () => {
+    config.twoFactor.enforced = true;
+
+    try {
+      await Role.create({ name: 'report_reader', permissions: ['report.view'] });
+      const token = await signIn('reader@example.com', 'report_reader');
+
+      const blocked = await request(app)
+        .get('/api/admin/reports')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+      expect(blocked.body.code).toBe('TWO_FACTOR_REQUIRED');
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(me.body.data.user.twoFactor.required).toBe(true);
+
+      const member = await User.create({ name: 'Member', email: 'member@example.com', password: 'password123' });
+      expect(await member.isTwoFactorRequired()).toBe(false);
+    } finally {
+      config.twoFactor.enforced = false;
+    }
+  });
+
+  it('should pick the highest existing role for SSO group mappings', async () => {
+    await Role.create({ name: 'report_reader', permissions: ['report.view'] });
+
+    expect(await Role.pickHighest(['moderator', 'admin'])).toBe('admin');
+    expect(await Role.pickHighest(['no_such_role', 'report_reader'])).toBe('report_reader');
+    expect(await Role.pickHighest(['no_such_role'])).toBeNull();
+  });
+});
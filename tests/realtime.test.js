@@ -0,0 +1,151 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Forum = require('../src/models/Forum');
+const ForumReply = require('../src/models/ForumReply');
+const Event = require('../src/models/Event');
+const database = require('../src/config/database');
+const config = require('../src/config/config');
+
+describe('Real-time updates', () => {
+  let server;
+  let token;
+  let postId;
+
+  // Open an event stream and resolve with the first event of a type
+  const nextEvent = (path, type) => new Promise((resolve, reject) => {
+    const req = http.get(`http://127.0.0.1:${server.address().port}${path}`, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return resolve({ status: res.statusCode });
+      }
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        frames.forEach((frame) => {
+          const event = frame.match(/^event: (.*)$/m)?.[1];
+          const data = frame.match(/^data: (.*)$/m)?.[1];
+          if (event === 'ready') req.emit('ready');
+          if (event === type) {
+            req.destroy();
+            resolve({ status: 200, data: JSON.parse(data) });
+          }
+        });
+      });
+    });
+    req.on('error', (error) => {
+      if (error.code !== 'ECONNRESET') reject(error);
+    });
+    nextEvent.last = req;
+  });
+
+  beforeAll(async () => {
+    await database.connect();
+    server = app.listen(0);
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Watcher', email: 'watcher@example.com', password: 'password123' });
+    token = response.body.data.token;
+
+    const post = await Forum.create({
+      title: 'Live thread',
+      content: 'Replies should show up live',
+      category: 'general',
+      author: response.body.data.user.id,
+      approvalStatus: 'approved'
+    });
+    postId = post._id.toString();
+  });
+
+  afterAll(async () => {
+    await Promise.all([User.deleteMany({}), Session.deleteMany({}), Forum.deleteMany({}), ForumReply.deleteMany({}), Event.deleteMany({})]);
+    await new Promise((resolve) => server.close(resolve));
+    await database.disconnect();
+  });
+
+  const getTicket = async () => (await request(app)
+    .post('/api/realtime/ticket')
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200)).body.data.ticket;
+
+  it('should stream new replies to a post', async () => {
+    const ticket = await getTicket();
+    const received = nextEvent(`/api/realtime/stream?topics=post:${postId}&ticket=${ticket}`, 'reply.created');
+    await new Promise((resolve) => nextEvent.last.once('ready', resolve));
+
+    await request(app)
+      .post(`/api/forums/posts/${postId}/replies`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Hello from the other tab' })
+      .expect(200);
+
+    const { data } = await received;
+    expect(data.topic).toBe(`post:${postId}`);
+    expect(data.reply.content).toBe('Hello from the other tab');
+    expect(data.reply.isLiked).toBeUndefined();
+    expect(data.replyCount).toBe(1);
+  });
+
+  it('should reject streams without a valid ticket', async () => {
+    const { status } = await nextEvent(`/api/realtime/stream?topics=post:${postId}&ticket=${token}`, 'ready');
+    expect(status).toBe(401);
+  });
+
+  it('should not accept stream tickets as access tokens', async () => {
+    const ticket = await getTicket();
+    await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${ticket}`)
+      .expect(401);
+  });
+
+  it('should keep members out of the moderation queue', async () => {
+    const ticket = await getTicket();
+    const { status } = await nextEvent(`/api/realtime/stream?topics=moderation&ticket=${ticket}`, 'ready');
+    expect(status).toBe(403);
+  });
+
+  it('should not stream private events to people who are not on them', async () => {
+    const event = await Event.create({
+      title: 'Leadership offsite',
+      description: 'Planning session for the leadership team only',
+      category: 'meeting',
+      type: 'offline',
+      organizer: new mongoose.Types.ObjectId(),
+      startDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      endDate: new Date(Date.now() + 25 * 60 * 60 * 1000),
+      status: 'published',
+      visibility: 'private'
+    });
+
+    const ticket = await getTicket();
+    const { status } = await nextEvent(`/api/realtime/stream?topics=event:${event._id}&ticket=${ticket}`, 'ready');
+    expect(status).toBe(404);
+  });
+
+  it('should end streams once the session is revoked', async () => {
+    const originalInterval = config.realtime.heartbeatInterval;
+    config.realtime.heartbeatInterval = 50;
+
+    try {
+      const ticket = await getTicket();
+      nextEvent(`/api/realtime/stream?topics=post:${postId}&ticket=${ticket}`, 'reply.created');
+      const stream = nextEvent.last;
+      const response = await new Promise((resolve) => stream.once('response', resolve));
+      await new Promise((resolve) => stream.once('ready', resolve));
+
+      const ended = new Promise((resolve) => response.once('end', resolve));
+      await Session.updateMany({}, { revokedAt: new Date() });
+      await ended;
+    } finally {
+      config.realtime.heartbeatInterval = originalInterval;
+    }
+  });
+});
@@ -0,0 +1,65 @@
+const totp = require('../src/utils/totp');
+
+// RFC 6238 Appendix B test secret ("12345678901234567890" in ASCII)
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  describe('generateToken', () => {
+    it.each([
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130'],
+    ])('should match the RFC 6238 vector at T=%i', (seconds, expected) => {
+      expect(totp.generateToken(RFC_SECRET, { time: seconds * 1000, digits: 8 })).toBe(expected);
+    });
+  });
+
+  describe('verifyToken', () => {
+    const secret = totp.generateSecret();
+    const now = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+    it('should accept the current code and return its time step', () => {
+      const code = totp.generateToken(secret, { time: now });
+      expect(totp.verifyToken(secret, code, { time: now })).toBe(totp.getTimeStep(now));
+    });
+
+    it('should tolerate one step of clock drift', () => {
+      const code = totp.generateToken(secret, { time: now - 30 * 1000 });
+      expect(totp.verifyToken(secret, code, { time: now })).not.toBeNull();
+    });
+
+    it('should reject codes outside the window', () => {
+      const code = totp.generateToken(secret, { time: now - 90 * 1000 });
+      expect(totp.verifyToken(secret, code, { time: now })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(totp.verifyToken(secret, 'abcdef', { time: now })).toBeNull();
+      expect(totp.verifyToken(secret, '12345', { time: now })).toBeNull();
+    });
+  });
+
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+      expect(totp.base32Decode(totp.base32Encode(bytes)).equals(bytes)).toBe(true);
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build a provisioning URI for authenticator apps', () => {
+      const uri = totp.buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'jane@xerago.com', issuer: 'Xerago Community' });
+      expect(uri).toBe('otpauth://totp/Xerago%20Community%3Ajane%40xerago.com?secret=JBSWY3DPEHPK3PXP&issuer=Xerago+Community&algorithm=SHA1&digits=6&period=30');
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should normalize user input regardless of formatting', () => {
+      const [code] = totp.generateRecoveryCodes(1);
+      expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/);
+      expect(totp.normalizeRecoveryCode(` ${code.toUpperCase()} `)).toBe(code.replace('-', ''));
+    });
+  });
+});
@@ -62,6 +62,164 @@ describe('Users', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.message).toContain('updated');
+      expect(response.body.data.user.name).toBe('Updated Name');
+
+      const user = await User.findById(userId);
+      expect(user.department).toBe('Marketing');
+    });
+
+    it('should merge notification preferences instead of replacing them', async () => {
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ preferences: { notifications: { email: false } } })
+        .expect(200);
+
+      const user = await User.findById(userId);
+      expect(user.preferences.notifications.email).toBe(false);
+      expect(user.preferences.notifications.forum).toBe(true);
+    });
+  });
+
+  describe('GET /api/users/directory', () => {
+    it('should find colleagues by declared skill', async () => {
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ skills: ['GA4', 'Looker Studio'] })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/users/directory?skill=ga4')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.users.map((u) => u.id)).toContain(userId);
+      expect(response.body.data.users[0].skills.declared).toEqual(['GA4', 'Looker Studio']);
+    });
+
+    it('should not match unknown skills', async () => {
+      const response = await request(app)
+        .get('/api/users/directory?skill=cobol')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.total).toBe(0);
+    });
+  });
+
+  describe('GET /api/users/:id/public', () => {
+    let colleague;
+
+    beforeAll(async () => {
+      colleague = await User.create({
+        name: 'Colleague',
+        email: 'colleague@example.com',
+        password: 'password123',
+        bio: 'Analytics lead'
+      });
+    });
+
+    it('should return the profile and activity sections', async () => {
+      const response = await request(app)
+        .get(`/api/users/${colleague._id}/public`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.profile.name).toBe('Colleague');
+      expect(response.body.data.profile.bio).toBe('Analytics lead');
+      expect(response.body.data.activity.posts.items).toEqual([]);
+      expect(response.body.data.activity.replies.total).toBe(0);
+    });
+
+    it('should hide details of a private profile', async () => {
+      await User.updateOne({ _id: colleague._id }, { 'preferences.profileVisibility': 'private' });
+
+      const response = await request(app)
+        .get(`/api/users/${colleague._id}/public`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.profile.name).toBe('Colleague');
+      expect(response.body.data.profile.bio).toBeUndefined();
+      expect(response.body.data.activity).toBeNull();
+    });
+  });
+
+  describe('PUT /api/users/change-password', () => {
+    it('should reject an incorrect current password', async () => {
+      const response = await request(app)
+        .put('/api/users/change-password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword123', confirmPassword: 'newpassword123' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should change the password and sign out other sessions', async () => {
+      await User.updateOne({ _id: userId }, { isEmailVerified: true });
+      const other = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      await request(app)
+        .put('/api/users/change-password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123', confirmPassword: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${other.body.data.token}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+  });
+
+  describe('GET /api/users/me/export', () => {
+    it('should export the current user\'s data', async () => {
+      const response = await request(app)
+        .get('/api/users/me/export')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toContain('attachment');
+      expect(response.body.data.profile.email).toBe('test@example.com');
+      expect(response.body.data.forum.posts).toEqual([]);
+    });
+  });
+
+  // Runs last: deleting the account signs the shared test user out
+  describe('DELETE /api/users/me', () => {
+    it('should require confirmation', async () => {
+      await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'newpassword123' })
+        .expect(400);
+    });
+
+    it('should schedule the account for deletion and sign it out', async () => {
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'newpassword123', confirm: 'DELETE' })
+        .expect(200);
+
+      expect(new Date(response.body.data.scheduledFor).getTime()).toBeGreaterThan(Date.now());
+
+      const user = await User.findById(userId);
+      expect(user.isActive).toBe(false);
+
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
     });
   });
 });
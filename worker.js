@@ -0,0 +1,43 @@
+const database = require('./src/config/database');
+const { handleUnhandledRejection, handleUncaughtException } = require('./src/middleware/errorHandler');
+const { JOB_HANDLERS, JOB_SCHEDULES } = require('./src/utils/jobs');
+const { startWorker } = require('./src/utils/jobWorker');
+const logger = require('./src/utils/logger');
+
+// Handle unhandled promise rejections
+handleUnhandledRejection();
+
+// Handle uncaught exceptions
+handleUncaughtException();
+
+// Run background jobs next to the API server (`npm run worker`); several
+// workers can share one database
+const startJobWorker = async () => {
+  try {
+    await database.connect();
+
+    const worker = startWorker({ handlers: JOB_HANDLERS, schedules: JOB_SCHEDULES });
+    console.log(`⚙️  Job worker running with ${JOB_SCHEDULES.length} schedule(s)`);
+
+    // Graceful shutdown: finish the job in progress first
+    const gracefulShutdown = async (signal) => {
+      logger.logger.info(`${signal} received. Stopping job worker...`);
+      await worker.stop();
+      await database.disconnect();
+      process.exit(0);
+    };
+
+    // database.connect() disconnects on these signals right away; take them
+    // over so the job in progress can still write its outcome
+    ['SIGTERM', 'SIGINT'].forEach((signal) => {
+      process.removeAllListeners(signal);
+      process.on(signal, () => gracefulShutdown(signal));
+    });
+  } catch (error) {
+    logger.logger.error('Failed to start job worker:', error);
+    console.error('❌ Failed to start job worker:', error);
+    process.exit(1);
+  }
+};
+
+startJobWorker();